@@ -5,8 +5,9 @@ import express from "express";
 import cors from "cors";
 import net from "net";
 import { createMCPServer, getServerStats } from "./src/mcpServer.js";
-import { publicToolsHandlers } from "./src/tools/publicTools.js";
+import { callPublicTool } from "./src/tools/publicTools.js";
 import { MCPSessionManager } from "./src/utils/sessionManager.js";
+import { errorPayload, httpStatus } from "./src/utils/errors.js";
 import {
   SERVER_CONFIG,
   CORS_CONFIG,
@@ -87,102 +88,395 @@ const sessionManager = new MCPSessionManager({
 
 /**
  * Helper function to extract result from MCP tool handler response
+ * Handlers throw IndicatorError on failure, so a returned response always carries structuredContent
  */
 function extractResult(mcpResponse) {
-  if (mcpResponse.isError) {
-    const errorData = JSON.parse(mcpResponse.content[0].text);
-    throw new Error(errorData.error);
-  }
-  return JSON.parse(mcpResponse.content[0].text);
+  return mcpResponse.structuredContent;
+}
+
+/**
+ * Send a tool error with the HTTP status of its code
+ * Body: { error, code, details }
+ */
+function sendError(res, error) {
+  res.status(httpStatus(error)).json(errorPayload(error));
 }
 
 // API: Get server info
 app.get('/api/info', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.get_server_info({});
+    const result = await callPublicTool('get_server_info', {});
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Describe available indicators
+app.get('/api/indicators', async (req, res) => {
+  try {
+    const result = await callPublicTool('describe_indicators', {
+      names: req.query.names ? String(req.query.names).split(',').map(n => n.trim()) : undefined,
+      type: req.query.type,
+      includeTools: req.query.includeTools !== 'false'
+    });
     res.json(extractResult(result));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate all indicators
 app.post('/api/indicators/all', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_all_indicators(req.body);
+    const result = await callPublicTool('calculate_all_indicators', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate RSI
 app.post('/api/indicators/rsi', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_rsi(req.body);
+    const result = await callPublicTool('calculate_rsi', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate EMA
 app.post('/api/indicators/ema', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_ema(req.body);
+    const result = await callPublicTool('calculate_ema', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate SMA
 app.post('/api/indicators/sma', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_sma(req.body);
+    const result = await callPublicTool('calculate_sma', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// API: Calculate typed moving averages and their crossovers
+app.post('/api/indicators/ma', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_moving_average', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // API: Calculate MACD
 app.post('/api/indicators/macd', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_macd(req.body);
+    const result = await callPublicTool('calculate_macd', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate Bollinger Bands
 app.post('/api/indicators/bollinger', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_bollinger_bands(req.body);
+    const result = await callPublicTool('calculate_bollinger_bands', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate Stochastic
 app.post('/api/indicators/stochastic', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_stochastic(req.body);
+    const result = await callPublicTool('calculate_stochastic', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate CCI
+app.post('/api/indicators/cci', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_cci', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Williams %R
+app.post('/api/indicators/willr', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_williams_r', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Rate of Change
+app.post('/api/indicators/roc', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_roc', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Stochastic RSI
+app.post('/api/indicators/stochrsi', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_stoch_rsi', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Ultimate Oscillator
+app.post('/api/indicators/ultosc', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_ultimate_oscillator', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Awesome Oscillator
+app.post('/api/indicators/ao', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_awesome_oscillator', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate historical volatility and volatility cone
+app.post('/api/indicators/volatility', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_volatility', req.body);
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // API: Calculate ATR
 app.post('/api/indicators/atr', async (req, res) => {
   try {
-    const result = await publicToolsHandlers.calculate_atr(req.body);
+    const result = await callPublicTool('calculate_atr', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate VWAP
+app.post('/api/indicators/vwap', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_vwap', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate ADX / DMI
+app.post('/api/indicators/adx', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_adx', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Aroon
+app.post('/api/indicators/aroon', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_aroon', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Vortex Indicator
+app.post('/api/indicators/vortex', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_vortex', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Choppiness Index
+app.post('/api/indicators/chop', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_choppiness', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate OBV
+app.post('/api/indicators/obv', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_obv', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Accumulation/Distribution
+app.post('/api/indicators/ad', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_accumulation_distribution', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Chaikin Money Flow
+app.post('/api/indicators/cmf', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_cmf', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Money Flow Index
+app.post('/api/indicators/mfi', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_mfi', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate VWMA
+app.post('/api/indicators/vwma', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_vwma', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Ichimoku Cloud
+app.post('/api/indicators/ichimoku', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_ichimoku', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Supertrend
+app.post('/api/indicators/supertrend', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_supertrend', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Parabolic SAR
+app.post('/api/indicators/psar', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_psar', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Keltner Channels
+app.post('/api/indicators/keltner', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_keltner_channels', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate Donchian Channels
+app.post('/api/indicators/donchian', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_donchian_channels', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate pivot points and Fibonacci levels
+app.post('/api/indicators/levels', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_levels', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Detect support/resistance zones
+app.post('/api/indicators/zones', async (req, res) => {
+  try {
+    const result = await callPublicTool('detect_support_resistance', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Detect candlestick patterns
+app.post('/api/indicators/patterns', async (req, res) => {
+  try {
+    const result = await callPublicTool('detect_candlestick_patterns', req.body);
+    res.json(extractResult(result));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// API: Calculate any tulind indicator by name
+// Registered after the dedicated routes above, which take precedence
+app.post('/api/indicators/:name', async (req, res) => {
+  try {
+    const result = await callPublicTool('calculate_indicator', {
+      ...req.body,
+      indicator: req.params.name
+    });
     res.json(extractResult(result));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -204,16 +498,44 @@ async function startServer() {
       console.log("");
       console.log(`🔌 REST API Endpoints:`);
       console.log(`   GET  /api/info                    - Server info`);
+      console.log(`   GET  /api/indicators              - Describe indicators`);
       console.log(`   POST /api/indicators/all          - All indicators`);
       console.log(`   POST /api/indicators/rsi          - RSI`);
       console.log(`   POST /api/indicators/ema          - EMA`);
       console.log(`   POST /api/indicators/sma          - SMA`);
+      console.log(`   POST /api/indicators/ma           - Moving averages (WMA, HMA, DEMA, ...)`);
       console.log(`   POST /api/indicators/macd         - MACD`);
       console.log(`   POST /api/indicators/bollinger    - Bollinger Bands`);
       console.log(`   POST /api/indicators/stochastic   - Stochastic`);
+      console.log(`   POST /api/indicators/cci          - CCI`);
+      console.log(`   POST /api/indicators/willr        - Williams %R`);
+      console.log(`   POST /api/indicators/roc          - Rate of Change`);
+      console.log(`   POST /api/indicators/stochrsi     - Stochastic RSI`);
+      console.log(`   POST /api/indicators/ultosc       - Ultimate Oscillator`);
+      console.log(`   POST /api/indicators/ao           - Awesome Oscillator`);
       console.log(`   POST /api/indicators/atr          - ATR`);
+      console.log(`   POST /api/indicators/volatility   - Historical volatility / cone`);
+      console.log(`   POST /api/indicators/vwap         - VWAP / Anchored VWAP`);
+      console.log(`   POST /api/indicators/adx          - ADX / DMI`);
+      console.log(`   POST /api/indicators/aroon        - Aroon`);
+      console.log(`   POST /api/indicators/vortex       - Vortex`);
+      console.log(`   POST /api/indicators/chop         - Choppiness Index`);
+      console.log(`   POST /api/indicators/obv          - OBV`);
+      console.log(`   POST /api/indicators/ad           - Accumulation/Distribution`);
+      console.log(`   POST /api/indicators/cmf          - Chaikin Money Flow`);
+      console.log(`   POST /api/indicators/mfi          - Money Flow Index`);
+      console.log(`   POST /api/indicators/vwma         - VWMA`);
+      console.log(`   POST /api/indicators/ichimoku     - Ichimoku Cloud`);
+      console.log(`   POST /api/indicators/supertrend   - Supertrend`);
+      console.log(`   POST /api/indicators/psar         - Parabolic SAR`);
+      console.log(`   POST /api/indicators/keltner      - Keltner Channels`);
+      console.log(`   POST /api/indicators/donchian     - Donchian Channels`);
+      console.log(`   POST /api/indicators/levels       - Pivot points / Fibonacci levels`);
+      console.log(`   POST /api/indicators/zones        - Support/resistance zones`);
+      console.log(`   POST /api/indicators/patterns     - Candlestick patterns`);
+      console.log(`   POST /api/indicators/:name        - Any tulind indicator`);
       console.log("");
-      console.log(`📊 Trading Indicators: RSI, EMA, SMA, MACD, Bollinger Bands, Stochastic, ATR`);
+      console.log(`📊 Trading Indicators: RSI, EMA, SMA, MACD, Bollinger Bands, Stochastic, StochRSI, CCI, Williams %R, ROC, Ultimate Osc, AO, ATR, ADX, Aroon, Vortex, Choppiness, OBV, A/D, CMF, MFI, VWMA, VWAP, Ichimoku, Supertrend, PSAR, Keltner, Donchian`);
       console.log("=".repeat(60));
     });
 
@@ -40,6 +40,71 @@ export const MCP_CONFIG = {
   toolExecutionTimeoutMs: parseInt(process.env.TOOL_EXECUTION_TIMEOUT_MS) || 20 * 1000,
 };
 
+/**
+ * Default signal thresholds per indicator
+ * Tools and calculate_all_indicators accept a 'thresholds' object that overrides these per call.
+ * Server-wide overrides come from INDICATOR_THRESHOLDS, a JSON object keyed by indicator,
+ * e.g. INDICATOR_THRESHOLDS='{"rsi":{"overbought":80,"oversold":20}}'
+ * A null default means the level is not used unless supplied (unbounded oscillators)
+ */
+export const BUILTIN_THRESHOLDS = {
+  rsi: { overbought: 70, oversold: 30 },
+  stochastic: { overbought: 80, oversold: 20, crossoverGap: 2 },
+  mfi: { overbought: 80, oversold: 20 },
+  cmf: { selling: -0.05, buying: 0.05 },
+  atr: { lowPercent: 1, highPercent: 3, changePercent: 5 },
+  bollinger: { lowBandwidth: 10, highBandwidth: 20, bandProximity: 0.1 },
+  adx: { weak: 20, strong: 25, veryStrong: 50, extreme: 75 },
+  cci: { overbought: 100, oversold: -100 },
+  willr: { overbought: -20, oversold: -80 },
+  roc: { overbought: null, oversold: null },
+  stochrsi: { overbought: 80, oversold: 20 },
+  ultosc: { overbought: 70, oversold: 30 },
+  ao: { overbought: null, oversold: null },
+  aroon: { weak: 30, consolidation: 50, strong: 70 },
+  vortex: { weakSpread: 0.05, strongSpread: 0.2 },
+  choppiness: { trending: 38.2, choppy: 61.8 },
+  volatility: { low: 20, high: 80, extreme: 95 },
+  confluence: { bearish: -20, bullish: 20 }
+};
+
+/**
+ * Merge INDICATOR_THRESHOLDS into the built-in defaults
+ * @returns {object} Thresholds per indicator
+ */
+function loadThresholds() {
+  const thresholds = Object.fromEntries(
+    Object.entries(BUILTIN_THRESHOLDS).map(([indicator, levels]) => [indicator, { ...levels }])
+  );
+
+  if (!process.env.INDICATOR_THRESHOLDS) {
+    return thresholds;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.INDICATOR_THRESHOLDS);
+  } catch (error) {
+    throw new Error(`INDICATOR_THRESHOLDS must be valid JSON: ${error.message}`);
+  }
+
+  for (const [indicator, levels] of Object.entries(overrides)) {
+    if (!thresholds[indicator]) {
+      throw new Error(`INDICATOR_THRESHOLDS: unknown indicator '${indicator}'. Available: ${Object.keys(thresholds).join(', ')}`);
+    }
+    for (const [level, value] of Object.entries(levels)) {
+      if (!(level in thresholds[indicator]) || typeof value !== 'number') {
+        throw new Error(`INDICATOR_THRESHOLDS: '${indicator}.${level}' must be one of ${Object.keys(thresholds[indicator]).join(', ')} with a numeric value`);
+      }
+      thresholds[indicator][level] = value;
+    }
+  }
+
+  return thresholds;
+}
+
+export const THRESHOLD_DEFAULTS = loadThresholds();
+
 /**
  * CORS configuration
  */
@@ -7,9 +7,12 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ErrorCode,
+  McpError,
 } from "@modelcontextprotocol/sdk/types.js";
 import { SERVER_CONFIG, MCP_CONFIG } from "./config/config.js";
-import { publicToolsDefinitions, publicToolsHandlers } from "./tools/publicTools.js";
+import { publicToolsDefinitions, callPublicTool } from "./tools/publicTools.js";
+import { IndicatorError, ERROR_CODES, errorPayload, errorResult } from "./utils/errors.js";
 
 /**
  * Creates and configures the MCP server
@@ -32,7 +35,6 @@ export function createMCPServer() {
 
   // Use only public tools
   const allTools = [...publicToolsDefinitions];
-  const allHandlers = { ...publicToolsHandlers };
 
   // Handler to list available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -51,27 +53,13 @@ export function createMCPServer() {
     console.log(`   Arguments:`, JSON.stringify(args, null, 2));
 
     try {
-      // Find the correct handler
-      if (!allHandlers[name]) {
-        console.error(`❌ Unknown tool: ${name}`);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Unknown tool: ${name}`,
-            },
-          ],
-          isError: true,
-        };
-      }
-
-      // Execute the handler with timeout (configurable)
+      // Validate the arguments and execute the handler with timeout (configurable)
       const executionTimeout = MCP_CONFIG.toolExecutionTimeoutMs;
-      const handlerPromise = allHandlers[name](args);
+      const handlerPromise = callPublicTool(name, args);
 
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => {
-          reject(new Error(`Tool execution timed out after ${executionTimeout}ms`));
+          reject(new IndicatorError(ERROR_CODES.TIMEOUT, `Tool execution timed out after ${executionTimeout}ms`, { timeoutMs: executionTimeout }));
         }, executionTimeout);
       });      const result = await Promise.race([handlerPromise, timeoutPromise]);
       console.log(`✅ Tool ${name} executed successfully`);
@@ -79,15 +67,11 @@ export function createMCPServer() {
     } catch (error) {
       console.error(`❌ Error executing tool ${name}:`, error);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
+      // Invalid arguments are protocol errors (-32602); everything else is a tool error result
+      if (error.code === ERROR_CODES.INVALID_PARAM) {
+        throw new McpError(ErrorCode.InvalidParams, error.message, errorPayload(error));
+      }
+      return errorResult(error);
     }
   });
 
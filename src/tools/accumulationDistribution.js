@@ -0,0 +1,121 @@
+/**
+ * Accumulation/Distribution Line Indicator
+ * Cumulative money flow volume based on where the close sits within the bar range
+ */
+
+import tulind from 'tulind';
+import { alignSeries, validateVolume } from '../utils/priceSeries.js';
+import { analyzeCumulativeFlow } from '../utils/volumeFlow.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const accumulationDistributionDefinition = {
+  name: "calculate_accumulation_distribution",
+  description: "Calculate the Accumulation/Distribution Line (Chaikin A/D) - Cumulative money flow volume: each bar adds volume weighted by where the close sits in the high-low range. A rising line means accumulation (buying pressure), falling means distribution. Divergence from price warns of reversals.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low', 'close' and 'volume'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high', 'close' and 'volume'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high', 'low' and 'volume'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as the price arrays. Example: [1200, 1500, 900, 1800, ...]",
+        minItems: 2
+      },
+      lookback: {
+        type: "integer",
+        description: "Number of bars used to compare A/D direction with price direction (confirmation/divergence). Default: 20.",
+        default: 20,
+        minimum: 1,
+        maximum: 500
+      }
+    },
+    required: ["high", "low", "close", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ lookback: numberSchema }),
+    values: seriesSchema,
+    current: currentSchema({ ad: numberSchema, price: numberSchema, signal: stringSchema }, ["ad", "signal"]),
+    analysis: objectSchema({ lineDirection: stringSchema, priceDirection: stringSchema, signal: stringSchema }),
+    statistics: objectSchema({ min: numberSchema, max: numberSchema })
+  }, ["values", "current"])
+};
+
+export const accumulationDistributionHandler = async (args) => {
+  const { high, low, close, volume, lookback = 20 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  validateVolume(volume, length);
+
+  if (length < 2) {
+    throw insufficientData("Insufficient data: need at least 2 data points for Accumulation/Distribution calculation", { field: "close", required: 2, received: length });
+  }
+
+  try {
+    // Calculate A/D line using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.ad.indicator([series.high, series.low, series.close, volume], [], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const adValues = result[0];
+    const flow = analyzeCumulativeFlow(adValues, series.close, lookback);
+
+    const response = {
+      indicator: "Accumulation/Distribution",
+      parameters: {
+        lookback: lookback
+      },
+      dataPoints: length,
+      values: adValues,
+      current: {
+        ad: Number(adValues[adValues.length - 1].toFixed(2)),
+        price: Number(series.close[length - 1].toFixed(2)),
+        signal: flow.signal,
+        interpretation: flow.interpretation
+      },
+      analysis: flow,
+      statistics: {
+        min: Number(Math.min(...adValues).toFixed(2)),
+        max: Number(Math.max(...adValues).toFixed(2))
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Accumulation/Distribution calculation failed");
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * ADX / DMI (Average Directional Index / Directional Movement Index) Indicator
+ * Measures trend strength (ADX) and trend direction (+DI / -DI)
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const adxDefinition = {
+  name: "calculate_adx",
+  description: "Calculate ADX/DMI (Average Directional Index) - Trend-strength indicator. Returns +DI, -DI, DX and ADX. ADX below 20 = no trend (ranging), 20-25 = emerging trend, above 25 = strong trend, above 50 = very strong (levels configurable via 'thresholds'). +DI crossing above -DI = bullish, below = bearish. Standard period: 14.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "DI/ADX smoothing period. Standard: 14 (Wilder's original). ADX needs roughly 2x period bars before its first value.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      thresholds: thresholdsSchema("adx")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ period: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["plusDI", "minusDI", "dx", "adx"]),
+    current: currentSchema({
+      adx: nullableNumberSchema,
+      plusDI: nullableNumberSchema,
+      minusDI: nullableNumberSchema,
+      dx: nullableNumberSchema,
+      trendStrength: stringSchema,
+      direction: stringSchema,
+      adxTrend: stringSchema,
+      signal: stringSchema
+    }, ["adx", "plusDI", "minusDI", "trendStrength", "signal"]),
+    statistics: statisticsSchema,
+    zones: objectSchema()
+  }, ["values", "current"])
+};
+
+/**
+ * Classify ADX trend strength
+ * @param {number} adx - ADX value
+ * @param {object} thresholds - { weak, strong, veryStrong, extreme }, defaults to the server thresholds
+ * @returns {string} Trend strength band
+ */
+export function classifyTrendStrength(adx, thresholds = resolveThresholds("adx")) {
+  if (adx >= thresholds.extreme) return "extremely_strong";
+  if (adx >= thresholds.veryStrong) return "very_strong";
+  if (adx >= thresholds.strong) return "strong";
+  if (adx >= thresholds.weak) return "emerging";
+  return "weak";
+}
+
+export const adxHandler = async (args) => {
+  const { high, low, close, period = 14 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("adx", args.thresholds);
+  const { weak, strong } = thresholds;
+
+  // ADX smooths DX over a second period, so it needs two periods of data
+  const minDataPoints = period * 2;
+  if (length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for ADX calculation with period ${period}`, { field: "close", required: minDataPoints, received: length });
+  }
+
+  const runIndicator = (name) => new Promise((resolve, reject) => {
+    tulind.indicators[name].indicator([series.high, series.low, series.close], [period], (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+  try {
+    // Calculate DI, DX and ADX using Tulind
+    const [diResult, dxResult, adxResult] = await Promise.all([
+      runIndicator('di'),
+      runIndicator('dx'),
+      runIndicator('adx')
+    ]);
+
+    const [plusDI, minusDI] = diResult;
+    const dxValues = dxResult[0];
+    const adxValues = adxResult[0];
+
+    // Analyze current values
+    const currentADX = adxValues[adxValues.length - 1];
+    const previousADX = adxValues[adxValues.length - 2];
+    const currentPlusDI = plusDI[plusDI.length - 1];
+    const currentMinusDI = minusDI[minusDI.length - 1];
+    const previousPlusDI = plusDI[plusDI.length - 2];
+    const previousMinusDI = minusDI[minusDI.length - 2];
+
+    const trendStrength = classifyTrendStrength(currentADX, thresholds);
+    const direction = currentPlusDI > currentMinusDI ? "bullish" : currentPlusDI < currentMinusDI ? "bearish" : "neutral";
+    const adxTrend = previousADX === undefined ? "flat" : currentADX > previousADX ? "rising" : currentADX < previousADX ? "falling" : "flat";
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    // Determine signal based on DI crossovers and trend strength
+    if (currentPlusDI > currentMinusDI && previousPlusDI <= previousMinusDI) {
+      signal = "bullish_crossover";
+      interpretation = "+DI crossed above -DI - bullish directional crossover";
+    } else if (currentPlusDI < currentMinusDI && previousPlusDI >= previousMinusDI) {
+      signal = "bearish_crossover";
+      interpretation = "+DI crossed below -DI - bearish directional crossover";
+    } else if (currentADX < weak) {
+      signal = "no_trend";
+      interpretation = `ADX below ${weak} indicates a weak or absent trend - ranging market, directional signals are unreliable`;
+    } else if (direction === "bullish") {
+      signal = currentADX >= strong ? "strong_uptrend" : "uptrend";
+      interpretation = `+DI above -DI with ADX at ${currentADX.toFixed(2)} - ${trendStrength.replace('_', ' ')} uptrend`;
+    } else if (direction === "bearish") {
+      signal = currentADX >= strong ? "strong_downtrend" : "downtrend";
+      interpretation = `-DI above +DI with ADX at ${currentADX.toFixed(2)} - ${trendStrength.replace('_', ' ')} downtrend`;
+    } else {
+      interpretation = "+DI and -DI are equal - no directional bias";
+    }
+
+    const response = {
+      indicator: "ADX",
+      parameters: {
+        period: period
+      },
+      thresholds: thresholds,
+      dataPoints: length,
+      values: {
+        plusDI: plusDI,
+        minusDI: minusDI,
+        dx: dxValues,
+        adx: adxValues
+      },
+      current: {
+        adx: Number(currentADX.toFixed(2)),
+        plusDI: Number(currentPlusDI.toFixed(2)),
+        minusDI: Number(currentMinusDI.toFixed(2)),
+        dx: Number(dxValues[dxValues.length - 1].toFixed(2)),
+        trendStrength: trendStrength,
+        direction: direction,
+        adxTrend: adxTrend,
+        signal: signal,
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...adxValues).toFixed(2)),
+        max: Number(Math.max(...adxValues).toFixed(2)),
+        average: Number((adxValues.reduce((a, b) => a + b, 0) / adxValues.length).toFixed(2))
+      },
+      zones: {
+        weak: { threshold: weak, inZone: currentADX < weak },
+        emerging: { range: [weak, strong], inZone: currentADX >= weak && currentADX < strong },
+        strong: { threshold: strong, inZone: currentADX >= strong }
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "ADX calculation failed");
+  }
+};
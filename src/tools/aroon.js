@@ -0,0 +1,159 @@
+/**
+ * Aroon Indicator
+ * Time since the highest high and lowest low, as Aroon Up/Down and the Aroon Oscillator
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesMapSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const aroonDefinition = {
+  name: "calculate_aroon",
+  description: "Calculate Aroon - Measures how recently the period high (Aroon Up) and low (Aroon Down) were made, 0-100. Up above 70 with Down below 30 = strong uptrend (and vice versa); both below 50 = consolidation (levels configurable via 'thresholds'). Aroon Oscillator = Up - Down (-100 to 100). Up crossing above Down = bullish. Standard period: 25.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Aroon lookback period. Standard: 25 (also common: 14). Must be less than array length.",
+        default: 25,
+        minimum: 1,
+        maximum: 200
+      },
+      thresholds: thresholdsSchema("aroon")
+    },
+    required: ["high", "low"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["up", "down", "oscillator"]),
+    current: currentSchema({ up: numberSchema, down: numberSchema, oscillator: numberSchema, signal: stringSchema }, ["up", "down", "oscillator", "signal"]),
+    analysis: objectSchema({ trend: stringSchema, barsSinceHigh: numberSchema, barsSinceLow: numberSchema })
+  }, ["values", "current"])
+};
+
+/**
+ * Classify the trend from Aroon Up/Down
+ * @param {number} up - Aroon Up
+ * @param {number} down - Aroon Down
+ * @param {object} thresholds - { weak, consolidation, strong }, defaults to the server thresholds
+ * @returns {string} "strong_uptrend", "strong_downtrend", "consolidation", "bullish" or "bearish"
+ */
+export function classifyAroon(up, down, thresholds = resolveThresholds("aroon")) {
+  const { weak, consolidation, strong } = thresholds;
+  if (up >= strong && down <= weak) return "strong_uptrend";
+  if (down >= strong && up <= weak) return "strong_downtrend";
+  if (up < consolidation && down < consolidation) return "consolidation";
+  return up >= down ? "bullish" : "bearish";
+}
+
+export const aroonHandler = async (args) => {
+  const { high, low, period = 25 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low });
+  const thresholds = resolveThresholds("aroon", args.thresholds);
+
+  // One extra bar to compare with the previous Up/Down for crossovers
+  if (length < period + 2) {
+    throw insufficientData(`Insufficient data: need at least ${period + 2} data points for Aroon calculation with period ${period}`, { field: "close", required: period + 2, received: length });
+  }
+
+  try {
+    // Calculate Aroon using Tulind (outputs Down first)
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.aroon.indicator([series.high, series.low], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const [aroonDown, aroonUp] = result;
+    const oscillator = aroonUp.map((value, i) => value - aroonDown[i]);
+
+    const currentUp = aroonUp[aroonUp.length - 1];
+    const currentDown = aroonDown[aroonDown.length - 1];
+    const previousUp = aroonUp[aroonUp.length - 2];
+    const previousDown = aroonDown[aroonDown.length - 2];
+    const trend = classifyAroon(currentUp, currentDown, thresholds);
+
+    let signal = trend;
+    let interpretation = "";
+
+    if (currentUp > currentDown && previousUp <= previousDown) {
+      signal = "bullish_crossover";
+      interpretation = "Aroon Up crossed above Aroon Down - new highs are now more recent than new lows, potential uptrend";
+    } else if (currentUp < currentDown && previousUp >= previousDown) {
+      signal = "bearish_crossover";
+      interpretation = "Aroon Down crossed above Aroon Up - new lows are now more recent than new highs, potential downtrend";
+    } else if (trend === "strong_uptrend") {
+      interpretation = `Aroon Up at ${currentUp.toFixed(0)} with Down at ${currentDown.toFixed(0)} - strong uptrend, highs made recently`;
+    } else if (trend === "strong_downtrend") {
+      interpretation = `Aroon Down at ${currentDown.toFixed(0)} with Up at ${currentUp.toFixed(0)} - strong downtrend, lows made recently`;
+    } else if (trend === "consolidation") {
+      interpretation = `Aroon Up and Down both below ${thresholds.consolidation} - no recent highs or lows, consolidation`;
+    } else {
+      interpretation = trend === "bullish"
+        ? "Aroon Up above Aroon Down - mild bullish bias without a strong trend"
+        : "Aroon Down above Aroon Up - mild bearish bias without a strong trend";
+    }
+
+    const response = {
+      indicator: "Aroon",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: {
+        up: aroonUp,
+        down: aroonDown,
+        oscillator: oscillator
+      },
+      current: {
+        up: Number(currentUp.toFixed(2)),
+        down: Number(currentDown.toFixed(2)),
+        oscillator: Number((currentUp - currentDown).toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        trend: trend,
+        // Aroon = 100 x (period - bars since extreme) / period
+        barsSinceHigh: Math.round(period - (currentUp * period) / 100),
+        barsSinceLow: Math.round(period - (currentDown * period) / 100)
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Aroon calculation failed");
+  }
+};
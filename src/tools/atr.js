@@ -4,10 +4,22 @@
  */
 
 import tulind from 'tulind';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const atrDefinition = {
   name: "calculate_atr",
-  description: "Calculate ATR (Average True Range) - Volatility indicator measuring market volatility regardless of direction. Higher ATR = more volatile. Used for position sizing and stop-loss placement. Standard period: 14.",
+  description: "Calculate ATR (Average True Range) - Volatility indicator measuring market volatility regardless of direction. Higher ATR = more volatile. Used for position sizing and stop-loss placement. Volatility level (ATR as % of price) and trend cut-offs are configurable via 'thresholds'. Standard period: 14.",
   inputSchema: {
     type: "object",
     properties: {
@@ -35,10 +47,26 @@ export const atrDefinition = {
         default: 14,
         minimum: 1,
         maximum: 100
-      }
+      },
+      thresholds: thresholdsSchema("atr")
     },
     required: ["high", "low", "close"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ period: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: currentSchema({
+      atr: numberSchema,
+      atrPercent: numberSchema,
+      price: numberSchema,
+      volatilityLevel: stringSchema,
+      volatilityTrend: stringSchema
+    }, ["atr", "atrPercent", "volatilityLevel"]),
+    analysis: objectSchema(),
+    tradingLevels: objectSchema({ support: numberSchema, resistance: numberSchema, stopLossDistance: numberSchema, takeProfitDistance: numberSchema }),
+    volatilityClassification: objectSchema()
+  }, ["values", "current"])
 };
 
 export const atrHandler = async (args) => {
@@ -46,7 +74,7 @@ export const atrHandler = async (args) => {
 
   // Validation
   if (!Array.isArray(high) || !Array.isArray(low) || !Array.isArray(close)) {
-    throw new Error("High, low, and close must be arrays");
+    throw invalidParam("High, low, and close must be arrays", { fields: ["high", "low", "close"] });
   }
 
   let warning = null;
@@ -64,19 +92,22 @@ export const atrHandler = async (args) => {
   }
 
   if (adjustedHigh.length === 0) {
-    throw new Error("Price arrays must not be empty");
+    throw invalidParam("Price arrays must not be empty", { fields: ["high", "low", "close"] });
   }
 
   if (adjustedHigh.length < period + 1) {
-    throw new Error(`Insufficient data: need at least ${period + 1} data points for ATR calculation`);
+    throw insufficientData(`Insufficient data: need at least ${period + 1} data points for ATR calculation`, { field: "close", required: period + 1, received: adjustedHigh.length });
   }
 
   // Validate all values are numbers
   const allPrices = [...adjustedHigh, ...adjustedLow, ...adjustedClose];
   if (allPrices.some(price => typeof price !== 'number' || isNaN(price))) {
-    throw new Error("All price values must be valid numbers");
+    throw invalidParam("All price values must be valid numbers", { fields: ["high", "low", "close"] });
   }
 
+  const thresholds = resolveThresholds("atr", args.thresholds);
+  const { lowPercent, highPercent, changePercent } = thresholds;
+
   try {
     // Calculate ATR using Tulind
     const result = await new Promise((resolve, reject) => {
@@ -102,10 +133,10 @@ export const atrHandler = async (args) => {
 
     const atrChange = ((currentATR - previousATR) / previousATR) * 100;
 
-    if (atrChange > 5) {
+    if (atrChange > changePercent) {
       volatilityTrend = "increasing";
       interpretation = "Volatility is increasing - market becoming more active";
-    } else if (atrChange < -5) {
+    } else if (atrChange < -changePercent) {
       volatilityTrend = "decreasing";
       interpretation = "Volatility is decreasing - market becoming quieter";
     } else {
@@ -114,9 +145,9 @@ export const atrHandler = async (args) => {
 
     // Classify volatility level
     let volatilityLevel = "normal";
-    if (atrPercent > 3) {
+    if (atrPercent > highPercent) {
       volatilityLevel = "high";
-    } else if (atrPercent < 1) {
+    } else if (atrPercent < lowPercent) {
       volatilityLevel = "low";
     }
 
@@ -129,6 +160,7 @@ export const atrHandler = async (args) => {
       parameters: {
         period: period
       },
+      thresholds: thresholds,
       dataPoints: high.length,
       values: atrValues,
       current: {
@@ -152,9 +184,9 @@ export const atrHandler = async (args) => {
         takeProfitDistance: Number((currentATR * 2).toFixed(4))
       },
       volatilityClassification: {
-        high: atrPercent > 3,
-        normal: atrPercent >= 1 && atrPercent <= 3,
-        low: atrPercent < 1,
+        high: atrPercent > highPercent,
+        normal: atrPercent >= lowPercent && atrPercent <= highPercent,
+        low: atrPercent < lowPercent,
         description: `ATR is ${atrPercent.toFixed(2)}% of current price`
       }
     };
@@ -164,16 +196,9 @@ export const atrHandler = async (args) => {
       response.warning = warning;
     }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
-        }
-      ]
-    };
+    return toolResult(response);
 
   } catch (error) {
-    throw new Error(`ATR calculation failed: ${error.message}`);
+    throw calculationFailed(error, "ATR calculation failed");
   }
 };
\ No newline at end of file
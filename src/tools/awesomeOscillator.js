@@ -0,0 +1,118 @@
+/**
+ * Awesome Oscillator Indicator
+ * 5-period SMA minus 34-period SMA of the median price
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeOscillator } from '../utils/oscillator.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  signalCurrentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const awesomeOscillatorDefinition = {
+  name: "calculate_awesome_oscillator",
+  description: "Calculate Awesome Oscillator (Bill Williams) - 5-period SMA minus 34-period SMA of the median price (high+low)/2, oscillating around zero. Above 0 = bullish momentum, zero-line crosses signal momentum shifts, rising bars (green) vs falling bars (red) show acceleration. AO is in price units: pass thresholds.overbought/oversold to classify stretched readings.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low'. Minimum length: 35. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high'. Minimum length: 35. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      thresholds: thresholdsSchema("ao")
+    },
+    required: ["high", "low"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ fastPeriod: numberSchema, slowPeriod: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema,
+    analysis: objectSchema({ bar: stringSchema, momentum: stringSchema, aboveZero: { type: "boolean" } })
+  }, ["values", "current"])
+};
+
+export const awesomeOscillatorHandler = async (args) => {
+  const { high, low } = args;
+
+  const { series, length, warning } = alignSeries({ high, low });
+  const thresholds = resolveThresholds("ao", args.thresholds);
+
+  // 34-bar slow average plus one bar to compare with the previous value
+  if (length < 35) {
+    throw insufficientData("Insufficient data: need at least 35 data points for Awesome Oscillator calculation", { field: "close", required: 35, received: length });
+  }
+
+  try {
+    // Calculate Awesome Oscillator using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.ao.indicator([series.high, series.low], [], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const aoValues = result[0];
+    const { current, statistics } = analyzeOscillator(aoValues, thresholds, "Awesome Oscillator", 4);
+
+    const lastAO = aoValues[aoValues.length - 1];
+    const previousAO = aoValues[aoValues.length - 2];
+
+    // A fresh zero-line cross outranks plain above/below-zero momentum
+    if (current.signal === "bullish" && previousAO <= 0) {
+      current.signal = "bullish_zero_cross";
+      current.interpretation = "Awesome Oscillator crossed above zero - bullish momentum shift";
+    } else if (current.signal === "bearish" && previousAO >= 0) {
+      current.signal = "bearish_zero_cross";
+      current.interpretation = "Awesome Oscillator crossed below zero - bearish momentum shift";
+    }
+
+    const response = {
+      indicator: "Awesome Oscillator",
+      parameters: {
+        fastPeriod: 5,
+        slowPeriod: 34
+      },
+      thresholds: thresholds,
+      dataPoints: length,
+      values: aoValues,
+      current: current,
+      statistics: statistics,
+      analysis: {
+        bar: lastAO > previousAO ? "green" : "red",
+        momentum: lastAO > previousAO ? "increasing" : "decreasing",
+        aboveZero: lastAO > 0
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Awesome Oscillator calculation failed");
+  }
+};
@@ -4,10 +4,28 @@
  */
 
 import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { computeKeltner } from './keltnerChannels.js';
+import { findCrossings, finalizeEvents } from '../utils/events.js';
+import { parseTimestamps } from '../utils/timestamps.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema,
+  thresholdsOutputSchema,
+  eventsSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const bollingerBandsDefinition = {
   name: "calculate_bollinger_bands",
-  description: "Calculate Bollinger Bands - Volatility indicator with upper/middle/lower bands. Price touching upper band suggests overbought, lower band suggests oversold. Standard settings: 20 period, 2 std dev. Bands widen in volatile markets, narrow in calm periods.",
+  description: "Calculate Bollinger Bands - Volatility indicator with upper/middle/lower bands. Price touching upper band suggests overbought, lower band suggests oversold. Standard settings: 20 period, 2 std dev. Bands widen in volatile markets, narrow in calm periods. Squeeze = Bollinger Bands inside Keltner Channels (TTM Squeeze definition); pass high/low for a true-range based Keltner Channel.",
   inputSchema: {
     type: "object",
     properties: {
@@ -30,28 +48,155 @@ export const bollingerBandsDefinition = {
         default: 2.0,
         minimum: 0.5,
         maximum: 5.0
-      }
+      },
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Optional array of high prices (same length as 'prices'). Used with 'low' for the Keltner Channel ATR in squeeze detection. Without high/low the true range falls back to close-to-close changes."
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Optional array of low prices (same length as 'prices'). Used with 'high' for the Keltner Channel ATR in squeeze detection."
+      },
+      keltnerMultiplier: {
+        type: "number",
+        description: "ATR multiplier of the Keltner Channel used for squeeze detection. Standard: 1.5 (TTM Squeeze). The Keltner Channel uses the same period as the bands.",
+        default: 1.5,
+        minimum: 0.1,
+        maximum: 10
+      },
+      includeEvents: {
+        type: "boolean",
+        description: "Return an events timeline across the whole series (every band touch, close outside/back inside the bands, middle band cross, squeeze start/release) with bar indices, for backtesting. Default: false (only the latest signal).",
+        default: false
+      },
+      timestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Optional bar times (epoch ms, epoch seconds or ISO 8601 strings), same length as 'prices'. Added to each event when includeEvents is true, and used as 't' when 'align' is 'pairs' (the default once timestamps are given)."
+      },
+      thresholds: thresholdsSchema("bollinger")
     },
     required: ["prices"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ period: numberSchema, standardDeviation: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["lower", "middle", "upper"]),
+    current: currentSchema({
+      price: numberSchema,
+      lower: numberSchema,
+      middle: numberSchema,
+      upper: numberSchema,
+      signal: stringSchema
+    }, ["price", "lower", "middle", "upper", "signal"]),
+    analysis: objectSchema({ percentB: nullableNumberSchema, bandWidthPercent: numberSchema, volatility: stringSchema }),
+    signals: objectSchema(),
+    squeeze: objectSchema(),
+    events: eventsSchema
+  }, ["values", "current"])
 };
 
+/**
+ * Detect volatility squeezes: Bollinger Bands fully inside the Keltner Channel
+ * Both band sets are aligned to the end of the price series; indices are input bar indices
+ * @param {object} bands - Bollinger { lower, middle, upper }
+ * @param {object} keltner - Keltner { lower, middle, upper }
+ * @param {Array<number>} prices - Closing prices
+ * @param {number} maxPeriods - Maximum number of recent squeeze periods to return
+ * @returns {object} { on, barsInSqueeze, released, periods, totalPeriods, signal, interpretation }
+ */
+export function detectSqueeze(bands, keltner, prices, maxPeriods = 10) {
+  const length = Math.min(bands.upper.length, keltner.upper.length);
+  const offset = prices.length - length;
+  const bandsOffset = bands.upper.length - length;
+  const keltnerOffset = keltner.upper.length - length;
+
+  const periods = [];
+  let active = null;
+
+  for (let i = 0; i < length; i++) {
+    const inside = bands.upper[bandsOffset + i] < keltner.upper[keltnerOffset + i] &&
+      bands.lower[bandsOffset + i] > keltner.lower[keltnerOffset + i];
+    const index = offset + i;
+
+    if (inside && !active) {
+      active = { startIndex: index, endIndex: null, bars: 0, release: null };
+      periods.push(active);
+    }
+
+    if (inside) {
+      active.bars++;
+    } else if (active) {
+      // Squeeze fires on the first bar outside; direction from close vs the middle band
+      active.endIndex = index - 1;
+      active.release = prices[index] > bands.middle[bandsOffset + i] ? "up" : "down";
+      active = null;
+    }
+  }
+
+  const on = active !== null;
+  const last = periods[periods.length - 1];
+  const released = !on && last !== undefined && last.endIndex === prices.length - 2;
+
+  let signal = "no_squeeze";
+  let interpretation = "Bollinger Bands are outside the Keltner Channel - normal volatility";
+
+  if (on) {
+    signal = "squeeze_on";
+    interpretation = `Bollinger Bands inside the Keltner Channel for ${active.bars} bar(s) - volatility compression, expect an expansion move`;
+  } else if (released) {
+    signal = last.release === "up" ? "squeeze_fired_up" : "squeeze_fired_down";
+    interpretation = `Squeeze released this bar after ${last.bars} bar(s) with price ${last.release === "up" ? "above" : "below"} the middle band - volatility expansion ${last.release === "up" ? "to the upside" : "to the downside"}`;
+  }
+
+  return {
+    on: on,
+    barsInSqueeze: on ? active.bars : 0,
+    released: released,
+    signal: signal,
+    interpretation: interpretation,
+    periods: periods.slice(-maxPeriods),
+    totalPeriods: periods.length
+  };
+}
+
 export const bollingerBandsHandler = async (args) => {
-  const { prices, period = 20, stdDev = 2.0 } = args;
+  const { period = 20, stdDev = 2.0, keltnerMultiplier = 1.5, includeEvents = false, timestamps } = args;
+  let { prices } = args;
+
+  // Optional high/low for the Keltner Channel true range
+  let high = prices;
+  let low = prices;
+  let warning = null;
+  if (args.high !== undefined || args.low !== undefined) {
+    const aligned = alignSeries({ high: args.high, low: args.low, prices: prices });
+    ({ high, low, prices } = aligned.series);
+    warning = aligned.warning;
+  }
 
   // Validation
   if (!Array.isArray(prices) || prices.length === 0) {
-    throw new Error("Prices must be a non-empty array");
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
   }
 
   if (prices.length < period) {
-    throw new Error(`Insufficient data: need at least ${period} prices for Bollinger Bands calculation`);
+    throw insufficientData(`Insufficient data: need at least ${period} prices for Bollinger Bands calculation`, { field: "prices", required: period, received: prices.length });
   }
 
   if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
-    throw new Error("All prices must be valid numbers");
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
   }
 
+  if (timestamps !== undefined) {
+    parseTimestamps(timestamps, prices.length);
+  }
+
+  // Bandwidth levels are percent of the middle band, bandProximity a fraction of the band width
+  const thresholds = resolveThresholds("bollinger", args.thresholds);
+  const { lowBandwidth, highBandwidth, bandProximity } = thresholds;
+
   try {
     // Calculate Bollinger Bands using Tulind
     const result = await new Promise((resolve, reject) => {
@@ -63,6 +208,13 @@ export const bollingerBandsHandler = async (args) => {
 
     const [lowerBand, middleBand, upperBand] = result;
 
+    // Keltner Channel on the same period for squeeze detection
+    const keltner = await computeKeltner({ high, low, close: prices }, {
+      period: period,
+      atrPeriod: period,
+      multiplier: keltnerMultiplier
+    });
+
     // Analyze current position
     const currentPrice = prices[prices.length - 1];
     const currentLower = lowerBand[lowerBand.length - 1];
@@ -92,9 +244,8 @@ export const bollingerBandsHandler = async (args) => {
       interpretation = `Price is in lower half of bands - potential support near lower band`;
     }
 
-    // Calculate squeeze indicator (low volatility)
     const averageBandWidth = bandWidth / currentMiddle * 100; // As percentage
-    const isSqueeze = averageBandWidth < 10; // Arbitrary threshold for squeeze
+    const squeeze = detectSqueeze({ lower: lowerBand, middle: middleBand, upper: upperBand }, keltner, prices);
 
     const response = {
       indicator: "Bollinger Bands",
@@ -102,6 +253,7 @@ export const bollingerBandsHandler = async (args) => {
         period: period,
         standardDeviation: stdDev
       },
+      thresholds: thresholds,
       dataPoints: prices.length,
       values: {
         lower: lowerBand,
@@ -121,27 +273,82 @@ export const bollingerBandsHandler = async (args) => {
         positionInBands: Number((positionInBands * 100).toFixed(2)),
         bandWidth: Number(bandWidth.toFixed(2)),
         bandWidthPercent: Number(averageBandWidth.toFixed(2)),
-        squeeze: isSqueeze,
-        volatility: averageBandWidth > 20 ? "high" : averageBandWidth < 10 ? "low" : "normal"
+        squeeze: squeeze.on,
+        volatility: averageBandWidth > highBandwidth ? "high" : averageBandWidth < lowBandwidth ? "low" : "normal"
       },
       signals: {
-        bounceFromLower: currentPrice > currentLower && (currentPrice - currentLower) / bandWidth < 0.1,
-        bounceFromUpper: currentPrice < currentUpper && (currentUpper - currentPrice) / bandWidth < 0.1,
+        bounceFromLower: currentPrice > currentLower && (currentPrice - currentLower) / bandWidth < bandProximity,
+        bounceFromUpper: currentPrice < currentUpper && (currentUpper - currentPrice) / bandWidth < bandProximity,
         breakoutAbove: currentPrice > currentUpper,
         breakoutBelow: currentPrice < currentLower
+      },
+      squeeze: {
+        ...squeeze,
+        keltner: {
+          period: period,
+          atrPeriod: period,
+          multiplier: keltnerMultiplier,
+          trueRange: high === prices ? "close_only" : "high_low_close",
+          upper: Number(keltner.upper[keltner.upper.length - 1].toFixed(2)),
+          lower: Number(keltner.lower[keltner.lower.length - 1].toFixed(2))
+        }
       }
     };
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
+    if (includeEvents) {
+      const offset = prices.length - upperBand.length;
+      const closes = prices.slice(offset);
+      const events = [];
+      const event = (i, type) => ({
+        index: offset + i,
+        type: type,
+        price: prices[offset + i],
+        lower: lowerBand[i],
+        middle: middleBand[i],
+        upper: upperBand[i]
+      });
+
+      // Touches use the high/low when given; only the first bar of a run of touches is reported
+      for (let i = 0; i < upperBand.length; i++) {
+        if (high[offset + i] >= upperBand[i] && (i === 0 || high[offset + i - 1] < upperBand[i - 1])) {
+          events.push(event(i, "upper_band_touch"));
         }
-      ]
-    };
+        if (low[offset + i] <= lowerBand[i] && (i === 0 || low[offset + i - 1] > lowerBand[i - 1])) {
+          events.push(event(i, "lower_band_touch"));
+        }
+      }
+      for (const crossing of findCrossings(closes, upperBand)) {
+        events.push(event(crossing.index, crossing.direction === "up" ? "close_above_upper" : "back_inside_from_upper"));
+      }
+      for (const crossing of findCrossings(closes, lowerBand)) {
+        events.push(event(crossing.index, crossing.direction === "down" ? "close_below_lower" : "back_inside_from_lower"));
+      }
+      for (const crossing of findCrossings(closes, middleBand)) {
+        events.push(event(crossing.index, crossing.direction === "up" ? "bullish_middle_cross" : "bearish_middle_cross"));
+      }
+
+      const { periods } = detectSqueeze({ lower: lowerBand, middle: middleBand, upper: upperBand }, keltner, prices, Infinity);
+      for (const squeezePeriod of periods) {
+        events.push(event(squeezePeriod.startIndex - offset, "squeeze_start"));
+        if (squeezePeriod.endIndex !== null) {
+          events.push({
+            ...event(squeezePeriod.endIndex + 1 - offset, squeezePeriod.release === "up" ? "squeeze_fired_up" : "squeeze_fired_down"),
+            bars: squeezePeriod.bars
+          });
+        }
+      }
+
+      response.events = finalizeEvents(events, timestamps);
+    }
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
 
   } catch (error) {
-    throw new Error(`Bollinger Bands calculation failed: ${error.message}`);
+    throw calculationFailed(error, "Bollinger Bands calculation failed");
   }
 };
\ No newline at end of file
@@ -10,8 +10,8 @@
  * - Parallel execution of all indicators (non-blocking)
  * - Individual timeout per indicator (1s default)
  * - Global timeout for entire operation (5s default)
- * - Structured error responses (no exceptions thrown)
- * - Partial results on timeout (trading system protection)
+ * - Per-indicator errors isolated in the results; request errors raised as IndicatorError
+ * - Partial results on timeout (TIMEOUT error details)
  * - Event loop protection via process.nextTick
  *
  * TIMEOUT HIERARCHY:
@@ -22,10 +22,11 @@
  * - Session timeout: 300000ms (5 min)
  *
  * ERROR HANDLING:
- * - No exceptions thrown (prevents transport blocking)
- * - All errors returned as structured JSON responses
- * - Partial results preserved on timeout
- * - Individual indicator failures don't block others
+ * - Request errors thrown as IndicatorError: INVALID_PARAM, LENGTH_MISMATCH,
+ *   INSUFFICIENT_DATA, TIMEOUT (global timeout) and CALCULATION_FAILED (anything else)
+ * - Mapped to MCP error results and HTTP statuses by the server (see utils/errors.js)
+ * - Partial results preserved on timeout in the TIMEOUT error details
+ * - Individual indicator failures returned as { error } in their result, without blocking others
  *
  * PERFORMANCE:
  * - Typical execution: 1-5ms for 3-8 indicators
@@ -38,13 +39,79 @@
  */
 
 import tulind from "tulind";
+import { computeCMF } from "./cmf.js";
+import { computeVWAP, findSessionStarts } from "./vwap.js";
+import { computeSupertrend } from "./supertrend.js";
+import { computeSupportResistance, resolveZoneOptions } from "./supportResistance.js";
+import { detectCandlestickPatterns, PATTERN_NAMES } from "./candlestickPatterns.js";
+import { MOVING_AVERAGE_TYPES, resolveAverages, analyzeRibbon } from "./movingAverage.js";
+import { parseTimestamps } from "../utils/timestamps.js";
+import { classifyOscillator } from "../utils/oscillator.js";
+import { resolveThresholds, thresholdsSchema } from "../utils/thresholds.js";
+import { THRESHOLD_DEFAULTS } from "../config/config.js";
+import { classifyTrendStrength } from "./adx.js";
+import { computeVortex } from "./vortex.js";
+import { computeChoppiness } from "./choppiness.js";
+import { classifyTrendRegime } from "../utils/trendRegime.js";
+import { summarizeConfluence, CONFLUENCE_CATEGORIES } from "../utils/confluence.js";
+import { toolResult, objectSchema, numberSchema, stringSchema } from "../utils/toolOutput.js";
+import { IndicatorError, ERROR_CODES, insufficientData, lengthMismatch, invalidParam, calculationFailed } from "../utils/errors.js";
+
+// Threshold sets voted on by the trend_regime key
+const REGIME_THRESHOLDS = ["adx", "aroon", "vortex", "choppiness"];
+
+// Result types treated as moving averages by the ribbon analysis (SMA, EMA, VWMA, Hull MA, ...)
+const AVERAGE_TYPES = new Set(Object.values(MOVING_AVERAGE_TYPES).map(spec => spec.name));
+
+/**
+ * Classify the latest %K/%D pair of a Stochastic or Stochastic RSI
+ * @param {number} k - Latest %K
+ * @param {number} d - Latest %D
+ * @param {object} thresholds - { overbought, oversold }
+ * @returns {string} "overbought", "oversold", "bullish", "bearish" or "neutral"
+ */
+const classifyStochastic = (k, d, { overbought, oversold }) => {
+  if (k > overbought && d > overbought) return "overbought";
+  if (k < oversold && d < oversold) return "oversold";
+  if (k > d) return "bullish";
+  if (k < d) return "bearish";
+  return "neutral";
+};
+
+/**
+ * Build the "object or array of objects" schema shared by every indicator key
+ * @param {string} label - Indicator label used in descriptions
+ * @param {object} properties - Indicator-specific parameter schemas
+ * @returns {object} JSON schema for the indicator configuration
+ */
+const indicatorConfigSchema = (label, properties) => {
+  const itemSchema = {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", description: `Calculate ${label}` },
+      ...properties,
+      name: { type: "string", description: "Custom name" }
+    }
+  };
+
+  return {
+    description: `${label} configuration - can be object or array of objects`,
+    oneOf: [
+      itemSchema,
+      {
+        type: "array",
+        items: itemSchema
+      }
+    ]
+  };
+};
 
 /**
  * Tool definition for calculate_all_indicators
  */
 export const calculateAllDefinition = {
   name: "calculate_all_indicators",
-  description: "Calculate multiple technical indicators in a single call for maximum performance. Returns RSI, EMA, SMA, MACD, Bollinger Bands, Stochastic, and ATR all at once. This tool minimizes HTTP requests and improves efficiency when analyzing market data.",
+  description: "Calculate multiple technical indicators in a single call for maximum performance. Returns RSI, EMA, SMA, typed moving averages (WMA, HMA, DEMA, TEMA, KAMA, ZLEMA, VWMA, SMMA), MACD, Bollinger Bands, Stochastic, momentum oscillators (CCI, Williams %R, ROC, Stochastic RSI, Ultimate and Awesome Oscillator), ATR, ADX, a trend_regime verdict (ADX, Aroon, Vortex and Choppiness: trending vs ranging) and volume indicators (OBV, A/D, CMF, MFI, VWMA, VWAP), trailing stops (Supertrend, Parabolic SAR), support/resistance zones and candlestick patterns all at once. When several moving averages are requested (ema, sma, ma, vwma keys) a 'movingAverages' block relates them: ribbon stacking, latest crossover per pair, fastest/slowest spread and price position. With summary.enabled, a 'summary' block turns every directional result into a weighted bullish/bearish/neutral vote and returns a confluence score (-100 to 100), the agreeing and conflicting indicators and a short rationale. Signal thresholds (RSI 70/30, Stochastic 80/20, ADX 20/25, ...) can be overridden per call with 'thresholds' or per configuration. This tool minimizes HTTP requests and improves efficiency when analyzing market data.",
   inputSchema: {
     type: "object",
     properties: {
@@ -56,6 +123,11 @@ export const calculateAllDefinition = {
         type: "object",
         description: "OHLCV data arrays",
         properties: {
+          open: {
+            type: "array",
+            items: { type: "number" },
+            description: "Array of opening prices (optional, required by patterns). Must have the same length as the other price arrays"
+          },
           high: {
             type: "array",
             items: { type: "number" },
@@ -74,7 +146,12 @@ export const calculateAllDefinition = {
           volume: {
             type: "array",
             items: { type: "number" },
-            description: "Array of volumes (optional, for volume-based indicators)"
+            description: "Array of volumes (optional, required by obv, ad, cmf, mfi, vwma and vwap). Must have the same length as the price arrays"
+          },
+          timestamps: {
+            type: "array",
+            items: { type: ["number", "string"] },
+            description: "Array of bar open times (optional): epoch milliseconds, epoch seconds or ISO 8601 strings. Enables daily VWAP session resets and, by default, { t, value } output series (see 'align'). Must have the same length as the price arrays"
           }
         },
         required: ["high", "low", "close"]
@@ -91,6 +168,7 @@ export const calculateAllDefinition = {
                 properties: {
                   enabled: { type: "boolean", description: "Calculate RSI" },
                   period: { type: "number", description: "RSI period (default: 14)" },
+                  thresholds: thresholdsSchema("rsi"),
                   name: { type: "string", description: "Custom name for this indicator (e.g., 'RSI14')" }
                 }
               },
@@ -101,6 +179,7 @@ export const calculateAllDefinition = {
                   properties: {
                     enabled: { type: "boolean", description: "Calculate RSI" },
                     period: { type: "number", description: "RSI period" },
+                    thresholds: thresholdsSchema("rsi"),
                     name: { type: "string", description: "Custom name for this indicator (e.g., 'RSI7', 'RSI14')" }
                   }
                 }
@@ -192,6 +271,7 @@ export const calculateAllDefinition = {
                   enabled: { type: "boolean", description: "Calculate Bollinger Bands" },
                   period: { type: "number", description: "Moving average period (default: 20)" },
                   stddev: { type: "number", description: "Standard deviation multiplier (default: 2)" },
+                  thresholds: thresholdsSchema("bollinger"),
                   name: { type: "string", description: "Custom name" }
                 }
               },
@@ -203,6 +283,7 @@ export const calculateAllDefinition = {
                     enabled: { type: "boolean", description: "Calculate Bollinger Bands" },
                     period: { type: "number", description: "Moving average period" },
                     stddev: { type: "number", description: "Standard deviation multiplier" },
+                    thresholds: thresholdsSchema("bollinger"),
                     name: { type: "string", description: "Custom name" }
                   }
                 }
@@ -219,6 +300,7 @@ export const calculateAllDefinition = {
                   kPeriod: { type: "number", description: "K period (default: 14)" },
                   kSlowing: { type: "number", description: "K slowing (default: 3)" },
                   dPeriod: { type: "number", description: "D period (default: 3)" },
+                  thresholds: thresholdsSchema("stochastic"),
                   name: { type: "string", description: "Custom name" }
                 }
               },
@@ -231,6 +313,7 @@ export const calculateAllDefinition = {
                     kPeriod: { type: "number", description: "K period" },
                     kSlowing: { type: "number", description: "K slowing" },
                     dPeriod: { type: "number", description: "D period" },
+                    thresholds: thresholdsSchema("stochastic"),
                     name: { type: "string", description: "Custom name" }
                   }
                 }
@@ -245,6 +328,7 @@ export const calculateAllDefinition = {
                 properties: {
                   enabled: { type: "boolean", description: "Calculate ATR" },
                   period: { type: "number", description: "ATR period (default: 14)" },
+                  thresholds: thresholdsSchema("atr"),
                   name: { type: "string", description: "Custom name" }
                 }
               },
@@ -255,17 +339,141 @@ export const calculateAllDefinition = {
                   properties: {
                     enabled: { type: "boolean", description: "Calculate ATR" },
                     period: { type: "number", description: "ATR period" },
+                    thresholds: thresholdsSchema("atr"),
                     name: { type: "string", description: "Custom name" }
                   }
                 }
               }
             ]
+          },
+          cci: indicatorConfigSchema("CCI", {
+            period: { type: "number", description: "CCI period (default: 20)" },
+            thresholds: thresholdsSchema("cci")
+          }),
+          willr: indicatorConfigSchema("Williams %R", {
+            period: { type: "number", description: "Williams %R period (default: 14)" },
+            thresholds: thresholdsSchema("willr")
+          }),
+          roc: indicatorConfigSchema("Rate of Change (percent)", {
+            period: { type: "number", description: "ROC period (default: 12)" },
+            thresholds: thresholdsSchema("roc")
+          }),
+          stochrsi: indicatorConfigSchema("Stochastic RSI", {
+            rsiPeriod: { type: "number", description: "RSI period (default: 14)" },
+            stochPeriod: { type: "number", description: "Stochastic lookback over RSI (default: 14)" },
+            kPeriod: { type: "number", description: "%K smoothing (default: 3)" },
+            dPeriod: { type: "number", description: "%D period (default: 3)" },
+            thresholds: thresholdsSchema("stochrsi")
+          }),
+          ultosc: indicatorConfigSchema("Ultimate Oscillator", {
+            shortPeriod: { type: "number", description: "Short timeframe (default: 7)" },
+            mediumPeriod: { type: "number", description: "Medium timeframe (default: 14)" },
+            longPeriod: { type: "number", description: "Long timeframe (default: 28)" },
+            thresholds: thresholdsSchema("ultosc")
+          }),
+          ao: indicatorConfigSchema("Awesome Oscillator (5/34 median price)", {
+            thresholds: thresholdsSchema("ao")
+          }),
+          ma: indicatorConfigSchema("Typed moving average", {
+            type: { type: "string", enum: Object.keys(MOVING_AVERAGE_TYPES), description: "Average type (vwma requires volume)" },
+            period: { type: "number", description: "Average period (default: 20)" }
+          }),
+          adx: indicatorConfigSchema("ADX/DMI", {
+            period: { type: "number", description: "ADX period (default: 14)" },
+            thresholds: thresholdsSchema("adx")
+          }),
+          trend_regime: indicatorConfigSchema("Trend regime (trending vs ranging from ADX, Aroon, Vortex and Choppiness)", {
+            period: { type: "number", description: "ADX, Vortex and Choppiness period (default: 14)" },
+            aroonPeriod: { type: "number", description: "Aroon period (default: 25)" },
+            thresholds: {
+              type: "object",
+              description: "Optional thresholds of the voting indicators, each overriding the server defaults",
+              properties: Object.fromEntries(REGIME_THRESHOLDS.map(key => [key, thresholdsSchema(key)])),
+              additionalProperties: false
+            }
+          }),
+          obv: indicatorConfigSchema("OBV (requires volume)", {}),
+          ad: indicatorConfigSchema("Accumulation/Distribution line (requires volume)", {}),
+          cmf: indicatorConfigSchema("Chaikin Money Flow (requires volume)", {
+            period: { type: "number", description: "CMF period (default: 20)" },
+            thresholds: thresholdsSchema("cmf")
+          }),
+          mfi: indicatorConfigSchema("Money Flow Index (requires volume)", {
+            period: { type: "number", description: "MFI period (default: 14)" },
+            thresholds: thresholdsSchema("mfi")
+          }),
+          vwma: indicatorConfigSchema("Volume Weighted Moving Average (requires volume)", {
+            period: { type: "number", description: "VWMA period (default: 20)" }
+          }),
+          vwap: indicatorConfigSchema("VWAP with standard-deviation bands (requires volume)", {
+            session: { type: "string", enum: ["daily", "none"], description: "Session reset mode (default: 'daily' when ohlcv.timestamps is provided, otherwise 'none')" },
+            resetIndices: { type: "array", items: { type: "number" }, description: "Custom session start bar indices" },
+            bands: { type: "array", items: { type: "number" }, description: "Standard-deviation multipliers (default: [1, 2])" }
+          }),
+          supertrend: indicatorConfigSchema("Supertrend", {
+            period: { type: "number", description: "ATR period (default: 10)" },
+            multiplier: { type: "number", description: "ATR multiplier (default: 3)" }
+          }),
+          psar: indicatorConfigSchema("Parabolic SAR", {
+            acceleration: { type: "number", description: "Acceleration factor step (default: 0.02)" },
+            maximum: { type: "number", description: "Maximum acceleration factor (default: 0.2)" }
+          }),
+          zones: indicatorConfigSchema("Support/resistance zones", {
+            method: { type: "string", enum: ["fractal", "zigzag"], description: "Swing detection method (default: 'fractal')" },
+            strength: { type: "number", description: "Fractal bars on each side (default: 2)" },
+            thresholdType: { type: "string", enum: ["percent", "atr"], description: "ZigZag threshold type (default: 'percent')" },
+            threshold: { type: "number", description: "ZigZag threshold: percent (default: 5) or ATR multiple (default: 2)" },
+            atrPeriod: { type: "number", description: "ATR period (default: 14)" },
+            zoneWidth: { type: "number", description: "Zone height as ATR multiple (default: 0.5)" },
+            minTouches: { type: "number", description: "Minimum swings per zone (default: 2)" },
+            maxZones: { type: "number", description: "Maximum zones returned (default: 10)" }
+          }),
+          patterns: indicatorConfigSchema("Candlestick patterns (requires open)", {
+            lookback: { type: "number", description: "Recent bars to scan (default: 50)" },
+            trendPeriod: { type: "number", description: "Bars used for the prior trend (default: 10)" },
+            minConfidence: { type: "number", description: "Minimum confidence score 0-100 (default: 0)" },
+            patterns: { type: "array", items: { type: "string", enum: PATTERN_NAMES }, description: "Patterns to detect (default: all)" }
+          })
+        }
+      },
+      thresholds: {
+        type: "object",
+        description: "Signal thresholds per indicator, overriding the server defaults for every configuration of that indicator (e.g. { rsi: { overbought: 80, oversold: 20 } }). A configuration's own 'thresholds' take precedence. trend_regime uses the adx, aroon, vortex and choppiness entries.",
+        properties: Object.fromEntries(Object.keys(THRESHOLD_DEFAULTS).map(key => [key, thresholdsSchema(key)])),
+        additionalProperties: false
+      },
+      summary: {
+        type: "object",
+        description: "Optional confluence summary across the computed indicators. The bias cut-offs are thresholds.confluence (score >= 20 bullish, <= -20 bearish by default).",
+        properties: {
+          enabled: { type: "boolean", description: "Add the 'summary' block" },
+          weights: {
+            type: "object",
+            description: `Vote weights keyed by result name (e.g. 'rsi_14') or category (${CONFLUENCE_CATEGORIES.join(', ')}). A name sets the weight, a category multiplies the default weights (1, or 0.5 for Bollinger Bands and candlestick patterns); 0 ignores the votes.`,
+            additionalProperties: { type: "number", minimum: 0 }
           }
         }
       }
     },
     required: ["symbol", "ohlcv", "indicators"]
-  }
+  },
+  outputSchema: objectSchema({
+    symbol: stringSchema,
+    timestamp: stringSchema,
+    dataPoints: numberSchema,
+    indicators: {
+      type: "object",
+      description: "Results keyed by indicator name; failed indicators carry only 'error'",
+      additionalProperties: objectSchema({ type: stringSchema, error: stringSchema })
+    },
+    movingAverages: objectSchema(),
+    summary: objectSchema({
+      bias: stringSchema,
+      score: numberSchema,
+      rationale: stringSchema
+    }, ["bias", "score", "rationale"]),
+    executionTime: numberSchema
+  }, ["timestamp", "dataPoints", "indicators"])
 };
 
 /**
@@ -319,66 +527,90 @@ const runIndicatorWithTimeout = (indicatorName, inputs, params, timeout = 1000)
   });
 
   return withTimeout(promise, timeout);
-};/**
+};
+
+/**
+ * Helper function to run a native (non-tulind) calculation with the same protections
+ * @param {Function} calculate - Synchronous calculation returning the result
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<any>} Calculation result
+ */
+const runNativeWithTimeout = (calculate, timeout = 1000) => {
+  const promise = new Promise((resolve, reject) => {
+    process.nextTick(() => {
+      try {
+        resolve(calculate());
+      } catch (syncError) {
+        reject(syncError);
+      }
+    });
+  });
+
+  return withTimeout(promise, timeout);
+};
+
+/**
  * Handler function for calculate_all_indicators
  * @param {object} args - Tool arguments
- * @returns {object} Calculation results or error
+ * @returns {object} Calculation results
  */
 export const calculateAllHandler = async (args) => {
   const startTime = Date.now();
 
   try {
     const { symbol, ohlcv, indicators } = args;
-    const { high, low, close, volume } = ohlcv;
 
-    // Validation with immediate structured response
+    // Validation
+    if (!ohlcv || typeof ohlcv !== 'object') {
+      throw invalidParam("OHLCV data is required (ohlcv.high, ohlcv.low, ohlcv.close)", { field: "ohlcv" });
+    }
+    if (!indicators || typeof indicators !== 'object') {
+      throw invalidParam("indicators must be an object of indicator configurations", { field: "indicators" });
+    }
+
+    const { open, high, low, close, volume, timestamps } = ohlcv;
     if (!high || !low || !close) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({
-              error: "Missing required OHLCV data (high, low, close)",
-              timestamp: new Date().toISOString(),
-              executionTime: Date.now() - startTime
-            }, null, 2)
-          }
-        ],
-        isError: true
-      };
+      throw invalidParam("Missing required OHLCV data (high, low, close)", { fields: ["ohlcv.high", "ohlcv.low", "ohlcv.close"] });
     }
 
     if (high.length !== low.length || high.length !== close.length) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({
-              error: "OHLCV arrays must have the same length",
-              timestamp: new Date().toISOString(),
-              executionTime: Date.now() - startTime
-            }, null, 2)
-          }
-        ],
-        isError: true
-      };
+      throw lengthMismatch("OHLCV arrays must have the same length", { high: high.length, low: low.length, close: close.length });
     }
 
     if (high.length < 2) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({
-              error: "Need at least 2 data points",
-              timestamp: new Date().toISOString(),
-              executionTime: Date.now() - startTime
-            }, null, 2)
-          }
-        ],
-        isError: true
-      };
-    }    const results = {
+      throw insufficientData("Need at least 2 data points", { field: "ohlcv", required: 2, received: high.length });
+    }
+
+    if (volume !== undefined && (!Array.isArray(volume) || volume.length !== close.length)) {
+      throw lengthMismatch(`Volume must have the same length as the price arrays (volume=${Array.isArray(volume) ? volume.length : 'invalid'}, prices=${close.length})`, { volume: Array.isArray(volume) ? volume.length : null, prices: close.length });
+    }
+
+    if (open !== undefined && (!Array.isArray(open) || open.length !== close.length)) {
+      throw lengthMismatch(`Open must have the same length as the other price arrays (open=${Array.isArray(open) ? open.length : 'invalid'}, prices=${close.length})`, { open: Array.isArray(open) ? open.length : null, prices: close.length });
+    }
+
+    const times = timestamps !== undefined ? parseTimestamps(timestamps, close.length) : null;
+
+    // Top-level thresholds apply to every configuration of an indicator
+    const thresholdOverrides = args.thresholds || {};
+    if (typeof thresholdOverrides !== 'object' || Array.isArray(thresholdOverrides)) {
+      throw invalidParam("thresholds must be an object keyed by indicator", { field: "thresholds" });
+    }
+    for (const [indicator, levels] of Object.entries(thresholdOverrides)) {
+      if (!THRESHOLD_DEFAULTS[indicator]) {
+        throw invalidParam(`Unknown thresholds indicator '${indicator}'. Available: ${Object.keys(THRESHOLD_DEFAULTS).join(', ')}`, { field: "thresholds", indicator, available: Object.keys(THRESHOLD_DEFAULTS) });
+      }
+      resolveThresholds(indicator, levels);
+    }
+
+    const summary = args.summary || {};
+    const weights = summary.weights || {};
+    const invalidWeight = Object.entries(weights).find(([, weight]) => typeof weight !== 'number' || isNaN(weight) || weight < 0);
+    if (invalidWeight) {
+      throw invalidParam(`summary.weights.${invalidWeight[0]} must be a non-negative number`, { field: `summary.weights.${invalidWeight[0]}` });
+    }
+
+    const results = {
       symbol,
       timestamp: new Date().toISOString(),
       dataPoints: close.length,
@@ -395,12 +627,27 @@ export const calculateAllHandler = async (args) => {
     // Collect all indicator calculations to run in parallel
     const calculations = [];
 
+    // Volume-based indicators report a per-indicator error when volume is missing
+    const volumeError = (name) => Promise.resolve({ name, error: "Volume data required (ohlcv.volume)" });
+
+    // Resolve a configuration's thresholds over the top-level ones; invalid overrides become that indicator's error
+    const configThresholds = (indicator, config, name) => {
+      try {
+        return resolveThresholds(indicator, thresholdOverrides[indicator], config.thresholds);
+      } catch (error) {
+        calculations.push(Promise.resolve({ name, error: error.message }));
+        return null;
+      }
+    };
+
     // Calculate RSI (support multiple periods)
     const rsiConfigs = normalizeConfig(indicators.rsi);
     for (const config of rsiConfigs) {
       if (config.enabled) {
         const period = config.period || 14;
         const name = config.name || `rsi_${period}`;
+        const thresholds = configThresholds('rsi', config, name);
+        if (!thresholds) continue;
 
         if (close.length >= period) {
           calculations.push(
@@ -409,8 +656,10 @@ export const calculateAllHandler = async (args) => {
                 name,
                 type: 'RSI',
                 period,
+                thresholds,
                 values: Array.from(res[0]),
-                latest: res[0][res[0].length - 1]
+                latest: res[0][res[0].length - 1],
+                signal: classifyOscillator(res[0][res[0].length - 1], thresholds, 'RSI').signal
               }))
               .catch(err => ({ name, error: err.message }))
           );
@@ -464,6 +713,43 @@ export const calculateAllHandler = async (args) => {
       }
     }
 
+    // Calculate typed moving averages (support multiple configurations)
+    const maConfigs = normalizeConfig(indicators.ma);
+    for (const config of maConfigs) {
+      if (config.enabled) {
+        const type = (config.type || 'sma').toLowerCase();
+        const period = config.period || 20;
+        const name = config.name || `${type}_${period}`;
+
+        let average;
+        try {
+          [average] = resolveAverages([{ type, period, name }]);
+        } catch (err) {
+          calculations.push(Promise.resolve({ name, error: err.message }));
+          continue;
+        }
+
+        if (average.volume && !volume) {
+          calculations.push(volumeError(name));
+          continue;
+        }
+
+        if (close.length > average.warmup) {
+          calculations.push(
+            runIndicatorWithTimeout(average.indicator, average.volume ? [close, volume] : [close], [period])
+              .then(res => ({
+                name,
+                type: MOVING_AVERAGE_TYPES[type].name,
+                period,
+                values: Array.from(res[0]),
+                latest: res[0][res[0].length - 1]
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
     // Calculate MACD (support multiple configurations)
     const macdConfigs = normalizeConfig(indicators.macd);
     for (const config of macdConfigs) {
@@ -504,24 +790,34 @@ export const calculateAllHandler = async (args) => {
         const period = config.period || 20;
         const stddev = config.stddev || 2;
         const name = config.name || `bb_${period}_${stddev}`;
+        const thresholds = configThresholds('bollinger', config, name);
+        if (!thresholds) continue;
 
         if (close.length >= period) {
           calculations.push(
             runIndicatorWithTimeout('bbands', [close], [period, stddev])
-              .then(res => ({
-                name,
-                type: 'Bollinger Bands',
-                period,
-                stddev,
-                lower: Array.from(res[0]),
-                middle: Array.from(res[1]),
-                upper: Array.from(res[2]),
-                latest: {
+              .then(res => {
+                const latest = {
                   lower: res[0][res[0].length - 1],
                   middle: res[1][res[1].length - 1],
                   upper: res[2][res[2].length - 1]
-                }
-              }))
+                };
+                const bandWidthPercent = (latest.upper - latest.lower) / latest.middle * 100;
+
+                return {
+                  name,
+                  type: 'Bollinger Bands',
+                  period,
+                  stddev,
+                  thresholds,
+                  lower: Array.from(res[0]),
+                  middle: Array.from(res[1]),
+                  upper: Array.from(res[2]),
+                  latest,
+                  bandWidthPercent,
+                  volatility: bandWidthPercent > thresholds.highBandwidth ? "high" : bandWidthPercent < thresholds.lowBandwidth ? "low" : "normal"
+                };
+              })
               .catch(err => ({ name, error: err.message }))
           );
         }
@@ -536,6 +832,8 @@ export const calculateAllHandler = async (args) => {
         const kSlowing = config.kSlowing || 3;
         const dPeriod = config.dPeriod || 3;
         const name = config.name || `stoch_${kPeriod}_${kSlowing}_${dPeriod}`;
+        const thresholds = configThresholds('stochastic', config, name);
+        if (!thresholds) continue;
 
         if (high.length >= kPeriod) {
           calculations.push(
@@ -546,12 +844,14 @@ export const calculateAllHandler = async (args) => {
                 kPeriod,
                 kSlowing,
                 dPeriod,
+                thresholds,
                 k: Array.from(res[0]),
                 d: Array.from(res[1]),
                 latest: {
                   k: res[0][res[0].length - 1],
                   d: res[1][res[1].length - 1]
-                }
+                },
+                signal: classifyStochastic(res[0][res[0].length - 1], res[1][res[1].length - 1], thresholds)
               }))
               .catch(err => ({ name, error: err.message }))
           );
@@ -559,19 +859,393 @@ export const calculateAllHandler = async (args) => {
       }
     }
 
+    // Momentum oscillators report the latest signal against their (configurable) thresholds
+    const pushOscillator = (name, label, thresholds, calculate, details) => {
+      calculations.push(
+        calculate()
+          .then(values => {
+            const latest = values[values.length - 1];
+            return {
+              name,
+              type: label,
+              ...details,
+              thresholds,
+              values: Array.from(values),
+              latest,
+              signal: classifyOscillator(latest, thresholds, label).signal
+            };
+          })
+          .catch(err => ({ name, error: err.message }))
+      );
+    };
+
+    // Calculate CCI (support multiple configurations)
+    const cciConfigs = normalizeConfig(indicators.cci);
+    for (const config of cciConfigs) {
+      if (config.enabled) {
+        const period = config.period || 20;
+        const name = config.name || `cci_${period}`;
+        const thresholds = configThresholds('cci', config, name);
+        if (!thresholds) continue;
+
+        if (close.length >= period * 2 - 1) {
+          pushOscillator(name, 'CCI', thresholds, () => runIndicatorWithTimeout('cci', [high, low, close], [period]).then(res => res[0]), { period });
+        }
+      }
+    }
+
+    // Calculate Williams %R (support multiple configurations)
+    const willrConfigs = normalizeConfig(indicators.willr);
+    for (const config of willrConfigs) {
+      if (config.enabled) {
+        const period = config.period || 14;
+        const name = config.name || `willr_${period}`;
+        const thresholds = configThresholds('willr', config, name);
+        if (!thresholds) continue;
+
+        if (close.length >= period) {
+          pushOscillator(name, 'Williams %R', thresholds, () => runIndicatorWithTimeout('willr', [high, low, close], [period]).then(res => res[0]), { period });
+        }
+      }
+    }
+
+    // Calculate Rate of Change in percent (support multiple configurations)
+    const rocConfigs = normalizeConfig(indicators.roc);
+    for (const config of rocConfigs) {
+      if (config.enabled) {
+        const period = config.period || 12;
+        const name = config.name || `roc_${period}`;
+        const thresholds = configThresholds('roc', config, name);
+        if (!thresholds) continue;
+
+        if (close.length > period) {
+          pushOscillator(name, 'ROC', thresholds, () => runIndicatorWithTimeout('roc', [close], [period]).then(res => res[0].map(value => value * 100)), { period });
+        }
+      }
+    }
+
+    // Calculate Ultimate Oscillator (support multiple configurations)
+    const ultoscConfigs = normalizeConfig(indicators.ultosc);
+    for (const config of ultoscConfigs) {
+      if (config.enabled) {
+        const shortPeriod = config.shortPeriod || 7;
+        const mediumPeriod = config.mediumPeriod || 14;
+        const longPeriod = config.longPeriod || 28;
+        const name = config.name || `ultosc_${shortPeriod}_${mediumPeriod}_${longPeriod}`;
+        const thresholds = configThresholds('ultosc', config, name);
+        if (!thresholds) continue;
+
+        if (close.length > longPeriod) {
+          pushOscillator(name, 'Ultimate Oscillator', thresholds, () => runIndicatorWithTimeout('ultosc', [high, low, close], [shortPeriod, mediumPeriod, longPeriod]).then(res => res[0]), { shortPeriod, mediumPeriod, longPeriod });
+        }
+      }
+    }
+
+    // Calculate Awesome Oscillator (support multiple configurations)
+    const aoConfigs = normalizeConfig(indicators.ao);
+    for (const config of aoConfigs) {
+      if (config.enabled) {
+        const name = config.name || 'ao';
+        const thresholds = configThresholds('ao', config, name);
+        if (!thresholds) continue;
+
+        if (close.length >= 34) {
+          pushOscillator(name, 'Awesome Oscillator', thresholds, () => runIndicatorWithTimeout('ao', [high, low], []).then(res => res[0]), {});
+        }
+      }
+    }
+
+    // Calculate Stochastic RSI (support multiple configurations)
+    const stochRsiConfigs = normalizeConfig(indicators.stochrsi);
+    for (const config of stochRsiConfigs) {
+      if (config.enabled) {
+        const rsiPeriod = config.rsiPeriod || 14;
+        const stochPeriod = config.stochPeriod || 14;
+        const kPeriod = config.kPeriod || 3;
+        const dPeriod = config.dPeriod || 3;
+        const name = config.name || `stochrsi_${rsiPeriod}_${stochPeriod}_${kPeriod}_${dPeriod}`;
+        const thresholds = configThresholds('stochrsi', config, name);
+        if (!thresholds) continue;
+
+        if (close.length >= rsiPeriod + stochPeriod + kPeriod + dPeriod - 2) {
+          calculations.push(
+            runIndicatorWithTimeout('rsi', [close], [rsiPeriod])
+              .then(([rsi]) => runIndicatorWithTimeout('stoch', [rsi, rsi, rsi], [stochPeriod, kPeriod, dPeriod]))
+              .then(res => {
+                const k = res[0][res[0].length - 1];
+                const d = res[1][res[1].length - 1];
+
+                return {
+                  name,
+                  type: 'Stochastic RSI',
+                  rsiPeriod,
+                  stochPeriod,
+                  kPeriod,
+                  dPeriod,
+                  thresholds,
+                  k: Array.from(res[0]),
+                  d: Array.from(res[1]),
+                  latest: { k, d },
+                  signal: classifyStochastic(k, d, thresholds)
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
     // Calculate ATR (support multiple configurations)
     const atrConfigs = normalizeConfig(indicators.atr);
     for (const config of atrConfigs) {
       if (config.enabled) {
         const period = config.period || 14;
         const name = config.name || `atr_${period}`;
+        const thresholds = configThresholds('atr', config, name);
+        if (!thresholds) continue;
 
         if (high.length >= period) {
           calculations.push(
             runIndicatorWithTimeout('atr', [high, low, close], [period])
+              .then(res => {
+                const latest = res[0][res[0].length - 1];
+                const atrPercent = latest / close[close.length - 1] * 100;
+
+                return {
+                  name,
+                  type: 'ATR',
+                  period,
+                  thresholds,
+                  values: Array.from(res[0]),
+                  latest,
+                  atrPercent,
+                  volatilityLevel: atrPercent > thresholds.highPercent ? "high" : atrPercent < thresholds.lowPercent ? "low" : "normal"
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate ADX/DMI (support multiple configurations)
+    const adxConfigs = normalizeConfig(indicators.adx);
+    for (const config of adxConfigs) {
+      if (config.enabled) {
+        const period = config.period || 14;
+        const name = config.name || `adx_${period}`;
+        const thresholds = configThresholds('adx', config, name);
+        if (!thresholds) continue;
+
+        if (high.length >= period * 2) {
+          calculations.push(
+            Promise.all([
+              runIndicatorWithTimeout('di', [high, low, close], [period]),
+              runIndicatorWithTimeout('dx', [high, low, close], [period]),
+              runIndicatorWithTimeout('adx', [high, low, close], [period])
+            ])
+              .then(([di, dx, adx]) => ({
+                name,
+                type: 'ADX',
+                period,
+                thresholds,
+                plusDI: Array.from(di[0]),
+                minusDI: Array.from(di[1]),
+                dx: Array.from(dx[0]),
+                adx: Array.from(adx[0]),
+                latest: {
+                  plusDI: di[0][di[0].length - 1],
+                  minusDI: di[1][di[1].length - 1],
+                  dx: dx[0][dx[0].length - 1],
+                  adx: adx[0][adx[0].length - 1]
+                },
+                trendStrength: classifyTrendStrength(adx[0][adx[0].length - 1], thresholds)
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Classify the trend regime (support multiple configurations)
+    const regimeConfigs = normalizeConfig(indicators.trend_regime);
+    for (const config of regimeConfigs) {
+      if (config.enabled) {
+        const period = config.period || 14;
+        const aroonPeriod = config.aroonPeriod || 25;
+        const name = config.name || 'trend_regime';
+
+        let thresholds;
+        try {
+          const overrides = config.thresholds || {};
+          const unknown = Object.keys(overrides).filter(key => !REGIME_THRESHOLDS.includes(key));
+          if (unknown.length > 0) {
+            throw invalidParam(`Unknown trend_regime thresholds: ${unknown.join(', ')}. Available: ${REGIME_THRESHOLDS.join(', ')}`, { field: "thresholds", unknown, available: REGIME_THRESHOLDS });
+          }
+          thresholds = Object.fromEntries(REGIME_THRESHOLDS.map(key => [key, resolveThresholds(key, thresholdOverrides[key], overrides[key])]));
+        } catch (error) {
+          calculations.push(Promise.resolve({ name, error: error.message }));
+          continue;
+        }
+
+        if (high.length >= Math.max(period * 2, aroonPeriod + 1)) {
+          calculations.push(
+            Promise.all([
+              runIndicatorWithTimeout('di', [high, low, close], [period]),
+              runIndicatorWithTimeout('adx', [high, low, close], [period]),
+              runIndicatorWithTimeout('aroon', [high, low], [aroonPeriod]),
+              runNativeWithTimeout(() => computeVortex({ high, low, close }, period)),
+              runNativeWithTimeout(() => computeChoppiness({ high, low, close }, period))
+            ])
+              .then(([di, adx, aroon, vortex, chop]) => {
+                const last = values => values[values.length - 1];
+                const components = {
+                  adx: last(adx[0]),
+                  plusDI: last(di[0]),
+                  minusDI: last(di[1]),
+                  aroonUp: last(aroon[1]),
+                  aroonDown: last(aroon[0]),
+                  viPlus: last(vortex.plus),
+                  viMinus: last(vortex.minus),
+                  choppiness: last(chop)
+                };
+
+                return {
+                  name,
+                  type: 'Trend Regime',
+                  period,
+                  aroonPeriod,
+                  thresholds,
+                  ...classifyTrendRegime(components, thresholds),
+                  components
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate OBV
+    const obvConfigs = normalizeConfig(indicators.obv);
+    for (const config of obvConfigs) {
+      if (config.enabled) {
+        const name = config.name || 'obv';
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else {
+          calculations.push(
+            runIndicatorWithTimeout('obv', [close, volume], [])
+              .then(res => ({
+                name,
+                type: 'OBV',
+                values: Array.from(res[0]),
+                latest: res[0][res[0].length - 1]
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate Accumulation/Distribution line
+    const adConfigs = normalizeConfig(indicators.ad);
+    for (const config of adConfigs) {
+      if (config.enabled) {
+        const name = config.name || 'ad';
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else {
+          calculations.push(
+            runIndicatorWithTimeout('ad', [high, low, close, volume], [])
+              .then(res => ({
+                name,
+                type: 'Accumulation/Distribution',
+                values: Array.from(res[0]),
+                latest: res[0][res[0].length - 1]
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate Chaikin Money Flow (native, support multiple periods)
+    const cmfConfigs = normalizeConfig(indicators.cmf);
+    for (const config of cmfConfigs) {
+      if (config.enabled) {
+        const period = config.period || 20;
+        const name = config.name || `cmf_${period}`;
+        const thresholds = configThresholds('cmf', config, name);
+        if (!thresholds) continue;
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else if (close.length >= period) {
+          calculations.push(
+            runNativeWithTimeout(() => computeCMF(high, low, close, volume, period))
+              .then(values => ({
+                name,
+                type: 'CMF',
+                period,
+                thresholds,
+                values,
+                latest: values[values.length - 1],
+                signal: values[values.length - 1] > thresholds.buying ? "buying_pressure"
+                  : values[values.length - 1] < thresholds.selling ? "selling_pressure" : "neutral"
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate Money Flow Index (support multiple periods)
+    const mfiConfigs = normalizeConfig(indicators.mfi);
+    for (const config of mfiConfigs) {
+      if (config.enabled) {
+        const period = config.period || 14;
+        const name = config.name || `mfi_${period}`;
+        const thresholds = configThresholds('mfi', config, name);
+        if (!thresholds) continue;
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else if (close.length > period) {
+          calculations.push(
+            runIndicatorWithTimeout('mfi', [high, low, close, volume], [period])
+              .then(res => ({
+                name,
+                type: 'MFI',
+                period,
+                thresholds,
+                values: Array.from(res[0]),
+                latest: res[0][res[0].length - 1],
+                signal: classifyOscillator(res[0][res[0].length - 1], thresholds, 'MFI').signal
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate Volume Weighted Moving Average (support multiple periods)
+    const vwmaConfigs = normalizeConfig(indicators.vwma);
+    for (const config of vwmaConfigs) {
+      if (config.enabled) {
+        const period = config.period || 20;
+        const name = config.name || `vwma_${period}`;
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else if (close.length >= period) {
+          calculations.push(
+            runIndicatorWithTimeout('vwma', [close, volume], [period])
               .then(res => ({
                 name,
-                type: 'ATR',
+                type: 'VWMA',
                 period,
                 values: Array.from(res[0]),
                 latest: res[0][res[0].length - 1]
@@ -582,6 +1256,200 @@ export const calculateAllHandler = async (args) => {
       }
     }
 
+    // Calculate VWAP with session resets (native, support multiple configurations)
+    const vwapConfigs = normalizeConfig(indicators.vwap);
+    for (const config of vwapConfigs) {
+      if (config.enabled) {
+        const session = config.session || (times ? 'daily' : 'none');
+        const bands = config.bands || [1, 2];
+        const name = config.name || `vwap_${session}`;
+
+        if (!volume) {
+          calculations.push(volumeError(name));
+        } else {
+          calculations.push(
+            runNativeWithTimeout(() => {
+              const sessionStarts = findSessionStarts({
+                length: close.length,
+                timestamps: times,
+                session,
+                resetIndices: config.resetIndices || []
+              });
+              return { sessionStarts, ...computeVWAP({ high, low, close, volume }, sessionStarts, bands) };
+            })
+              .then(({ sessionStarts, vwap, bands: vwapBands }) => ({
+                name,
+                type: 'VWAP',
+                session,
+                sessionStarts,
+                values: vwap,
+                bands: vwapBands,
+                latest: {
+                  vwap: vwap[vwap.length - 1],
+                  bands: vwapBands.map(band => ({
+                    multiplier: band.multiplier,
+                    upper: band.upper[band.upper.length - 1],
+                    lower: band.lower[band.lower.length - 1]
+                  }))
+                }
+              }))
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Helper to report the stop line, direction and flip points of a trailing stop
+    const trailingStopResult = (stop, direction) => {
+      const offset = close.length - stop.length;
+      const flips = [];
+      for (let i = 1; i < direction.length; i++) {
+        if (direction[i] !== direction[i - 1]) {
+          flips.push({ index: i + offset, direction: direction[i] === 1 ? 'bullish' : 'bearish' });
+        }
+      }
+      return {
+        values: stop,
+        direction,
+        flips,
+        latest: {
+          stop: stop[stop.length - 1],
+          direction: direction[direction.length - 1] === 1 ? 'bullish' : 'bearish'
+        }
+      };
+    };
+
+    // Calculate Supertrend (support multiple configurations)
+    const supertrendConfigs = normalizeConfig(indicators.supertrend);
+    for (const config of supertrendConfigs) {
+      if (config.enabled) {
+        const period = config.period || 10;
+        const multiplier = config.multiplier || 3;
+        const name = config.name || `supertrend_${period}_${multiplier}`;
+
+        if (high.length > period) {
+          calculations.push(
+            runIndicatorWithTimeout('atr', [high, low, close], [period])
+              .then(res => {
+                const { supertrend, direction } = computeSupertrend({ high, low, close }, res[0], multiplier);
+                return {
+                  name,
+                  type: 'Supertrend',
+                  period,
+                  multiplier,
+                  ...trailingStopResult(supertrend, direction)
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Calculate Parabolic SAR (support multiple configurations)
+    const psarConfigs = normalizeConfig(indicators.psar);
+    for (const config of psarConfigs) {
+      if (config.enabled) {
+        const acceleration = config.acceleration || 0.02;
+        const maximum = config.maximum || 0.2;
+        const name = config.name || `psar_${acceleration}_${maximum}`;
+
+        if (high.length >= 3) {
+          calculations.push(
+            runIndicatorWithTimeout('psar', [high, low], [acceleration, maximum])
+              .then(res => {
+                const sar = Array.from(res[0]);
+                const offset = close.length - sar.length;
+                const direction = sar.map((value, i) => (value < close[i + offset] ? 1 : -1));
+                return {
+                  name,
+                  type: 'Parabolic SAR',
+                  acceleration,
+                  maximum,
+                  ...trailingStopResult(sar, direction)
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Detect support/resistance zones (support multiple configurations)
+    const zoneConfigs = normalizeConfig(indicators.zones);
+    for (const config of zoneConfigs) {
+      if (config.enabled) {
+        const name = config.name || `zones_${config.method || 'fractal'}`;
+
+        let options;
+        try {
+          options = resolveZoneOptions(config);
+        } catch (err) {
+          calculations.push(Promise.resolve({ name, error: err.message }));
+          continue;
+        }
+
+        if (high.length > options.atrPeriod) {
+          calculations.push(
+            runIndicatorWithTimeout('atr', [high, low, close], [options.atrPeriod])
+              .then(res => {
+                const { zones, current } = computeSupportResistance({ high, low, close }, res[0], options);
+                return {
+                  name,
+                  type: 'Support/Resistance Zones',
+                  ...options,
+                  zones,
+                  latest: {
+                    nearestSupport: current.nearestSupport,
+                    nearestResistance: current.nearestResistance,
+                    insideZone: current.insideZone,
+                    signal: current.signal
+                  }
+                };
+              })
+              .catch(err => ({ name, error: err.message }))
+          );
+        }
+      }
+    }
+
+    // Detect candlestick patterns (support multiple configurations)
+    const patternConfigs = normalizeConfig(indicators.patterns);
+    for (const config of patternConfigs) {
+      if (config.enabled) {
+        const lookback = config.lookback || 50;
+        const trendPeriod = config.trendPeriod || 10;
+        const minConfidence = config.minConfidence || 0;
+        const name = config.name || `patterns_${lookback}`;
+
+        if (!open) {
+          calculations.push(Promise.resolve({ name, error: "Open prices required (ohlcv.open)" }));
+          continue;
+        }
+
+        calculations.push(
+          runNativeWithTimeout(() => detectCandlestickPatterns({ open, high, low, close }, {
+            lookback,
+            trendPeriod,
+            minConfidence,
+            patterns: config.patterns
+          }))
+            .then(matches => ({
+              name,
+              type: 'Candlestick Patterns',
+              lookback,
+              trendPeriod,
+              minConfidence,
+              matches,
+              latest: {
+                patterns: matches.filter(match => match.index === close.length - 1)
+              }
+            }))
+            .catch(err => ({ name, error: err.message }))
+        );
+      }
+    }
+
     // Execute all calculations in parallel with aggressive timeout for trading
     let allCalculations;
     try {
@@ -590,21 +1458,11 @@ export const calculateAllHandler = async (args) => {
         5000 // 5 second max for all calculations (reduced for trading speed)
       );
     } catch (timeoutError) {
-      // Return partial results immediately on timeout to prevent transport blocking
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({
-              error: "Calculation timeout - trading system protection activated",
-              partialResults: results.indicators,
-              timestamp: new Date().toISOString(),
-              executionTime: Date.now() - startTime
-            }, null, 2)
-          }
-        ],
-        isError: true
-      };
+      // Keep what finished so the caller can still use the partial results
+      throw new IndicatorError(ERROR_CODES.TIMEOUT, "Calculation timeout - trading system protection activated", {
+        partialResults: results.indicators,
+        executionTime: Date.now() - startTime
+      });
     }
 
     // Process results with error isolation
@@ -622,31 +1480,29 @@ export const calculateAllHandler = async (args) => {
       }
     }
 
+    // Relate the moving averages to each other when several were requested
+    const averages = Object.entries(results.indicators)
+      .filter(([, data]) => AVERAGE_TYPES.has(data.type) && Array.isArray(data.values) && data.values.length > 0)
+      .map(([name, data]) => ({ name, period: data.period, values: data.values }));
+    if (averages.length >= 2) {
+      results.movingAverages = analyzeRibbon(averages, close);
+    }
+
+    // Combine the directional results into one deterministic read
+    if (summary.enabled) {
+      results.summary = summarizeConfluence(results.indicators, {
+        price: close[close.length - 1],
+        averageTypes: AVERAGE_TYPES,
+        weights,
+        thresholds: resolveThresholds('confluence', thresholdOverrides.confluence)
+      });
+    }
+
     results.executionTime = Date.now() - startTime;
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(results, null, 2)
-        }
-      ]
-    };
+    return toolResult(results);
 
   } catch (error) {
-    // Structured error response to prevent transport blocking
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: error.message,
-            timestamp: new Date().toISOString(),
-            executionTime: Date.now() - startTime
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+    throw calculationFailed(error, "Indicator calculation failed");
   }
-};
\ No newline at end of file
+};
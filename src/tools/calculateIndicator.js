@@ -0,0 +1,160 @@
+/**
+ * Generic Tulind Indicator
+ * Calculates any indicator from the tulind catalogue using its own metadata
+ */
+
+import {
+  getTulindIndicator,
+  getInputKeys,
+  getOptionSpecs,
+  listTulindIndicators,
+  runTulind
+} from '../utils/tulindCatalog.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, lengthMismatch, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const calculateIndicatorDefinition = {
+  name: "calculate_indicator",
+  description: "Calculate any of the 100+ tulind indicators by name (e.g. cci, aroon, trix, adx, mfi, obv, kama, psar). Inputs and options are passed by name and validated against tulind's metadata; outputs are returned as named series. Input series are aligned to the end, so output[i] corresponds to input bar (warmup + i).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      indicator: {
+        type: "string",
+        description: "Tulind indicator name, case-insensitive. Examples: 'cci', 'aroon', 'trix', 'willr', 'ultosc', 'psar'."
+      },
+      inputs: {
+        type: "object",
+        description: "Named input series in chronological order (oldest first), all of the same length. Names follow tulind: 'real' (generic price series, usually close), 'open', 'high', 'low', 'close', 'volume'. Indicators taking two generic series use 'real1' and 'real2'. Example for cci: { high: [...], low: [...], close: [...] }",
+        additionalProperties: {
+          type: "array",
+          items: { type: "number" }
+        }
+      },
+      options: {
+        type: "object",
+        description: "Named numeric options. Accepts camelCase keys (e.g. 'period', 'shortPeriod', 'accelerationFactorStep') or the raw tulind names (e.g. 'short period'). Omitted options use the defaults reported by describe_indicators. Example for cci: { period: 20 }",
+        additionalProperties: { type: "number" }
+      }
+    },
+    required: ["indicator", "inputs"]
+  },
+  outputSchema: indicatorOutputSchema({
+    fullName: stringSchema,
+    type: stringSchema,
+    parameters: objectSchema(),
+    warmup: numberSchema,
+    values: { type: "object", additionalProperties: seriesSchema },
+    latest: { type: "object", additionalProperties: { type: ["number", "null"] } }
+  }, ["values", "latest"])
+};
+
+export const calculateIndicatorHandler = async (args) => {
+  const { indicator, inputs = {}, options = {} } = args;
+
+  const meta = getTulindIndicator(indicator);
+  if (!meta) {
+    throw invalidParam(`Unknown indicator '${indicator}'. Available: ${listTulindIndicators().join(', ')}`, { field: "indicator" });
+  }
+
+  if (typeof inputs !== 'object' || inputs === null || Array.isArray(inputs)) {
+    throw invalidParam("Inputs must be an object of named series", { field: "inputs" });
+  }
+
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw invalidParam("Options must be an object of named numeric values", { field: "options" });
+  }
+
+  // Validate inputs against tulind metadata
+  const inputKeys = getInputKeys(meta);
+  const unknownInputs = Object.keys(inputs).filter(key => !inputKeys.includes(key));
+  if (unknownInputs.length > 0) {
+    throw invalidParam(`Unknown inputs for ${meta.name}: ${unknownInputs.join(', ')}. Expected: ${inputKeys.join(', ')}`, { field: "inputs", unknown: unknownInputs, expected: inputKeys });
+  }
+
+  const missingInputs = inputKeys.filter(key => inputs[key] === undefined);
+  if (missingInputs.length > 0) {
+    throw invalidParam(`Missing inputs for ${meta.name}: ${missingInputs.join(', ')}`, { field: "inputs", missing: missingInputs, expected: inputKeys });
+  }
+
+  for (const key of inputKeys) {
+    if (!Array.isArray(inputs[key]) || inputs[key].length === 0) {
+      throw invalidParam(`Input '${key}' must be a non-empty array`, { field: `inputs.${key}` });
+    }
+    if (inputs[key].some(value => typeof value !== 'number' || isNaN(value))) {
+      throw invalidParam(`All values in input '${key}' must be valid numbers`, { field: `inputs.${key}` });
+    }
+  }
+
+  const dataPoints = inputKeys.length > 0 ? inputs[inputKeys[0]].length : 0;
+  if (inputKeys.some(key => inputs[key].length !== dataPoints)) {
+    const lengths = inputKeys.map(key => `${key}=${inputs[key].length}`).join(', ');
+    throw lengthMismatch(`Input series must have the same length (${lengths})`, Object.fromEntries(inputKeys.map(key => [key, inputs[key].length])));
+  }
+
+  // Validate options against tulind metadata (camelCase or raw tulind names)
+  const optionSpecs = getOptionSpecs(meta);
+  const optionKeys = optionSpecs.map(spec => spec.name);
+  const unknownOptions = Object.keys(options).filter(key => !optionKeys.includes(key) && !meta.option_names.includes(key));
+  if (unknownOptions.length > 0) {
+    throw invalidParam(`Unknown options for ${meta.name}: ${unknownOptions.join(', ')}. Expected: ${optionKeys.join(', ') || 'none'}`, { field: "options", unknown: unknownOptions, expected: optionKeys });
+  }
+
+  const resolvedOptions = {};
+  for (const spec of optionSpecs) {
+    const value = options[spec.name] ?? options[spec.tulindName] ?? spec.default;
+    if (value === null) {
+      throw invalidParam(`Missing option '${spec.name}' for ${meta.name}`, { field: `options.${spec.name}` });
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw invalidParam(`Option '${spec.name}' must be a valid number`, { field: `options.${spec.name}` });
+    }
+    if ((spec.minimum !== null && value < spec.minimum) || (spec.maximum !== null && value > spec.maximum)) {
+      throw invalidParam(`Option '${spec.name}' must be between ${spec.minimum} and ${spec.maximum}`, { field: `options.${spec.name}`, minimum: spec.minimum, maximum: spec.maximum });
+    }
+    resolvedOptions[spec.name] = value;
+  }
+
+  const optionValues = optionKeys.map(key => resolvedOptions[key]);
+  const warmup = meta.start(optionValues);
+  if (warmup < 0) {
+    throw invalidParam(`Invalid options for ${meta.name}: ${JSON.stringify(resolvedOptions)}`, { field: "options" });
+  }
+  if (dataPoints <= warmup) {
+    throw insufficientData(`Insufficient data: need at least ${warmup + 1} data points for ${meta.name} with the given options`, { field: "inputs", required: warmup + 1, received: dataPoints });
+  }
+
+  try {
+    const result = await runTulind(meta.name, inputKeys.map(key => inputs[key]), optionValues);
+
+    const outputs = {};
+    const latest = {};
+    meta.output_names.forEach((outputName, index) => {
+      outputs[outputName] = Array.from(result[index]);
+      latest[outputName] = result[index][result[index].length - 1];
+    });
+
+    const response = {
+      indicator: meta.name,
+      fullName: meta.full_name,
+      type: meta.type,
+      parameters: resolvedOptions,
+      dataPoints: dataPoints,
+      warmup: warmup,
+      values: outputs,
+      latest: latest
+    };
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, `${meta.full_name} calculation failed`);
+  }
+};
@@ -0,0 +1,374 @@
+/**
+ * Candlestick Pattern Recognition
+ * Single, two and three candle price-action patterns with trend context and confidence scores
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+/**
+ * Pattern catalogue: display name, bias, number of candles, base confidence and
+ * whether the pattern is a reversal (confirmed by the preceding trend)
+ */
+const PATTERNS = {
+  doji: { name: "Doji", bias: "neutral", candles: 1, confidence: 35, reversal: false },
+  dragonfly_doji: { name: "Dragonfly Doji", bias: "bullish", candles: 1, confidence: 45, reversal: true },
+  gravestone_doji: { name: "Gravestone Doji", bias: "bearish", candles: 1, confidence: 45, reversal: true },
+  spinning_top: { name: "Spinning Top", bias: "neutral", candles: 1, confidence: 30, reversal: false },
+  hammer: { name: "Hammer", bias: "bullish", candles: 1, confidence: 50, reversal: true },
+  hanging_man: { name: "Hanging Man", bias: "bearish", candles: 1, confidence: 45, reversal: true },
+  inverted_hammer: { name: "Inverted Hammer", bias: "bullish", candles: 1, confidence: 45, reversal: true },
+  shooting_star: { name: "Shooting Star", bias: "bearish", candles: 1, confidence: 50, reversal: true },
+  bullish_marubozu: { name: "Bullish Marubozu", bias: "bullish", candles: 1, confidence: 50, reversal: false },
+  bearish_marubozu: { name: "Bearish Marubozu", bias: "bearish", candles: 1, confidence: 50, reversal: false },
+  bullish_engulfing: { name: "Bullish Engulfing", bias: "bullish", candles: 2, confidence: 60, reversal: true },
+  bearish_engulfing: { name: "Bearish Engulfing", bias: "bearish", candles: 2, confidence: 60, reversal: true },
+  bullish_harami: { name: "Bullish Harami", bias: "bullish", candles: 2, confidence: 45, reversal: true },
+  bearish_harami: { name: "Bearish Harami", bias: "bearish", candles: 2, confidence: 45, reversal: true },
+  piercing_line: { name: "Piercing Line", bias: "bullish", candles: 2, confidence: 55, reversal: true },
+  dark_cloud_cover: { name: "Dark Cloud Cover", bias: "bearish", candles: 2, confidence: 55, reversal: true },
+  tweezer_bottom: { name: "Tweezer Bottom", bias: "bullish", candles: 2, confidence: 45, reversal: true },
+  tweezer_top: { name: "Tweezer Top", bias: "bearish", candles: 2, confidence: 45, reversal: true },
+  morning_star: { name: "Morning Star", bias: "bullish", candles: 3, confidence: 65, reversal: true },
+  evening_star: { name: "Evening Star", bias: "bearish", candles: 3, confidence: 65, reversal: true },
+  three_white_soldiers: { name: "Three White Soldiers", bias: "bullish", candles: 3, confidence: 65, reversal: false },
+  three_black_crows: { name: "Three Black Crows", bias: "bearish", candles: 3, confidence: 65, reversal: false }
+};
+
+export const PATTERN_NAMES = Object.keys(PATTERNS);
+
+export const candlestickPatternsDefinition = {
+  name: "detect_candlestick_patterns",
+  description: "Detect candlestick patterns - Recognises doji (standard, dragonfly, gravestone), spinning top, hammer, hanging man, inverted hammer, shooting star, marubozu, engulfing, harami, piercing line, dark cloud cover, tweezer top/bottom, morning/evening star and three white soldiers/black crows. Each match returns the bar index, pattern name, bullish/bearish bias and a confidence score (0-100) that rises when a reversal pattern follows the opposite trend and with candle size. Requires open/high/low/close.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      open: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of opening prices in chronological order (oldest first). Must match length of 'high', 'low' and 'close'. Example: [99, 101, 102, 100, ...]",
+        minItems: 3
+      },
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'open', 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 3
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'open', 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 3
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'open', 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 3
+      },
+      lookback: {
+        type: "integer",
+        description: "Number of most recent bars to scan for patterns. Older bars are still used for trend and size context. Default: 50.",
+        default: 50,
+        minimum: 1,
+        maximum: 5000
+      },
+      trendPeriod: {
+        type: "integer",
+        description: "Bars used to determine the trend before a pattern (close change over this many bars). Default: 10.",
+        default: 10,
+        minimum: 2,
+        maximum: 100
+      },
+      minConfidence: {
+        type: "number",
+        description: "Only return patterns with at least this confidence score. Default: 0.",
+        default: 0,
+        minimum: 0,
+        maximum: 100
+      },
+      patterns: {
+        type: "array",
+        items: { type: "string", enum: PATTERN_NAMES },
+        description: "Only detect these patterns (default: all). Example: ['hammer', 'bullish_engulfing', 'morning_star']"
+      }
+    },
+    required: ["open", "high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    patterns: {
+      type: "array",
+      items: objectSchema({ index: numberSchema, pattern: stringSchema, name: stringSchema, bias: stringSchema, confidence: numberSchema }, ["index", "pattern", "bias"])
+    },
+    current: currentSchema({ patterns: { type: "array", items: { type: "object" } }, signal: stringSchema }, ["patterns", "signal"]),
+    statistics: objectSchema({ total: numberSchema, bullish: numberSchema, bearish: numberSchema, neutral: numberSchema })
+  }, ["patterns", "current"])
+};
+
+/**
+ * Detect candlestick patterns
+ * @param {object} series - { open, high, low, close }
+ * @param {object} options - { lookback, trendPeriod, minConfidence, patterns }
+ * @returns {Array<object>} Matches in chronological order:
+ *   { index, startIndex, pattern, name, bias, confidence, trend }
+ */
+export function detectCandlestickPatterns({ open, high, low, close }, options = {}) {
+  const { lookback = 50, trendPeriod = 10, minConfidence = 0 } = options;
+  const enabled = new Set(options.patterns || PATTERN_NAMES);
+  const length = close.length;
+  const contextBars = 10;
+
+  const candle = (i) => {
+    const body = Math.abs(close[i] - open[i]);
+    const range = high[i] - low[i];
+    return {
+      open: open[i],
+      close: close[i],
+      high: high[i],
+      low: low[i],
+      body,
+      range,
+      top: Math.max(open[i], close[i]),
+      bottom: Math.min(open[i], close[i]),
+      mid: (open[i] + close[i]) / 2,
+      upper: high[i] - Math.max(open[i], close[i]),
+      lower: Math.min(open[i], close[i]) - low[i],
+      bullish: close[i] > open[i],
+      bearish: close[i] < open[i]
+    };
+  };
+
+  // Average body and range of the bars before index i, for "long" and "small" candle checks
+  const average = (i, measure) => {
+    const start = Math.max(0, i - contextBars);
+    if (start === i) return measure(i);
+    let sum = 0;
+    for (let j = start; j < i; j++) sum += measure(j);
+    return sum / (i - start);
+  };
+
+  // Trend before the first candle of a pattern: close change over trendPeriod bars
+  const trendBefore = (start) => {
+    const end = start - 1;
+    if (end - trendPeriod < 0) return "unknown";
+    const change = close[end] - close[end - trendPeriod];
+    const threshold = average(end, j => high[j] - low[j]) * 0.5;
+    if (change > threshold) return "up";
+    if (change < -threshold) return "down";
+    return "sideways";
+  };
+
+  const matches = [];
+  const add = (pattern, index, c) => {
+    if (!enabled.has(pattern)) return;
+
+    const spec = PATTERNS[pattern];
+    const startIndex = index - spec.candles + 1;
+    const trend = trendBefore(startIndex);
+    const avgRange = average(index, j => high[j] - low[j]);
+
+    let confidence = spec.confidence;
+    // Reversal patterns are more reliable after the opposite trend
+    if (spec.reversal) {
+      if ((spec.bias === "bullish" && trend === "down") || (spec.bias === "bearish" && trend === "up")) {
+        confidence += 20;
+      } else if (trend !== "unknown" && trend !== "sideways") {
+        confidence -= 15;
+      }
+    }
+    // Larger candles than usual carry more weight
+    if (avgRange > 0) {
+      confidence += Math.min(15, Math.round((c.range / avgRange - 1) * 10));
+    }
+    confidence = Math.max(0, Math.min(100, confidence));
+
+    if (confidence < minConfidence) return;
+
+    matches.push({
+      index,
+      startIndex,
+      pattern,
+      name: spec.name,
+      bias: spec.bias,
+      confidence,
+      trend
+    });
+  };
+
+  const first = Math.max(0, length - lookback);
+  for (let i = first; i < length; i++) {
+    const c = candle(i);
+    if (c.range === 0) continue;
+
+    const avgBody = average(i, j => Math.abs(close[j] - open[j]));
+    const trend = trendBefore(i);
+    const isDoji = c.body <= c.range * 0.1;
+
+    // Single candle patterns
+    if (isDoji) {
+      if (c.upper <= c.range * 0.1 && c.lower >= c.range * 0.6) add("dragonfly_doji", i, c);
+      else if (c.lower <= c.range * 0.1 && c.upper >= c.range * 0.6) add("gravestone_doji", i, c);
+      else add("doji", i, c);
+    } else if (c.lower >= c.body * 2 && c.upper <= c.range * 0.15) {
+      if (trend === "down") add("hammer", i, c);
+      else if (trend === "up") add("hanging_man", i, c);
+    } else if (c.upper >= c.body * 2 && c.lower <= c.range * 0.15) {
+      if (trend === "down") add("inverted_hammer", i, c);
+      else if (trend === "up") add("shooting_star", i, c);
+    } else if (c.body >= c.range * 0.9 && c.body >= avgBody) {
+      add(c.bullish ? "bullish_marubozu" : "bearish_marubozu", i, c);
+    } else if (c.body <= c.range * 0.3 && c.upper > c.body && c.lower > c.body) {
+      add("spinning_top", i, c);
+    }
+
+    // Two candle patterns
+    if (i >= 1) {
+      const p = candle(i - 1);
+      const longPrevious = p.body >= avgBody;
+
+      if (p.bearish && c.bullish && c.open <= p.close && c.close >= p.open && c.body > p.body) {
+        add("bullish_engulfing", i, c);
+      } else if (p.bullish && c.bearish && c.open >= p.close && c.close <= p.open && c.body > p.body) {
+        add("bearish_engulfing", i, c);
+      } else if (longPrevious && p.bearish && c.top <= p.open && c.bottom >= p.close && c.body < p.body * 0.6) {
+        add("bullish_harami", i, c);
+      } else if (longPrevious && p.bullish && c.top <= p.close && c.bottom >= p.open && c.body < p.body * 0.6) {
+        add("bearish_harami", i, c);
+      } else if (longPrevious && p.bearish && c.bullish && c.open <= p.close && c.close > p.mid && c.close < p.open) {
+        add("piercing_line", i, c);
+      } else if (longPrevious && p.bullish && c.bearish && c.open >= p.close && c.close < p.mid && c.close > p.open) {
+        add("dark_cloud_cover", i, c);
+      }
+
+      const tolerance = average(i, j => high[j] - low[j]) * 0.05;
+      if (p.bearish && c.bullish && Math.abs(c.low - p.low) <= tolerance && trendBefore(i - 1) === "down") {
+        add("tweezer_bottom", i, c);
+      } else if (p.bullish && c.bearish && Math.abs(c.high - p.high) <= tolerance && trendBefore(i - 1) === "up") {
+        add("tweezer_top", i, c);
+      }
+    }
+
+    // Three candle patterns
+    if (i >= 2) {
+      const a = candle(i - 2);
+      const b = candle(i - 1);
+      const longFirst = a.body >= avgBody;
+
+      if (longFirst && a.bearish && b.body <= a.body * 0.5 && b.top <= a.close + a.body * 0.1 && c.bullish && c.close > a.mid) {
+        add("morning_star", i, c);
+      } else if (longFirst && a.bullish && b.body <= a.body * 0.5 && b.bottom >= a.close - a.body * 0.1 && c.bearish && c.close < a.mid) {
+        add("evening_star", i, c);
+      }
+
+      const soldiers = [a, b, c].every((k, j, all) => k.bullish && k.body >= avgBody * 0.5 && k.upper <= k.body * 0.5 &&
+        (j === 0 || (k.close > all[j - 1].close && k.open >= all[j - 1].open && k.open <= all[j - 1].close)));
+      const crows = [a, b, c].every((k, j, all) => k.bearish && k.body >= avgBody * 0.5 && k.lower <= k.body * 0.5 &&
+        (j === 0 || (k.close < all[j - 1].close && k.open <= all[j - 1].open && k.open >= all[j - 1].close)));
+
+      if (soldiers) add("three_white_soldiers", i, c);
+      else if (crows) add("three_black_crows", i, c);
+    }
+  }
+
+  return matches;
+}
+
+export const candlestickPatternsHandler = async (args) => {
+  const { open, high, low, close, lookback = 50, trendPeriod = 10, minConfidence = 0, patterns } = args;
+
+  const { series, length, warning } = alignSeries({ open, high, low, close });
+
+  if (length < 3) {
+    throw insufficientData("Insufficient data: need at least 3 candles for candlestick pattern detection", { field: "close", required: 3, received: length });
+  }
+
+  if (patterns !== undefined) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      throw invalidParam("Patterns must be a non-empty array", { field: "patterns" });
+    }
+    const unknown = patterns.filter(pattern => !PATTERN_NAMES.includes(pattern));
+    if (unknown.length > 0) {
+      throw invalidParam(`Unknown patterns: ${unknown.join(', ')}. Available: ${PATTERN_NAMES.join(', ')}`, { field: "patterns", unknown, available: PATTERN_NAMES });
+    }
+  }
+
+  for (let i = 0; i < length; i++) {
+    if (series.high[i] < Math.max(series.open[i], series.close[i], series.low[i]) || series.low[i] > Math.min(series.open[i], series.close[i])) {
+      throw invalidParam(`Invalid candle at index ${i}: high must be the highest and low the lowest price`, { fields: ["open", "high", "low", "close"], index: i });
+    }
+  }
+
+  try {
+    const matches = detectCandlestickPatterns(series, { lookback, trendPeriod, minConfidence, patterns });
+
+    const latest = matches.filter(match => match.index === length - 1);
+    const byPattern = {};
+    for (const match of matches) {
+      byPattern[match.pattern] = (byPattern[match.pattern] || 0) + 1;
+    }
+
+    // Weigh the latest bar's patterns by confidence to get a single bias
+    const score = latest.reduce((sum, match) => sum + (match.bias === "bullish" ? match.confidence : match.bias === "bearish" ? -match.confidence : 0), 0);
+
+    let signal = "none";
+    let interpretation = "No candlestick pattern on the latest bar";
+
+    if (latest.length > 0) {
+      const names = latest.map(match => `${match.name} (${match.confidence})`).join(', ');
+      if (score > 0) {
+        signal = "bullish";
+        interpretation = `Bullish pattern on the latest bar: ${names}`;
+      } else if (score < 0) {
+        signal = "bearish";
+        interpretation = `Bearish pattern on the latest bar: ${names}`;
+      } else {
+        signal = "indecision";
+        interpretation = `Indecision pattern on the latest bar: ${names} - wait for confirmation`;
+      }
+    }
+
+    const response = {
+      indicator: "Candlestick Patterns",
+      parameters: {
+        lookback: lookback,
+        trendPeriod: trendPeriod,
+        minConfidence: minConfidence,
+        patterns: patterns || "all"
+      },
+      dataPoints: length,
+      patterns: matches,
+      current: {
+        patterns: latest,
+        signal: signal,
+        interpretation: interpretation
+      },
+      statistics: {
+        total: matches.length,
+        bullish: matches.filter(match => match.bias === "bullish").length,
+        bearish: matches.filter(match => match.bias === "bearish").length,
+        neutral: matches.filter(match => match.bias === "neutral").length,
+        byPattern: byPattern
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Candlestick pattern detection failed");
+  }
+};
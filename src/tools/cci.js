@@ -0,0 +1,107 @@
+/**
+ * CCI (Commodity Channel Index) Indicator
+ * Measures the typical price deviation from its moving average
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeOscillator } from '../utils/oscillator.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const cciDefinition = {
+  name: "calculate_cci",
+  description: "Calculate CCI (Commodity Channel Index) - Unbounded momentum oscillator measuring how far the typical price is from its average. Above +100 = overbought / strong uptrend, below -100 = oversold / strong downtrend. Standard period: 20. Thresholds are configurable.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close' arrays. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close' arrays. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low' arrays. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "CCI calculation period. Standard: 20. Needs 2 x period - 1 data points.",
+        default: 20,
+        minimum: 2,
+        maximum: 100
+      },
+      thresholds: thresholdsSchema("cci")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const cciHandler = async (args) => {
+  const { high, low, close, period = 20 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("cci", args.thresholds);
+
+  // The mean deviation needs a full window of averages
+  const minDataPoints = period * 2 - 1;
+  if (length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for CCI calculation with period ${period}`, { field: "close", required: minDataPoints, received: length });
+  }
+
+  try {
+    // Calculate CCI using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.cci.indicator([series.high, series.low, series.close], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const cciValues = result[0];
+
+    const response = {
+      indicator: "CCI",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: cciValues,
+      ...analyzeOscillator(cciValues, thresholds, "CCI")
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "CCI calculation failed");
+  }
+};
@@ -0,0 +1,163 @@
+/**
+ * Choppiness Index Indicator
+ * Whether the market is trending or moving sideways, from summed true range versus the period range
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const choppinessDefinition = {
+  name: "calculate_choppiness",
+  description: "Calculate Choppiness Index - Non-directional 0-100 measure of trendiness. Below 38.2 = trending (directional move), above 61.8 = choppy/ranging (sideways). High values often precede breakouts, low values trend exhaustion. Standard period: 14. Thresholds are configurable.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Choppiness lookback period. Standard: 14. Must be less than array length.",
+        default: 14,
+        minimum: 2,
+        maximum: 200
+      },
+      thresholds: thresholdsSchema("choppiness")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: currentSchema({ value: numberSchema, regime: stringSchema, signal: stringSchema, trend: stringSchema }, ["value", "regime", "signal"]),
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+/**
+ * Calculate the Choppiness Index
+ * CHOP = 100 x log10(sum of true range / (highest high - lowest low)) / log10(period)
+ * @param {object} series - { high, low, close }
+ * @param {number} period - Lookback period
+ * @returns {Array<number>} Values starting at bar 'period', aligned to the end of the input
+ */
+export function computeChoppiness({ high, low, close }, period) {
+  const values = [];
+  const normalizer = Math.log10(period);
+
+  for (let i = period; i < close.length; i++) {
+    let sumRange = 0;
+    let highest = -Infinity;
+    let lowest = Infinity;
+
+    for (let j = i - period + 1; j <= i; j++) {
+      sumRange += Math.max(high[j] - low[j], Math.abs(high[j] - close[j - 1]), Math.abs(low[j] - close[j - 1]));
+      highest = Math.max(highest, high[j]);
+      lowest = Math.min(lowest, low[j]);
+    }
+
+    const range = highest - lowest;
+    // A flat window has no direction at all: report it as fully choppy
+    values.push(range === 0 || sumRange === 0 ? 100 : (100 * Math.log10(sumRange / range)) / normalizer);
+  }
+
+  return values;
+}
+
+/**
+ * Classify a Choppiness Index value
+ * @param {number} value - Choppiness Index
+ * @param {object} thresholds - { trending, choppy }, defaults to the server thresholds
+ * @returns {string} "trending", "ranging" or "transitional"
+ */
+export function classifyChoppiness(value, thresholds = resolveThresholds("choppiness")) {
+  if (value < thresholds.trending) return "trending";
+  if (value > thresholds.choppy) return "ranging";
+  return "transitional";
+}
+
+export const choppinessHandler = async (args) => {
+  const { high, low, close, period = 14 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("choppiness", args.thresholds);
+  const { trending, choppy } = thresholds;
+
+  if (length < period + 1) {
+    throw insufficientData(`Insufficient data: need at least ${period + 1} data points for Choppiness Index calculation with period ${period}`, { field: "close", required: period + 1, received: length });
+  }
+
+  try {
+    const chopValues = computeChoppiness(series, period);
+
+    const currentChop = chopValues[chopValues.length - 1];
+    const previousChop = chopValues[chopValues.length - 2];
+    const regime = classifyChoppiness(currentChop, thresholds);
+
+    let interpretation = "";
+    if (regime === "trending") {
+      interpretation = `Choppiness below ${trending} - market is trending, favour trend-following signals`;
+    } else if (regime === "ranging") {
+      interpretation = `Choppiness above ${choppy} - market is ranging, favour oscillator signals; a breakout often follows extended chop`;
+    } else {
+      interpretation = `Choppiness between ${trending} and ${choppy} - no clear regime`;
+    }
+
+    const response = {
+      indicator: "Choppiness Index",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: chopValues,
+      current: {
+        value: Number(currentChop.toFixed(2)),
+        regime: regime,
+        signal: regime,
+        trend: previousChop === undefined ? "flat" : currentChop > previousChop ? "rising" : currentChop < previousChop ? "falling" : "flat",
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...chopValues).toFixed(2)),
+        max: Number(Math.max(...chopValues).toFixed(2)),
+        average: Number((chopValues.reduce((a, b) => a + b, 0) / chopValues.length).toFixed(2))
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Choppiness Index calculation failed");
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * CMF (Chaikin Money Flow) Indicator
+ * Sum of money flow volume over a period divided by the sum of volume
+ */
+
+import { alignSeries, validateVolume } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const cmfDefinition = {
+  name: "calculate_cmf",
+  description: "Calculate CMF (Chaikin Money Flow) - Volume-weighted measure of buying/selling pressure over a period, oscillating between -1 and +1. Above +0.05 = buying pressure (bullish), below -0.05 = selling pressure (bearish), configurable via 'thresholds'. Standard period: 20.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low', 'close' and 'volume'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high', 'close' and 'volume'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high', 'low' and 'volume'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as the price arrays. Example: [1200, 1500, 900, 1800, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "CMF summation period. Standard: 20 (Chaikin's original). Shorter (10) for more sensitive readings.",
+        default: 20,
+        minimum: 1,
+        maximum: 500
+      },
+      thresholds: thresholdsSchema("cmf")
+    },
+    required: ["high", "low", "close", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+/**
+ * Calculate Chaikin Money Flow (tulind has no CMF)
+ * Output is aligned to the end like tulind: output[i] corresponds to input bar (period - 1 + i)
+ * @param {Array<number>} high - High prices
+ * @param {Array<number>} low - Low prices
+ * @param {Array<number>} close - Close prices
+ * @param {Array<number>} volume - Volumes
+ * @param {number} period - Summation period
+ * @returns {Array<number>} CMF values
+ */
+export function computeCMF(high, low, close, volume, period) {
+  const moneyFlowVolume = close.map((c, i) => {
+    const range = high[i] - low[i];
+    const multiplier = range === 0 ? 0 : ((c - low[i]) - (high[i] - c)) / range;
+    return multiplier * volume[i];
+  });
+
+  const values = [];
+  let flowSum = 0;
+  let volumeSum = 0;
+
+  for (let i = 0; i < close.length; i++) {
+    flowSum += moneyFlowVolume[i];
+    volumeSum += volume[i];
+
+    if (i >= period) {
+      flowSum -= moneyFlowVolume[i - period];
+      volumeSum -= volume[i - period];
+    }
+
+    if (i >= period - 1) {
+      values.push(volumeSum === 0 ? 0 : flowSum / volumeSum);
+    }
+  }
+
+  return values;
+}
+
+export const cmfHandler = async (args) => {
+  const { high, low, close, volume, period = 20 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  validateVolume(volume, length);
+  const thresholds = resolveThresholds("cmf", args.thresholds);
+  const { buying, selling } = thresholds;
+
+  if (length < period) {
+    throw insufficientData(`Insufficient data: need at least ${period} data points for CMF calculation with period ${period}`, { field: "close", required: period, received: length });
+  }
+
+  try {
+    const cmfValues = computeCMF(series.high, series.low, series.close, volume, period);
+
+    // Analyze current money flow
+    const currentCMF = cmfValues[cmfValues.length - 1];
+    const previousCMF = cmfValues[cmfValues.length - 2];
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (previousCMF !== undefined && currentCMF > 0 && previousCMF <= 0) {
+      signal = "bullish_crossover";
+      interpretation = "CMF crossed above zero - money flow turned positive";
+    } else if (previousCMF !== undefined && currentCMF < 0 && previousCMF >= 0) {
+      signal = "bearish_crossover";
+      interpretation = "CMF crossed below zero - money flow turned negative";
+    } else if (currentCMF > buying) {
+      signal = "buying_pressure";
+      interpretation = `CMF above ${buying} indicates sustained buying pressure (accumulation)`;
+    } else if (currentCMF < selling) {
+      signal = "selling_pressure";
+      interpretation = `CMF below ${selling} indicates sustained selling pressure (distribution)`;
+    } else {
+      interpretation = "CMF near zero - balanced money flow, no clear volume bias";
+    }
+
+    const response = {
+      indicator: "CMF",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: cmfValues,
+      current: {
+        value: Number(currentCMF.toFixed(4)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...cmfValues).toFixed(4)),
+        max: Number(Math.max(...cmfValues).toFixed(4)),
+        average: Number((cmfValues.reduce((a, b) => a + b, 0) / cmfValues.length).toFixed(4))
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "CMF calculation failed");
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Indicator Discovery
+ * Describes inputs, options, outputs and warm-up lengths of every available indicator
+ */
+
+import {
+  getTulindIndicator,
+  listTulindIndicators,
+  describeTulindIndicator
+} from '../utils/tulindCatalog.js';
+import { listIndicators } from './tradingIndicators.js';
+import { toolResult, objectSchema, numberSchema, stringSchema } from '../utils/toolOutput.js';
+import { invalidParam } from '../utils/errors.js';
+
+export const describeIndicatorsDefinition = {
+  name: "describe_indicators",
+  description: "Describe available indicators so valid calls can be built without trial and error. For each tulind indicator (usable with calculate_indicator) returns the required input series (e.g. real/close, high/low/close, volume), option names with defaults and bounds, output series names and the warm-up length (number of leading bars consumed with default options). Also lists the dedicated calculate_* tools with their inputs and parameters.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      names: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only describe these tulind indicators (e.g. ['cci', 'aroon', 'trix']). Default: all."
+      },
+      type: {
+        type: "string",
+        enum: ["indicator", "overlay", "math", "simple"],
+        description: "Only describe tulind indicators of this type. 'overlay' are plotted on price (moving averages, bands), 'indicator' are oscillators and studies, 'math'/'simple' are vector utilities."
+      },
+      includeTools: {
+        type: "boolean",
+        description: "Include the dedicated calculate_* tools in the response. Default: true.",
+        default: true
+      }
+    },
+    required: []
+  },
+  outputSchema: objectSchema({
+    count: numberSchema,
+    usage: stringSchema,
+    indicators: {
+      type: "array",
+      items: objectSchema({ name: stringSchema, fullName: stringSchema, type: stringSchema }, ["name"])
+    },
+    tools: {
+      type: "array",
+      items: objectSchema({ name: stringSchema, description: stringSchema }, ["name"])
+    }
+  }, ["count", "indicators"])
+};
+
+export const describeIndicatorsHandler = async (args = {}) => {
+  const { names, type, includeTools = true } = args;
+
+  if (names !== undefined && !Array.isArray(names)) {
+    throw invalidParam("Names must be an array of indicator names", { field: "names" });
+  }
+
+  let selected = listTulindIndicators();
+  if (names) {
+    const unknown = names.filter(name => !getTulindIndicator(name));
+    if (unknown.length > 0) {
+      throw invalidParam(`Unknown indicators: ${unknown.join(', ')}`, { field: "names", unknown });
+    }
+    selected = names.map(name => name.toLowerCase());
+  }
+
+  let indicators = selected.map(name => describeTulindIndicator(getTulindIndicator(name)));
+  if (type) {
+    indicators = indicators.filter(indicator => indicator.type === type);
+  }
+
+  const response = {
+    count: indicators.length,
+    usage: "Call calculate_indicator with { indicator, inputs: { <input name>: [...] }, options: { <option name>: value } }. Output series are shorter than the inputs by 'warmup' bars: output[i] corresponds to input bar warmup + i.",
+    indicators: indicators
+  };
+
+  if (includeTools) {
+    response.tools = listIndicators();
+  }
+
+  return toolResult(response);
+};
@@ -0,0 +1,156 @@
+/**
+ * Donchian Channels Indicator
+ * Highest high and lowest low over a rolling period
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesMapSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const donchianChannelsDefinition = {
+  name: "calculate_donchian_channels",
+  description: "Calculate Donchian Channels - Upper band is the highest high, lower band the lowest low over the period, middle is their average. A close above the previous upper band is a breakout (Turtle-style entry); below the previous lower band a breakdown. Standard period: 20.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Lookback period for the highest high / lowest low. Standard: 20 (Turtle entry), 55 for longer-term breakouts, 10 for exits.",
+        default: 20,
+        minimum: 1,
+        maximum: 500
+      }
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    values: seriesMapSchema(["lower", "middle", "upper"]),
+    current: currentSchema({
+      price: numberSchema,
+      lower: numberSchema,
+      middle: numberSchema,
+      upper: numberSchema,
+      signal: stringSchema
+    }, ["price", "lower", "middle", "upper", "signal"]),
+    analysis: objectSchema({ channelWidth: numberSchema, channelWidthPercent: numberSchema, positionInChannel: numberSchema })
+  }, ["values", "current"])
+};
+
+export const donchianChannelsHandler = async (args) => {
+  const { high, low, close, period = 20 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+
+  if (length < period + 1) {
+    throw insufficientData(`Insufficient data: need at least ${period + 1} data points for Donchian Channels calculation with period ${period}`, { field: "close", required: period + 1, received: length });
+  }
+
+  try {
+    // Calculate rolling max/min using Tulind
+    const run = (name, input) => new Promise((resolve, reject) => {
+      tulind.indicators[name].indicator([input], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results[0]);
+      });
+    });
+
+    const [upper, lower] = await Promise.all([
+      run('max', series.high),
+      run('min', series.low)
+    ]);
+    const middle = upper.map((value, i) => (value + lower[i]) / 2);
+
+    // Breakouts compare the close with the channel of the previous bar
+    const currentPrice = series.close[length - 1];
+    const currentUpper = upper[upper.length - 1];
+    const currentLower = lower[lower.length - 1];
+    const currentMiddle = middle[middle.length - 1];
+    const previousUpper = upper[upper.length - 2];
+    const previousLower = lower[lower.length - 2];
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (currentPrice > previousUpper) {
+      signal = "breakout_up";
+      interpretation = `Price (${currentPrice.toFixed(2)}) closed above the prior ${period}-bar high (${previousUpper.toFixed(2)}) - bullish breakout`;
+    } else if (currentPrice < previousLower) {
+      signal = "breakout_down";
+      interpretation = `Price (${currentPrice.toFixed(2)}) closed below the prior ${period}-bar low (${previousLower.toFixed(2)}) - bearish breakdown`;
+    } else if (currentPrice > currentMiddle) {
+      signal = "upper_half";
+      interpretation = "Price is in the upper half of the channel - bullish bias";
+    } else {
+      signal = "lower_half";
+      interpretation = "Price is in the lower half of the channel - bearish bias";
+    }
+
+    const channelWidth = currentUpper - currentLower;
+
+    const response = {
+      indicator: "Donchian Channels",
+      parameters: {
+        period: period
+      },
+      dataPoints: length,
+      values: {
+        lower: lower,
+        middle: middle,
+        upper: upper
+      },
+      current: {
+        price: Number(currentPrice.toFixed(2)),
+        lower: Number(currentLower.toFixed(2)),
+        middle: Number(currentMiddle.toFixed(2)),
+        upper: Number(currentUpper.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        channelWidth: Number(channelWidth.toFixed(4)),
+        channelWidthPercent: Number(((channelWidth / currentMiddle) * 100).toFixed(2)),
+        positionInChannel: channelWidth === 0 ? 50 : Number((((currentPrice - currentLower) / channelWidth) * 100).toFixed(2)),
+        newHigh: currentUpper > previousUpper,
+        newLow: currentLower < previousLower
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Donchian Channels calculation failed");
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * Ichimoku Kinko Hyo Indicator
+ * Trend system built from midpoints of rolling high/low ranges, with a forward-displaced cloud
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  stringSchema,
+  seriesMapSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const ichimokuDefinition = {
+  name: "calculate_ichimoku",
+  description: "Calculate Ichimoku Kinko Hyo (Ichimoku Cloud) - Returns Tenkan-sen, Kijun-sen, Senkou Span A/B (cloud, projected 'displacement' bars forward) and Chikou Span (close shifted back). Price above the cloud = bullish trend, below = bearish, inside = ranging. Tenkan crossing above Kijun = bullish TK cross. Standard settings: 9, 26, 52, displacement 26.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      tenkanPeriod: {
+        type: "integer",
+        description: "Tenkan-sen (conversion line) period. Standard: 9.",
+        default: 9,
+        minimum: 1,
+        maximum: 200
+      },
+      kijunPeriod: {
+        type: "integer",
+        description: "Kijun-sen (base line) period. Standard: 26.",
+        default: 26,
+        minimum: 1,
+        maximum: 200
+      },
+      senkouBPeriod: {
+        type: "integer",
+        description: "Senkou Span B period. Standard: 52.",
+        default: 52,
+        minimum: 1,
+        maximum: 400
+      },
+      displacement: {
+        type: "integer",
+        description: "Number of bars the cloud is projected forward and the Chikou Span is shifted back. Standard: 26.",
+        default: 26,
+        minimum: 1,
+        maximum: 200
+      }
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    indexing: stringSchema,
+    values: seriesMapSchema(["tenkan", "kijun", "senkouA", "senkouB", "chikou"]),
+    current: currentSchema({ pricePosition: stringSchema, cloudColor: stringSchema, tkCross: stringSchema, chikouPosition: stringSchema, signal: stringSchema }, ["signal"]),
+    analysis: objectSchema()
+  }, ["values", "current"])
+};
+
+/**
+ * Midpoint of the highest high and lowest low over a rolling period
+ * Output is aligned with the input; bars before the first full window are null
+ * @param {Array<number>} high - High prices
+ * @param {Array<number>} low - Low prices
+ * @param {number} period - Rolling window
+ * @returns {Array<number|null>} Midpoint values
+ */
+function rollingMidpoint(high, low, period) {
+  return high.map((_, i) => {
+    if (i < period - 1) return null;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      if (high[j] > highest) highest = high[j];
+      if (low[j] < lowest) lowest = low[j];
+    }
+    return (highest + lowest) / 2;
+  });
+}
+
+/**
+ * Calculate Ichimoku lines (tulind has no Ichimoku)
+ * Index convention: every series is indexed by the bar it is plotted at.
+ * - tenkan, kijun: length n, value at bar i
+ * - senkouA, senkouB: length n + displacement, value at bar i is computed from bar i - displacement,
+ *   so indices n..n+displacement-1 are the projected (future) cloud
+ * - chikou: length n, value at bar i is close[i + displacement] (null for the last displacement bars)
+ * @param {object} series - { high, low, close }
+ * @param {object} params - { tenkanPeriod, kijunPeriod, senkouBPeriod, displacement }
+ * @returns {object} { tenkan, kijun, senkouA, senkouB, chikou }
+ */
+export function computeIchimoku({ high, low, close }, { tenkanPeriod, kijunPeriod, senkouBPeriod, displacement }) {
+  const tenkan = rollingMidpoint(high, low, tenkanPeriod);
+  const kijun = rollingMidpoint(high, low, kijunPeriod);
+  const spanB = rollingMidpoint(high, low, senkouBPeriod);
+  const spanA = tenkan.map((value, i) => (value === null || kijun[i] === null ? null : (value + kijun[i]) / 2));
+
+  const leading = Array(displacement).fill(null);
+  const senkouA = [...leading, ...spanA];
+  const senkouB = [...leading, ...spanB];
+  const chikou = close.map((_, i) => (i + displacement < close.length ? close[i + displacement] : null));
+
+  return { tenkan, kijun, senkouA, senkouB, chikou };
+}
+
+export const ichimokuHandler = async (args) => {
+  const { high, low, close, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, displacement = 26 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+
+  if (tenkanPeriod >= kijunPeriod) {
+    throw invalidParam("Tenkan period must be less than Kijun period", { fields: ["tenkanPeriod", "kijunPeriod"] });
+  }
+
+  // The current cloud was computed 'displacement' bars ago from a full Senkou B window
+  const minDataPoints = Math.max(kijunPeriod, senkouBPeriod) + displacement;
+  if (length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for Ichimoku calculation (max(kijunPeriod, senkouBPeriod) + displacement)`, { field: "close", required: minDataPoints, received: length });
+  }
+
+  try {
+    const { tenkan, kijun, senkouA, senkouB, chikou } = computeIchimoku(series, { tenkanPeriod, kijunPeriod, senkouBPeriod, displacement });
+
+    // Analyze the current bar
+    const last = length - 1;
+    const currentPrice = series.close[last];
+    const currentTenkan = tenkan[last];
+    const currentKijun = kijun[last];
+    const previousTenkan = tenkan[last - 1];
+    const previousKijun = kijun[last - 1];
+    const cloudA = senkouA[last];
+    const cloudB = senkouB[last];
+    const cloudTop = Math.max(cloudA, cloudB);
+    const cloudBottom = Math.min(cloudA, cloudB);
+    const futureA = senkouA[senkouA.length - 1];
+    const futureB = senkouB[senkouB.length - 1];
+
+    // Price vs cloud
+    let pricePosition = "inside_cloud";
+    if (currentPrice > cloudTop) pricePosition = "above_cloud";
+    else if (currentPrice < cloudBottom) pricePosition = "below_cloud";
+
+    // Cloud colour (bullish when Senkou A is above Senkou B)
+    const cloudColor = cloudA > cloudB ? "bullish" : cloudA < cloudB ? "bearish" : "neutral";
+    const futureCloudColor = futureA > futureB ? "bullish" : futureA < futureB ? "bearish" : "neutral";
+
+    // TK cross, graded by where it happens relative to the cloud
+    let tkCross = "none";
+    if (currentTenkan > currentKijun && previousTenkan !== null && previousTenkan <= previousKijun) {
+      tkCross = "bullish";
+    } else if (currentTenkan < currentKijun && previousTenkan !== null && previousTenkan >= previousKijun) {
+      tkCross = "bearish";
+    }
+
+    let tkCrossStrength = null;
+    if (tkCross !== "none") {
+      const crossLevel = (currentTenkan + currentKijun) / 2;
+      const crossAboveCloud = crossLevel > cloudTop;
+      const crossBelowCloud = crossLevel < cloudBottom;
+      if (tkCross === "bullish") {
+        tkCrossStrength = crossAboveCloud ? "strong" : crossBelowCloud ? "weak" : "neutral";
+      } else {
+        tkCrossStrength = crossBelowCloud ? "strong" : crossAboveCloud ? "weak" : "neutral";
+      }
+    }
+
+    // Chikou Span vs the price it is plotted against
+    const chikouReference = series.close[last - displacement];
+    const chikouPosition = currentPrice > chikouReference ? "above_price" : currentPrice < chikouReference ? "below_price" : "at_price";
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (tkCross === "bullish") {
+      signal = "bullish_tk_cross";
+      interpretation = `Tenkan-sen crossed above Kijun-sen (${tkCrossStrength} signal, price ${pricePosition.replace('_', ' ')})`;
+    } else if (tkCross === "bearish") {
+      signal = "bearish_tk_cross";
+      interpretation = `Tenkan-sen crossed below Kijun-sen (${tkCrossStrength} signal, price ${pricePosition.replace('_', ' ')})`;
+    } else if (pricePosition === "above_cloud" && currentTenkan > currentKijun && chikouPosition === "above_price") {
+      signal = "strong_bullish";
+      interpretation = "Price above the cloud, Tenkan above Kijun and Chikou above past price - strong bullish trend";
+    } else if (pricePosition === "below_cloud" && currentTenkan < currentKijun && chikouPosition === "below_price") {
+      signal = "strong_bearish";
+      interpretation = "Price below the cloud, Tenkan below Kijun and Chikou below past price - strong bearish trend";
+    } else if (pricePosition === "above_cloud") {
+      signal = "bullish";
+      interpretation = "Price above the cloud - bullish trend, cloud acts as support";
+    } else if (pricePosition === "below_cloud") {
+      signal = "bearish";
+      interpretation = "Price below the cloud - bearish trend, cloud acts as resistance";
+    } else {
+      interpretation = "Price inside the cloud - no clear trend, consolidation zone";
+    }
+
+    const response = {
+      indicator: "Ichimoku Cloud",
+      parameters: {
+        tenkanPeriod: tenkanPeriod,
+        kijunPeriod: kijunPeriod,
+        senkouBPeriod: senkouBPeriod,
+        displacement: displacement
+      },
+      dataPoints: length,
+      indexing: `All series are indexed by the bar they are plotted at and padded with null during warm-up. senkouA/senkouB have ${length + displacement} values: indices ${length}-${length + displacement - 1} are the projected cloud. chikou[i] is close[i + ${displacement}].`,
+      values: {
+        tenkan: tenkan,
+        kijun: kijun,
+        senkouA: senkouA,
+        senkouB: senkouB,
+        chikou: chikou
+      },
+      current: {
+        price: Number(currentPrice.toFixed(2)),
+        tenkan: Number(currentTenkan.toFixed(4)),
+        kijun: Number(currentKijun.toFixed(4)),
+        senkouA: Number(cloudA.toFixed(4)),
+        senkouB: Number(cloudB.toFixed(4)),
+        pricePosition: pricePosition,
+        cloudColor: cloudColor,
+        tkCross: tkCross,
+        tkCrossStrength: tkCrossStrength,
+        chikouPosition: chikouPosition,
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        cloudTop: Number(cloudTop.toFixed(4)),
+        cloudBottom: Number(cloudBottom.toFixed(4)),
+        cloudThickness: Number((cloudTop - cloudBottom).toFixed(4)),
+        tenkanAboveKijun: currentTenkan > currentKijun,
+        futureCloud: {
+          senkouA: Number(futureA.toFixed(4)),
+          senkouB: Number(futureB.toFixed(4)),
+          color: futureCloudColor,
+          barsAhead: displacement
+        }
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Ichimoku calculation failed");
+  }
+};
@@ -0,0 +1,190 @@
+/**
+ * Keltner Channels Indicator
+ * EMA midline with bands at a multiple of the Average True Range
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const keltnerChannelsDefinition = {
+  name: "calculate_keltner_channels",
+  description: "Calculate Keltner Channels - EMA midline with upper/lower bands at a multiple of ATR. Closes outside the channel signal strong momentum (breakouts); in ranges the bands act as support/resistance. Bollinger Bands inside Keltner Channels = volatility squeeze. Standard settings: EMA 20, ATR 10, multiplier 2.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "EMA period for the midline. Standard: 20.",
+        default: 20,
+        minimum: 1,
+        maximum: 200
+      },
+      atrPeriod: {
+        type: "integer",
+        description: "ATR period for the band width. Standard: 10 (use 20 for the TTM Squeeze variant).",
+        default: 10,
+        minimum: 1,
+        maximum: 200
+      },
+      multiplier: {
+        type: "number",
+        description: "ATR multiplier for the band distance. Standard: 2 (1.5 for the TTM Squeeze variant).",
+        default: 2,
+        minimum: 0.1,
+        maximum: 10
+      }
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    values: seriesMapSchema(["lower", "middle", "upper"]),
+    current: currentSchema({
+      price: numberSchema,
+      lower: numberSchema,
+      middle: numberSchema,
+      upper: numberSchema,
+      signal: stringSchema
+    }, ["price", "lower", "middle", "upper", "signal"]),
+    analysis: objectSchema({ channelWidth: numberSchema, channelWidthPercent: numberSchema, positionInChannel: nullableNumberSchema })
+  }, ["values", "current"])
+};
+
+/**
+ * Calculate Keltner Channels
+ * Output is aligned to the end of the input: the last value corresponds to the last bar
+ * @param {object} series - { high, low, close }
+ * @param {object} params - { period, atrPeriod, multiplier }
+ * @returns {Promise<object>} { upper, middle, lower }
+ */
+export async function computeKeltner({ high, low, close }, { period, atrPeriod, multiplier }) {
+  const run = (name, inputs, options) => new Promise((resolve, reject) => {
+    tulind.indicators[name].indicator(inputs, options, (err, results) => {
+      if (err) reject(err);
+      else resolve(results[0]);
+    });
+  });
+
+  const [ema, atr] = await Promise.all([
+    run('ema', [close], [period]),
+    run('atr', [high, low, close], [atrPeriod])
+  ]);
+
+  // EMA starts at the first bar while ATR needs atrPeriod - 1 bars; also skip the EMA seed period
+  const length = Math.min(ema.length - (period - 1), atr.length);
+  const middle = ema.slice(ema.length - length);
+  const atrValues = atr.slice(atr.length - length);
+
+  return {
+    upper: middle.map((value, i) => value + multiplier * atrValues[i]),
+    middle: middle,
+    lower: middle.map((value, i) => value - multiplier * atrValues[i])
+  };
+}
+
+export const keltnerChannelsHandler = async (args) => {
+  const { high, low, close, period = 20, atrPeriod = 10, multiplier = 2 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+
+  const minDataPoints = Math.max(period, atrPeriod) + 1;
+  if (length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for Keltner Channels calculation`, { field: "close", required: minDataPoints, received: length });
+  }
+
+  try {
+    const { upper, middle, lower } = await computeKeltner(series, { period, atrPeriod, multiplier });
+
+    // Analyze current position
+    const currentPrice = series.close[length - 1];
+    const currentUpper = upper[upper.length - 1];
+    const currentMiddle = middle[middle.length - 1];
+    const currentLower = lower[lower.length - 1];
+    const channelWidth = currentUpper - currentLower;
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (currentPrice > currentUpper) {
+      signal = "breakout_up";
+      interpretation = `Price (${currentPrice.toFixed(2)}) closed above the upper channel (${currentUpper.toFixed(2)}) - strong bullish momentum`;
+    } else if (currentPrice < currentLower) {
+      signal = "breakout_down";
+      interpretation = `Price (${currentPrice.toFixed(2)}) closed below the lower channel (${currentLower.toFixed(2)}) - strong bearish momentum`;
+    } else if (currentPrice > currentMiddle) {
+      signal = "upper_half";
+      interpretation = "Price is in the upper half of the channel - bullish bias, upper channel is resistance";
+    } else {
+      signal = "lower_half";
+      interpretation = "Price is in the lower half of the channel - bearish bias, lower channel is support";
+    }
+
+    const response = {
+      indicator: "Keltner Channels",
+      parameters: {
+        period: period,
+        atrPeriod: atrPeriod,
+        multiplier: multiplier
+      },
+      dataPoints: length,
+      values: {
+        lower: lower,
+        middle: middle,
+        upper: upper
+      },
+      current: {
+        price: Number(currentPrice.toFixed(2)),
+        lower: Number(currentLower.toFixed(2)),
+        middle: Number(currentMiddle.toFixed(2)),
+        upper: Number(currentUpper.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        channelWidth: Number(channelWidth.toFixed(4)),
+        channelWidthPercent: Number(((channelWidth / currentMiddle) * 100).toFixed(2)),
+        positionInChannel: Number((((currentPrice - currentLower) / channelWidth) * 100).toFixed(2)),
+        trend: middle[middle.length - 1] > middle[middle.length - 2] ? "rising" : "falling"
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Keltner Channels calculation failed");
+  }
+};
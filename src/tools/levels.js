@@ -0,0 +1,400 @@
+/**
+ * Price Levels
+ * Pivot points from a prior period's OHLC and Fibonacci retracement/extension levels from a swing
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam } from '../utils/errors.js';
+
+const PIVOT_METHODS = ['classic', 'fibonacci', 'camarilla', 'woodie', 'demark'];
+const RETRACEMENT_RATIOS = [0.236, 0.382, 0.5, 0.618, 0.786];
+const EXTENSION_RATIOS = [1.272, 1.618, 2, 2.618];
+
+export const levelsDefinition = {
+  name: "calculate_levels",
+  description: "Calculate price levels: classic, Fibonacci, Camarilla, Woodie and DeMark pivot points from the prior period's OHLC, plus Fibonacci retracement and extension levels from a swing high/low (user-supplied or detected over a lookback window). Reports the nearest support and resistance level around the current price. Pass daily candles for daily pivots, weekly candles for weekly pivots.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). The last bar is the current period: the bar before it is the prior period for pivots, and the lookback window ending at the last bar is searched for the swing. Example: [105, 107, 106, 108, ...]"
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]"
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]"
+      },
+      open: {
+        type: "array",
+        items: { type: "number" },
+        description: "Optional array of opening prices. Required for DeMark pivots when 'previous' is not given."
+      },
+      previous: {
+        type: "object",
+        description: "Prior period OHLC used for pivots, e.g. yesterday's daily candle. Overrides the bar before the last one in the arrays. 'open' is only needed for DeMark pivots.",
+        properties: {
+          open: { type: "number" },
+          high: { type: "number" },
+          low: { type: "number" },
+          close: { type: "number" }
+        },
+        required: ["high", "low", "close"]
+      },
+      methods: {
+        type: "array",
+        items: { type: "string", enum: PIVOT_METHODS },
+        description: "Pivot methods to calculate. Default: all (DeMark is skipped when no open price is available)."
+      },
+      swingHigh: {
+        type: "number",
+        description: "Swing high for Fibonacci levels. Must be given together with 'swingLow'; otherwise the swing is detected from the arrays."
+      },
+      swingLow: {
+        type: "number",
+        description: "Swing low for Fibonacci levels. Must be given together with 'swingHigh'."
+      },
+      swingDirection: {
+        type: "string",
+        enum: ["up", "down"],
+        description: "Direction of the supplied swing: 'up' (low then high, retracements measured down from the high) or 'down'. Default: inferred from which half of the range the price is in."
+      },
+      lookback: {
+        type: "integer",
+        description: "Number of recent bars searched for the swing high/low when they are not supplied. Default: 50.",
+        default: 50,
+        minimum: 2,
+        maximum: 1000
+      },
+      price: {
+        type: "number",
+        description: "Current price used to find the nearest levels. Default: last close (or the prior period close)."
+      }
+    }
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ methods: { type: "array", items: stringSchema }, lookback: numberSchema }),
+    previousPeriod: objectSchema({ high: numberSchema, low: numberSchema, close: numberSchema }),
+    pivots: objectSchema(),
+    // null when no swing is available (pivot-only calls that pass just 'previous')
+    fibonacci: { type: ["object", "null"] },
+    current: currentSchema({
+      price: numberSchema,
+      nearestSupport: { type: ["object", "null"] },
+      nearestResistance: { type: ["object", "null"] },
+      signal: stringSchema
+    }, ["price", "signal"]),
+    notes: { type: "array", items: stringSchema }
+  }, ["current"])
+};
+
+/**
+ * Calculate pivot points for one method
+ * @param {string} method - classic, fibonacci, camarilla, woodie or demark
+ * @param {object} bar - Prior period { open, high, low, close }
+ * @returns {object} Pivot, resistance and support levels
+ */
+export function calculatePivots(method, { open, high, low, close }) {
+  const range = high - low;
+
+  switch (method) {
+    case 'classic': {
+      const pivot = (high + low + close) / 3;
+      return {
+        pivot,
+        r1: 2 * pivot - low,
+        r2: pivot + range,
+        r3: high + 2 * (pivot - low),
+        s1: 2 * pivot - high,
+        s2: pivot - range,
+        s3: low - 2 * (high - pivot)
+      };
+    }
+    case 'fibonacci': {
+      const pivot = (high + low + close) / 3;
+      return {
+        pivot,
+        r1: pivot + 0.382 * range,
+        r2: pivot + 0.618 * range,
+        r3: pivot + range,
+        s1: pivot - 0.382 * range,
+        s2: pivot - 0.618 * range,
+        s3: pivot - range
+      };
+    }
+    case 'camarilla':
+      return {
+        pivot: (high + low + close) / 3,
+        r1: close + range * 1.1 / 12,
+        r2: close + range * 1.1 / 6,
+        r3: close + range * 1.1 / 4,
+        r4: close + range * 1.1 / 2,
+        s1: close - range * 1.1 / 12,
+        s2: close - range * 1.1 / 6,
+        s3: close - range * 1.1 / 4,
+        s4: close - range * 1.1 / 2
+      };
+    case 'woodie': {
+      // Woodie weights the close twice
+      const pivot = (high + low + 2 * close) / 4;
+      return {
+        pivot,
+        r1: 2 * pivot - low,
+        r2: pivot + range,
+        r3: high + 2 * (pivot - low),
+        s1: 2 * pivot - high,
+        s2: pivot - range,
+        s3: low - 2 * (high - pivot)
+      };
+    }
+    case 'demark': {
+      // DeMark weights the high, low or close depending on the candle direction
+      const x = close < open ? high + 2 * low + close
+        : close > open ? 2 * high + low + close
+        : high + low + 2 * close;
+      return {
+        pivot: x / 4,
+        r1: x / 2 - low,
+        s1: x / 2 - high
+      };
+    }
+    default:
+      throw invalidParam(`Unknown pivot method '${method}'. Available: ${PIVOT_METHODS.join(', ')}`, { field: "methods", allowed: PIVOT_METHODS });
+  }
+}
+
+/**
+ * Calculate Fibonacci retracement and extension levels for a swing
+ * In an upswing (low before high) retracements are measured down from the high and
+ * extensions project above it; in a downswing the other way round
+ * @param {number} swingHigh - Swing high price
+ * @param {number} swingLow - Swing low price
+ * @param {string} direction - "up" or "down"
+ * @returns {object} { retracements, extensions }
+ */
+export function calculateFibonacciLevels(swingHigh, swingLow, direction) {
+  const range = swingHigh - swingLow;
+
+  const retracements = RETRACEMENT_RATIOS.map(ratio => ({
+    ratio,
+    price: direction === "up" ? swingHigh - ratio * range : swingLow + ratio * range
+  }));
+
+  const extensions = EXTENSION_RATIOS.map(ratio => ({
+    ratio,
+    price: direction === "up" ? swingLow + ratio * range : swingHigh - ratio * range
+  }));
+
+  return { retracements, extensions };
+}
+
+export const levelsHandler = async (args) => {
+  const { previous, swingHigh, swingLow, lookback = 50 } = args;
+
+  const hasSeries = args.high !== undefined || args.low !== undefined || args.close !== undefined;
+  let series = null;
+  let length = 0;
+  let warning = null;
+
+  if (hasSeries) {
+    const seriesInput = { high: args.high, low: args.low, close: args.close };
+    if (args.open !== undefined) {
+      seriesInput.open = args.open;
+    }
+    ({ series, length, warning } = alignSeries(seriesInput));
+  }
+
+  if (!previous && !series) {
+    throw invalidParam("Provide either the 'previous' period OHLC or high/low/close arrays", { fields: ["previous", "high", "low", "close"] });
+  }
+
+  // Prior period for pivots: explicit OHLC or the bar before the last (current) one
+  let bar;
+  if (previous) {
+    if (['high', 'low', 'close'].some(key => typeof previous[key] !== 'number' || isNaN(previous[key]))) {
+      throw invalidParam("Previous period high, low, and close must be valid numbers", { field: "previous" });
+    }
+    if (previous.open !== undefined && (typeof previous.open !== 'number' || isNaN(previous.open))) {
+      throw invalidParam("Previous period open must be a valid number", { field: "previous.open" });
+    }
+    bar = { open: previous.open, high: previous.high, low: previous.low, close: previous.close };
+  } else {
+    if (length < 2) {
+      throw insufficientData("Insufficient data: need at least 2 bars (the prior period and the current one) when 'previous' is not given", { field: "close", required: 2, received: length });
+    }
+    bar = {
+      open: series.open ? series.open[length - 2] : undefined,
+      high: series.high[length - 2],
+      low: series.low[length - 2],
+      close: series.close[length - 2]
+    };
+  }
+
+  if (bar.high < bar.low) {
+    throw invalidParam(`Previous period high (${bar.high}) must not be below its low (${bar.low})`, { field: "previous" });
+  }
+
+  const methods = args.methods || PIVOT_METHODS;
+  if (!Array.isArray(methods) || methods.length === 0) {
+    throw invalidParam("Methods must be a non-empty array", { field: "methods" });
+  }
+  const unknownMethods = methods.filter(method => !PIVOT_METHODS.includes(method));
+  if (unknownMethods.length > 0) {
+    throw invalidParam(`Unknown pivot methods: ${unknownMethods.join(', ')}. Available: ${PIVOT_METHODS.join(', ')}`, { field: "methods", unknown: unknownMethods, allowed: PIVOT_METHODS });
+  }
+
+  const notes = [];
+  if (bar.open === undefined && methods.includes('demark')) {
+    if (args.methods) {
+      throw invalidParam("DeMark pivots require the previous period open ('previous.open' or the 'open' array)", { fields: ["previous.open", "open"] });
+    }
+    notes.push("DeMark pivots skipped: no open price available");
+  }
+
+  const pivots = {};
+  for (const method of methods) {
+    if (method === 'demark' && bar.open === undefined) continue;
+    pivots[method] = calculatePivots(method, bar);
+  }
+
+  // Fibonacci swing: user-supplied or detected over the lookback window
+  if ((swingHigh === undefined) !== (swingLow === undefined)) {
+    throw invalidParam("swingHigh and swingLow must be provided together", { fields: ["swingHigh", "swingLow"] });
+  }
+
+  let swing = null;
+  if (swingHigh !== undefined) {
+    if (typeof swingHigh !== 'number' || isNaN(swingHigh) || typeof swingLow !== 'number' || isNaN(swingLow)) {
+      throw invalidParam("swingHigh and swingLow must be valid numbers", { fields: ["swingHigh", "swingLow"] });
+    }
+    if (args.swingDirection !== undefined && !["up", "down"].includes(args.swingDirection)) {
+      throw invalidParam("swingDirection must be 'up' or 'down'", { field: "swingDirection", allowed: ["up", "down"] });
+    }
+    if (swingHigh <= swingLow) {
+      throw invalidParam(`swingHigh (${swingHigh}) must be above swingLow (${swingLow})`, { fields: ["swingHigh", "swingLow"] });
+    }
+    swing = {
+      source: "user",
+      high: swingHigh,
+      low: swingLow,
+      // Without bar indices the direction is taken from 'swingDirection' or inferred from the price
+      direction: args.swingDirection ?? null
+    };
+  } else if (series) {
+    const start = Math.max(0, length - lookback);
+    let highIndex = start;
+    let lowIndex = start;
+    for (let i = start; i < length; i++) {
+      if (series.high[i] > series.high[highIndex]) highIndex = i;
+      if (series.low[i] < series.low[lowIndex]) lowIndex = i;
+    }
+    if (series.high[highIndex] > series.low[lowIndex]) {
+      swing = {
+        source: "detected",
+        high: series.high[highIndex],
+        low: series.low[lowIndex],
+        highIndex,
+        lowIndex,
+        direction: highIndex >= lowIndex ? "up" : "down"
+      };
+    }
+  }
+
+  const price = args.price ?? (series ? series.close[length - 1] : bar.close);
+  if (typeof price !== 'number' || isNaN(price)) {
+    throw invalidParam("Price must be a valid number", { field: "price" });
+  }
+
+  let fibonacci = null;
+  if (swing) {
+    if (swing.direction === null) {
+      swing.direction = price >= (swing.high + swing.low) / 2 ? "up" : "down";
+    }
+    fibonacci = {
+      swing,
+      ...calculateFibonacciLevels(swing.high, swing.low, swing.direction)
+    };
+  } else {
+    notes.push("Fibonacci levels skipped: no swing range available");
+  }
+
+  // Collect every level and find the nearest ones around the current price
+  const allLevels = [];
+  for (const [method, levels] of Object.entries(pivots)) {
+    for (const [name, value] of Object.entries(levels)) {
+      allLevels.push({ source: `${method}.${name}`, price: value });
+    }
+  }
+  if (fibonacci) {
+    fibonacci.retracements.forEach(level => allLevels.push({ source: `fibonacci_retracement.${level.ratio}`, price: level.price }));
+    fibonacci.extensions.forEach(level => allLevels.push({ source: `fibonacci_extension.${level.ratio}`, price: level.price }));
+  }
+
+  const below = allLevels.filter(level => level.price < price).sort((a, b) => b.price - a.price);
+  const above = allLevels.filter(level => level.price > price).sort((a, b) => a.price - b.price);
+
+  const describeLevel = (level) => level ? {
+    source: level.source,
+    price: level.price,
+    distance: Number((level.price - price).toFixed(4)),
+    distancePercent: Number((((level.price - price) / price) * 100).toFixed(2))
+  } : null;
+
+  const nearestSupport = describeLevel(below[0]);
+  const nearestResistance = describeLevel(above[0]);
+
+  let interpretation = `Price ${price.toFixed(2)}`;
+  if (nearestSupport && nearestResistance) {
+    interpretation += ` is between support ${nearestSupport.source} (${nearestSupport.price.toFixed(2)}) and resistance ${nearestResistance.source} (${nearestResistance.price.toFixed(2)})`;
+  } else if (nearestSupport) {
+    interpretation += ` is above all levels - nearest support ${nearestSupport.source} (${nearestSupport.price.toFixed(2)})`;
+  } else if (nearestResistance) {
+    interpretation += ` is below all levels - nearest resistance ${nearestResistance.source} (${nearestResistance.price.toFixed(2)})`;
+  }
+
+  const primaryPivot = pivots.classic?.pivot ?? Object.values(pivots)[0]?.pivot;
+
+  const response = {
+    indicator: "Price Levels",
+    parameters: {
+      methods: Object.keys(pivots),
+      lookback: lookback
+    },
+    dataPoints: length,
+    previousPeriod: bar,
+    pivots: pivots,
+    fibonacci: fibonacci,
+    current: {
+      price: price,
+      nearestSupport: nearestSupport,
+      nearestResistance: nearestResistance,
+      signal: primaryPivot === undefined ? "neutral" : price > primaryPivot ? "above_pivot" : price < primaryPivot ? "below_pivot" : "at_pivot",
+      interpretation: interpretation
+    }
+  };
+
+  if (notes.length > 0) {
+    response.notes = notes;
+  }
+
+  // Add warning if arrays were adjusted
+  if (warning) {
+    response.warning = warning;
+  }
+
+  return toolResult(response);
+};
@@ -4,10 +4,25 @@
  */
 
 import tulind from 'tulind';
+import { analyzeDivergences } from '../utils/divergence.js';
+import { findCrossings, finalizeEvents } from '../utils/events.js';
+import { parseTimestamps } from '../utils/timestamps.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesMapSchema,
+  divergencesSchema,
+  eventsSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const macdDefinition = {
   name: "calculate_macd",
-  description: "Calculate MACD (Moving Average Convergence Divergence) - Popular momentum indicator showing trend and strength. Generates buy signals on bullish crossover (MACD crosses above signal), sell on bearish crossover. Standard settings: 12,26,9.",
+  description: "Calculate MACD (Moving Average Convergence Divergence) - Popular momentum indicator showing trend and strength. Generates buy signals on bullish crossover (MACD crosses above signal), sell on bearish crossover. Standard settings: 12,26,9. Also detects regular and hidden divergences between price and MACD histogram swings.",
   inputSchema: {
     type: "object",
     properties: {
@@ -37,31 +52,73 @@ export const macdDefinition = {
         default: 9,
         minimum: 1,
         maximum: 50
+      },
+      divergenceLookback: {
+        type: "integer",
+        description: "Number of recent bars searched for price/MACD histogram divergences (regular and hidden). Default: 100.",
+        default: 100,
+        minimum: 10,
+        maximum: 1000
+      },
+      pivotStrength: {
+        type: "integer",
+        description: "Bars required on each side of a swing pivot for divergence detection. Higher values keep only major swings. Default: 3.",
+        default: 3,
+        minimum: 1,
+        maximum: 20
+      },
+      includeEvents: {
+        type: "boolean",
+        description: "Return an events timeline across the whole series (every signal-line crossover and zero-line cross) with bar indices, for backtesting. Default: false (only the latest signal).",
+        default: false
+      },
+      timestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Optional bar times (epoch ms, epoch seconds or ISO 8601 strings), same length as 'prices'. Added to each event when includeEvents is true, and used as 't' when 'align' is 'pairs' (the default once timestamps are given)."
       }
     },
     required: ["prices"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ fastPeriod: numberSchema, slowPeriod: numberSchema, signalPeriod: numberSchema }),
+    values: seriesMapSchema(["macd", "signal", "histogram"]),
+    current: currentSchema({
+      macd: numberSchema,
+      histogram: numberSchema,
+      trend: stringSchema,
+      position: stringSchema,
+      signal: stringSchema
+    }, ["macd", "histogram", "trend", "signal"]),
+    analysis: objectSchema(),
+    divergences: divergencesSchema,
+    events: eventsSchema
+  }, ["values", "current"])
 };
 
 export const macdHandler = async (args) => {
-  const { prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 } = args;
+  const { prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9, divergenceLookback = 100, pivotStrength = 3, includeEvents = false, timestamps } = args;
 
   // Validation
   if (!Array.isArray(prices) || prices.length === 0) {
-    throw new Error("Prices must be a non-empty array");
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
   }
 
   if (fastPeriod >= slowPeriod) {
-    throw new Error("Fast period must be less than slow period");
+    throw invalidParam("Fast period must be less than slow period", { fields: ["fastPeriod", "slowPeriod"] });
   }
 
   const minDataPoints = slowPeriod + signalPeriod;
   if (prices.length < minDataPoints) {
-    throw new Error(`Insufficient data: need at least ${minDataPoints} prices for MACD calculation`);
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} prices for MACD calculation`, { field: "prices", required: minDataPoints, received: prices.length });
   }
 
   if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
-    throw new Error("All prices must be valid numbers");
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  if (timestamps !== undefined) {
+    parseTimestamps(timestamps, prices.length);
   }
 
   try {
@@ -131,19 +188,44 @@ export const macdHandler = async (args) => {
         convergence: Math.abs(currentMACD - currentSignal) < Math.abs(macdLine[macdLine.length - 2] - macdSignal[macdSignal.length - 2]),
         momentum: currentHistogram > 0 ? "bullish" : "bearish",
         strength: Math.abs(currentHistogram)
-      }
+      },
+      divergences: analyzeDivergences({
+        high: prices,
+        low: prices,
+        indicator: macdHistogram,
+        lookback: divergenceLookback,
+        strength: pivotStrength,
+        label: "the MACD histogram"
+      })
     };
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
-        }
-      ]
-    };
+    if (includeEvents) {
+      const offset = prices.length - macdLine.length;
+      const events = [];
+      for (const crossing of findCrossings(macdLine, macdSignal)) {
+        events.push({
+          index: offset + crossing.index,
+          type: crossing.direction === "up" ? "bullish_crossover" : "bearish_crossover",
+          macd: macdLine[crossing.index],
+          signal: macdSignal[crossing.index],
+          price: prices[offset + crossing.index]
+        });
+      }
+      for (const crossing of findCrossings(macdLine, 0)) {
+        events.push({
+          index: offset + crossing.index,
+          type: crossing.direction === "up" ? "bullish_zero_cross" : "bearish_zero_cross",
+          macd: macdLine[crossing.index],
+          signal: macdSignal[crossing.index],
+          price: prices[offset + crossing.index]
+        });
+      }
+      response.events = finalizeEvents(events, timestamps);
+    }
+
+    return toolResult(response);
 
   } catch (error) {
-    throw new Error(`MACD calculation failed: ${error.message}`);
+    throw calculationFailed(error, "MACD calculation failed");
   }
 };
\ No newline at end of file
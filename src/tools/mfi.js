@@ -0,0 +1,136 @@
+/**
+ * MFI (Money Flow Index) Indicator
+ * Volume-weighted RSI measuring buying and selling pressure
+ */
+
+import tulind from 'tulind';
+import { alignSeries, validateVolume } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const mfiDefinition = {
+  name: "calculate_mfi",
+  description: "Calculate MFI (Money Flow Index) - Volume-weighted RSI oscillating 0-100. Above 80 = overbought, below 20 = oversold (configurable via 'thresholds'). Combines price and volume, so extremes reflect real money flow. Standard period: 14.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low', 'close' and 'volume'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high', 'close' and 'volume'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high', 'low' and 'volume'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as the price arrays. Example: [1200, 1500, 900, 1800, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "MFI calculation period. Standard: 14. Must be less than array length.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      thresholds: thresholdsSchema("mfi")
+    },
+    required: ["high", "low", "close", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const mfiHandler = async (args) => {
+  const { high, low, close, volume, period = 14 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  validateVolume(volume, length);
+  const thresholds = resolveThresholds("mfi", args.thresholds);
+  const { overbought, oversold } = thresholds;
+
+  if (length < period + 1) {
+    throw insufficientData(`Insufficient data: need at least ${period + 1} data points for MFI calculation with period ${period}`, { field: "close", required: period + 1, received: length });
+  }
+
+  try {
+    // Calculate MFI using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.mfi.indicator([series.high, series.low, series.close, volume], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const mfiValues = result[0];
+
+    // Create response with analysis
+    const lastMFI = mfiValues[mfiValues.length - 1];
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (lastMFI > overbought) {
+      signal = "overbought";
+      interpretation = `MFI above ${overbought} indicates overbought conditions backed by volume - possible sell signal`;
+    } else if (lastMFI < oversold) {
+      signal = "oversold";
+      interpretation = `MFI below ${oversold} indicates oversold conditions backed by volume - possible buy signal`;
+    } else {
+      interpretation = `MFI in neutral range (${oversold}-${overbought}) - no clear overbought/oversold signal`;
+    }
+
+    const response = {
+      indicator: "MFI",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: mfiValues,
+      current: {
+        value: Number(lastMFI.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...mfiValues).toFixed(2)),
+        max: Number(Math.max(...mfiValues).toFixed(2)),
+        average: Number((mfiValues.reduce((a, b) => a + b, 0) / mfiValues.length).toFixed(2))
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "MFI calculation failed");
+  }
+};
@@ -0,0 +1,368 @@
+/**
+ * Moving Average Family
+ * SMA, EMA, WMA, Hull, DEMA, TEMA, KAMA, ZLEMA, VWMA and SMMA (Wilder) with crossovers between them
+ */
+
+import tulind from 'tulind';
+import { validateVolume } from '../utils/priceSeries.js';
+import { getTulindIndicator } from '../utils/tulindCatalog.js';
+import { findCrossings, finalizeEvents } from '../utils/events.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+/**
+ * Moving average types mapped to their tulind indicator
+ */
+export const MOVING_AVERAGE_TYPES = {
+  sma: { indicator: 'sma', name: "SMA" },
+  ema: { indicator: 'ema', name: "EMA" },
+  wma: { indicator: 'wma', name: "WMA" },
+  hma: { indicator: 'hma', name: "Hull MA" },
+  dema: { indicator: 'dema', name: "DEMA" },
+  tema: { indicator: 'tema', name: "TEMA" },
+  kama: { indicator: 'kama', name: "KAMA" },
+  zlema: { indicator: 'zlema', name: "ZLEMA" },
+  vwma: { indicator: 'vwma', name: "VWMA", volume: true },
+  smma: { indicator: 'wilders', name: "SMMA (Wilder)" }
+};
+
+const averageSchema = {
+  type: {
+    type: "string",
+    enum: Object.keys(MOVING_AVERAGE_TYPES),
+    description: "Average type: sma, ema, wma (linear weights), hma (Hull, low lag), dema/tema (double/triple EMA), kama (Kaufman adaptive), zlema (zero lag EMA), vwma (volume weighted, requires volume), smma (smoothed/Wilder, as used by RSI and ATR)."
+  },
+  period: {
+    type: "integer",
+    description: "Average period. Common: 9, 20, 50, 100, 200.",
+    minimum: 1,
+    maximum: 500
+  },
+  name: {
+    type: "string",
+    description: "Custom name (default: '<type>_<period>', e.g. 'sma_50')"
+  }
+};
+
+export const movingAverageDefinition = {
+  name: "calculate_moving_average",
+  description: "Calculate moving averages of any type: SMA, EMA, WMA, Hull (HMA), DEMA, TEMA, KAMA, ZLEMA, VWMA and SMMA (Wilder). Pass a single 'type'/'period' or several 'averages'; with two or more averages every crossover between each fast/slow pair is reported (golden cross = faster average crossing above the slower one, death cross = below; e.g. SMA50/SMA200).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      prices: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Example: [100, 102, 101, 103, 105, 104, 106]",
+        minItems: 1
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes, same length as 'prices'. Required for vwma only."
+      },
+      type: {
+        ...averageSchema.type,
+        default: "sma"
+      },
+      period: {
+        ...averageSchema.period,
+        default: 20
+      },
+      averages: {
+        type: "array",
+        description: "Several averages to calculate at once (overrides 'type'/'period'). Example: [{ type: 'sma', period: 50 }, { type: 'sma', period: 200 }]",
+        items: {
+          type: "object",
+          properties: averageSchema,
+          required: ["type", "period"]
+        },
+        maxItems: 10
+      }
+    },
+    required: ["prices"]
+  },
+  outputSchema: indicatorOutputSchema({
+    averages: {
+      type: "array",
+      items: objectSchema({
+        name: stringSchema,
+        type: stringSchema,
+        label: stringSchema,
+        period: numberSchema,
+        offset: numberSchema,
+        values: seriesSchema,
+        current: objectSchema()
+      }, ["type", "period", "values"])
+    },
+    current: currentSchema({ price: numberSchema, signal: stringSchema }, ["price", "signal"]),
+    crossovers: { type: "array", items: { type: "object" } }
+  }, ["averages", "current"])
+};
+
+/**
+ * Resolve and validate moving average configurations
+ * @param {Array<object>} configs - [{ type, period, name? }]
+ * @returns {Array<object>} [{ name, type, period, indicator, warmup }]
+ */
+export function resolveAverages(configs) {
+  return configs.map(config => {
+    const type = typeof config.type === 'string' ? config.type.toLowerCase() : config.type;
+    const spec = MOVING_AVERAGE_TYPES[type];
+    if (!spec) {
+      throw invalidParam(`Unknown moving average type '${config.type}'. Available: ${Object.keys(MOVING_AVERAGE_TYPES).join(', ')}`, { field: "averages", type: config.type, allowed: Object.keys(MOVING_AVERAGE_TYPES) });
+    }
+    if (typeof config.period !== 'number' || isNaN(config.period) || config.period < 1) {
+      throw invalidParam(`Moving average period must be a positive number (got ${config.period} for ${type})`, { field: "averages", type, period: config.period });
+    }
+
+    return {
+      name: config.name || `${type}_${config.period}`,
+      type,
+      period: config.period,
+      indicator: spec.indicator,
+      volume: spec.volume === true,
+      warmup: getTulindIndicator(spec.indicator).start([config.period])
+    };
+  });
+}
+
+/**
+ * Find crossovers between every pair of averages (faster period against slower period)
+ * @param {Array<object>} averages - [{ name, period, values }] with values aligned to the end of the input
+ * @param {number} length - Input length
+ * @returns {Array<object>} Per pair: { fast, slow, state, events, latest }
+ */
+export function findAverageCrossovers(averages, length) {
+  const pairs = [];
+
+  for (let i = 0; i < averages.length; i++) {
+    for (let j = i + 1; j < averages.length; j++) {
+      const [fast, slow] = averages[i].period <= averages[j].period
+        ? [averages[i], averages[j]]
+        : [averages[j], averages[i]];
+
+      const common = Math.min(fast.values.length, slow.values.length);
+      const fastValues = fast.values.slice(fast.values.length - common);
+      const slowValues = slow.values.slice(slow.values.length - common);
+      const offset = length - common;
+
+      const events = finalizeEvents(findCrossings(fastValues, slowValues).map(crossing => ({
+        index: offset + crossing.index,
+        type: crossing.direction === "up" ? "golden_cross" : "death_cross",
+        fast: fastValues[crossing.index],
+        slow: slowValues[crossing.index]
+      })));
+
+      const latest = events[events.length - 1] || null;
+      const fastNow = fastValues[common - 1];
+      const slowNow = slowValues[common - 1];
+
+      pairs.push({
+        fast: fast.name,
+        slow: slow.name,
+        state: fastNow > slowNow ? "fast_above_slow" : fastNow < slowNow ? "fast_below_slow" : "equal",
+        events,
+        latest: latest ? { ...latest, barsAgo: length - 1 - latest.index } : null
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Relate several moving averages: ribbon stacking, pairwise crossovers, spread and price position
+ * @param {Array<object>} averages - [{ name, period, values }] with values aligned to the end of the input
+ * @param {Array<number>} close - Closing prices
+ * @returns {object} { ribbon, order, spread, pricePosition, crossovers, interpretation }
+ */
+export function analyzeRibbon(averages, close) {
+  const price = close[close.length - 1];
+  const last = (average, back = 0) => average.values[average.values.length - 1 - back];
+  const byPeriod = [...averages].sort((a, b) => a.period - b.period);
+
+  // Fully stacked: every faster average above (bullish) or below (bearish) every slower one
+  let bullish = true;
+  let bearish = true;
+  for (let i = 0; i < byPeriod.length; i++) {
+    for (let j = i + 1; j < byPeriod.length; j++) {
+      if (byPeriod[i].period === byPeriod[j].period) continue;
+      if (!(last(byPeriod[i]) > last(byPeriod[j]))) bullish = false;
+      if (!(last(byPeriod[i]) < last(byPeriod[j]))) bearish = false;
+    }
+  }
+  const ribbon = bullish ? "bullish" : bearish ? "bearish" : "mixed";
+
+  const fastest = byPeriod[0];
+  const slowest = byPeriod[byPeriod.length - 1];
+  const spread = last(fastest) - last(slowest);
+  const previousSpread = fastest.values.length > 1 && slowest.values.length > 1
+    ? last(fastest, 1) - last(slowest, 1)
+    : null;
+
+  const pricePosition = {};
+  for (const average of averages) {
+    const value = last(average);
+    pricePosition[average.name] = {
+      value: value,
+      position: price > value ? "above" : price < value ? "below" : "at",
+      distancePercent: Number((((price - value) / value) * 100).toFixed(2))
+    };
+  }
+  const aboveCount = averages.filter(average => price > last(average)).length;
+
+  const crossovers = findAverageCrossovers(averages, close.length).map(({ events, ...pair }) => ({
+    ...pair,
+    totalCrossovers: events.length
+  }));
+
+  let interpretation = "";
+  if (ribbon === "bullish") {
+    interpretation = `Ribbon fully stacked bullish (fastest above slowest), price above ${aboveCount}/${averages.length} averages`;
+  } else if (ribbon === "bearish") {
+    interpretation = `Ribbon fully stacked bearish (fastest below slowest), price above ${aboveCount}/${averages.length} averages`;
+  } else {
+    interpretation = `Ribbon is mixed - averages are intertwined, no clean trend; price above ${aboveCount}/${averages.length} averages`;
+  }
+
+  return {
+    ribbon: ribbon,
+    order: [...averages].sort((a, b) => last(b) - last(a)).map(average => average.name),
+    spread: {
+      fastest: fastest.name,
+      slowest: slowest.name,
+      value: spread,
+      percent: Number(((spread / last(slowest)) * 100).toFixed(2)),
+      trend: previousSpread === null ? "flat" : Math.abs(spread) > Math.abs(previousSpread) ? "expanding" : Math.abs(spread) < Math.abs(previousSpread) ? "contracting" : "flat"
+    },
+    pricePosition: pricePosition,
+    crossovers: crossovers,
+    interpretation: interpretation
+  };
+}
+
+export const movingAverageHandler = async (args) => {
+  const { prices, volume, type = "sma", period = 20, averages } = args;
+
+  // Validation
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
+  }
+
+  if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  if (averages !== undefined && (!Array.isArray(averages) || averages.length === 0)) {
+    throw invalidParam("Averages must be a non-empty array of { type, period }", { field: "averages" });
+  }
+
+  const configs = resolveAverages(averages || [{ type, period }]);
+
+  const names = configs.map(config => config.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw invalidParam(`Duplicate moving average name '${duplicate}' - set a custom 'name'`, { field: "averages", name: duplicate });
+  }
+
+  if (configs.some(config => config.volume)) {
+    if (volume === undefined) {
+      throw invalidParam("Volume is required for vwma", { field: "volume" });
+    }
+    validateVolume(volume, prices.length);
+  }
+
+  for (const config of configs) {
+    if (prices.length <= config.warmup) {
+      throw insufficientData(`Insufficient data: need at least ${config.warmup + 1} prices for ${config.type.toUpperCase()} with period ${config.period}`, { field: "prices", required: config.warmup + 1, received: prices.length });
+    }
+  }
+
+  try {
+    // Calculate every average using Tulind
+    const results = await Promise.all(configs.map(config => new Promise((resolve, reject) => {
+      const inputs = config.volume ? [prices, volume] : [prices];
+      tulind.indicators[config.indicator].indicator(inputs, [config.period], (err, res) => {
+        if (err) reject(err);
+        else resolve(res[0]);
+      });
+    })));
+
+    const currentPrice = prices[prices.length - 1];
+
+    const computed = configs.map((config, index) => {
+      const values = results[index];
+      const current = values[values.length - 1];
+      const previous = values[values.length - 2];
+
+      return {
+        name: config.name,
+        type: config.type,
+        label: MOVING_AVERAGE_TYPES[config.type].name,
+        period: config.period,
+        offset: prices.length - values.length,
+        values: values,
+        current: {
+          value: Number(current.toFixed(2)),
+          slope: previous === undefined ? "flat" : current > previous ? "rising" : current < previous ? "falling" : "flat",
+          pricePosition: currentPrice > current ? "above" : currentPrice < current ? "below" : "at",
+          distancePercent: Number((((currentPrice - current) / current) * 100).toFixed(2))
+        }
+      };
+    });
+
+    const crossovers = findAverageCrossovers(computed, prices.length);
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    const recent = crossovers.filter(pair => pair.latest && pair.latest.barsAgo === 0);
+    if (computed.length === 1) {
+      const average = computed[0];
+      signal = average.current.pricePosition === "above" ? "bullish" : average.current.pricePosition === "below" ? "bearish" : "neutral";
+      interpretation = `Price (${currentPrice.toFixed(2)}) is ${average.current.pricePosition} ${average.label} ${average.period} (${average.current.value}), average is ${average.current.slope}`;
+    } else if (recent.length > 0) {
+      const pair = recent[0];
+      signal = pair.latest.type;
+      interpretation = `${pair.fast} crossed ${pair.latest.type === "golden_cross" ? "above" : "below"} ${pair.slow} on the latest bar - ${pair.latest.type === "golden_cross" ? "golden" : "death"} cross`;
+    } else if (crossovers.every(pair => pair.state === "fast_above_slow")) {
+      signal = "bullish_alignment";
+      interpretation = "Every faster average is above every slower one - bullish alignment";
+    } else if (crossovers.every(pair => pair.state === "fast_below_slow")) {
+      signal = "bearish_alignment";
+      interpretation = "Every faster average is below every slower one - bearish alignment";
+    } else {
+      signal = "mixed";
+      interpretation = "Averages are not aligned - no clear trend";
+    }
+
+    const response = {
+      indicator: "Moving Averages",
+      dataPoints: prices.length,
+      averages: computed,
+      current: {
+        price: Number(currentPrice.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      }
+    };
+
+    if (crossovers.length > 0) {
+      response.crossovers = crossovers;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Moving average calculation failed");
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * OBV (On-Balance Volume) Indicator
+ * Cumulative volume line that adds volume on up closes and subtracts it on down closes
+ */
+
+import tulind from 'tulind';
+import { alignSeries, validateVolume } from '../utils/priceSeries.js';
+import { analyzeCumulativeFlow } from '../utils/volumeFlow.js';
+import { analyzeDivergences } from '../utils/divergence.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  divergencesSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const obvDefinition = {
+  name: "calculate_obv",
+  description: "Calculate OBV (On-Balance Volume) - Cumulative volume indicator: volume is added on up closes and subtracted on down closes. OBV rising with price confirms the trend; OBV diverging from price warns of accumulation/distribution before a reversal. Also detects regular and hidden divergences between price and OBV swings.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'volume'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as 'close'. Example: [1200, 1500, 900, 1800, ...]",
+        minItems: 2
+      },
+      lookback: {
+        type: "integer",
+        description: "Number of bars used to compare OBV direction with price direction (confirmation/divergence). Default: 20.",
+        default: 20,
+        minimum: 1,
+        maximum: 500
+      },
+      divergenceLookback: {
+        type: "integer",
+        description: "Number of recent bars searched for price/OBV divergences (regular and hidden). Default: 100.",
+        default: 100,
+        minimum: 10,
+        maximum: 1000
+      },
+      pivotStrength: {
+        type: "integer",
+        description: "Bars required on each side of a swing pivot for divergence detection. Higher values keep only major swings. Default: 3.",
+        default: 3,
+        minimum: 1,
+        maximum: 20
+      }
+    },
+    required: ["close", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ lookback: numberSchema }),
+    values: seriesSchema,
+    current: currentSchema({ obv: numberSchema, price: numberSchema, signal: stringSchema }, ["obv", "signal"]),
+    analysis: objectSchema({ lineDirection: stringSchema, priceDirection: stringSchema, signal: stringSchema }),
+    statistics: objectSchema({ min: numberSchema, max: numberSchema }),
+    divergences: divergencesSchema
+  }, ["values", "current"])
+};
+
+export const obvHandler = async (args) => {
+  const { close, volume, lookback = 20, divergenceLookback = 100, pivotStrength = 3 } = args;
+
+  const { series, length } = alignSeries({ close });
+  validateVolume(volume, length);
+
+  if (length < 2) {
+    throw insufficientData("Insufficient data: need at least 2 data points for OBV calculation", { field: "close", required: 2, received: length });
+  }
+
+  try {
+    // Calculate OBV using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.obv.indicator([series.close, volume], [], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const obvValues = result[0];
+    const flow = analyzeCumulativeFlow(obvValues, series.close, lookback);
+
+    const response = {
+      indicator: "OBV",
+      parameters: {
+        lookback: lookback
+      },
+      dataPoints: length,
+      values: obvValues,
+      current: {
+        obv: Number(obvValues[obvValues.length - 1].toFixed(2)),
+        price: Number(series.close[length - 1].toFixed(2)),
+        signal: flow.signal,
+        interpretation: flow.interpretation
+      },
+      analysis: flow,
+      statistics: {
+        min: Number(Math.min(...obvValues).toFixed(2)),
+        max: Number(Math.max(...obvValues).toFixed(2))
+      },
+      divergences: analyzeDivergences({
+        high: series.close,
+        low: series.close,
+        indicator: obvValues,
+        lookback: divergenceLookback,
+        strength: pivotStrength,
+        label: "OBV"
+      })
+    };
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "OBV calculation failed");
+  }
+};
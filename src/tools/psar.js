@@ -0,0 +1,141 @@
+/**
+ * Parabolic SAR (Stop and Reverse) Indicator
+ * Accelerating trailing stop that reverses when price crosses it
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeTrailingStop } from '../utils/trailingStop.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const psarDefinition = {
+  name: "calculate_psar",
+  description: "Calculate Parabolic SAR (Stop and Reverse) - Trailing stop that accelerates toward price as the trend extends. SAR below price = uptrend (long stop), above price = downtrend (short stop); a touch reverses the position. Returns the stop line, direction series and flip points. Standard settings: step 0.02, maximum 0.2.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Used to report price and stop distance. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      acceleration: {
+        type: "number",
+        description: "Acceleration factor step, added each time the trend makes a new extreme. Standard: 0.02.",
+        default: 0.02,
+        minimum: 0.001,
+        maximum: 1
+      },
+      maximum: {
+        type: "number",
+        description: "Maximum acceleration factor. Standard: 0.2. Must be greater than or equal to 'acceleration'.",
+        default: 0.2,
+        minimum: 0.001,
+        maximum: 1
+      }
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    offset: numberSchema,
+    values: seriesMapSchema(["psar", "direction"]),
+    current: currentSchema({
+      stop: numberSchema,
+      price: numberSchema,
+      direction: stringSchema,
+      distance: numberSchema,
+      distancePercent: numberSchema,
+      barsSinceFlip: nullableNumberSchema,
+      signal: stringSchema
+    }, ["stop", "price", "direction", "signal"]),
+    flips: {
+      type: "array",
+      items: objectSchema({ index: numberSchema, direction: stringSchema, price: numberSchema, stop: numberSchema }, ["index", "direction"])
+    },
+    analysis: objectSchema({ totalFlips: numberSchema })
+  }, ["values", "current"])
+};
+
+export const psarHandler = async (args) => {
+  const { high, low, close, acceleration = 0.02, maximum = 0.2 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+
+  if (acceleration > maximum) {
+    throw invalidParam("Acceleration step must be less than or equal to the maximum acceleration", { fields: ["acceleration", "maximum"] });
+  }
+
+  if (length < 3) {
+    throw insufficientData("Insufficient data: need at least 3 data points for Parabolic SAR calculation", { field: "close", required: 3, received: length });
+  }
+
+  try {
+    // Calculate Parabolic SAR using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.psar.indicator([series.high, series.low], [acceleration, maximum], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const sarValues = result[0];
+    const offset = length - sarValues.length;
+
+    // SAR below price = long (uptrend), above = short (downtrend)
+    const direction = sarValues.map((sar, i) => (sar < series.close[i + offset] ? 1 : -1));
+    const { flips, totalFlips, current } = analyzeTrailingStop({ stop: sarValues, direction, close: series.close, offset });
+
+    const response = {
+      indicator: "Parabolic SAR",
+      parameters: {
+        acceleration: acceleration,
+        maximum: maximum
+      },
+      dataPoints: length,
+      offset: offset,
+      values: {
+        psar: sarValues,
+        direction: direction
+      },
+      current: current,
+      flips: flips,
+      analysis: {
+        totalFlips: totalFlips
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Parabolic SAR calculation failed");
+  }
+};
@@ -5,9 +5,17 @@
 
 import { tradingIndicatorsDefinitions, tradingIndicatorsHandlers } from './tradingIndicators.js';
 import { calculateAllDefinition, calculateAllHandler } from './calculateAll.js';
+import { calculateIndicatorDefinition, calculateIndicatorHandler } from './calculateIndicator.js';
+import { describeIndicatorsDefinition, describeIndicatorsHandler } from './describeIndicators.js';
+import { toolResult, objectSchema, numberSchema, stringSchema } from '../utils/toolOutput.js';
+import { invalidParam } from '../utils/errors.js';
+import { createArgumentValidator } from '../utils/validation.js';
+import { normalizeBars, reportInput } from '../utils/candles.js';
+import { withBarArguments, resolveAlignment, alignResult } from '../utils/alignment.js';
 
 /**
  * Public tools definitions for MCP
+ * Series tools also take 'candles', 'timestamps' and 'align' (see utils/alignment.js)
  */
 export const publicToolsDefinitions = [
   {
@@ -18,12 +26,31 @@ export const publicToolsDefinitions = [
       properties: {},
       required: [],
     },
+    outputSchema: objectSchema({
+      name: stringSchema,
+      version: stringSchema,
+      description: stringSchema,
+      uptime: numberSchema,
+      timestamp: stringSchema,
+      nodeVersion: stringSchema,
+      platform: stringSchema,
+      architecture: stringSchema,
+      memory: { type: "object", additionalProperties: numberSchema },
+      tradingIndicators: objectSchema({
+        total: numberSchema,
+        available: { type: "array", items: stringSchema },
+        discovery: stringSchema
+      }),
+    }, ["name", "version", "tradingIndicators"]),
   },
   // Aggregated high-performance tool
   calculateAllDefinition,
+  // Generic access to the whole tulind catalogue
+  calculateIndicatorDefinition,
+  describeIndicatorsDefinition,
   // Include all trading indicators as public tools
   ...tradingIndicatorsDefinitions,
-];
+].map(withBarArguments);
 
 /**
  * Public tools handlers
@@ -44,24 +71,45 @@ export const publicToolsHandlers = {
       architecture: process.arch,
       memory: process.memoryUsage(),
       tradingIndicators: {
-        total: tradingIndicatorsDefinitions.length + 1, // +1 for calculate_all_indicators
-        available: ['calculate_all_indicators', ...tradingIndicatorsDefinitions.map(ind => ind.name)]
+        total: tradingIndicatorsDefinitions.length + 2, // +2 for calculate_all_indicators and calculate_indicator
+        available: ['calculate_all_indicators', 'calculate_indicator', ...tradingIndicatorsDefinitions.map(ind => ind.name)],
+        discovery: 'describe_indicators'
       }
     };
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(serverInfo, null, 2),
-        },
-      ],
-    };
+    return toolResult(serverInfo);
   },
 
   // Aggregated high-performance tool
   calculate_all_indicators: calculateAllHandler,
 
+  // Generic access to the whole tulind catalogue
+  calculate_indicator: calculateIndicatorHandler,
+  describe_indicators: describeIndicatorsHandler,
+
   // Include all trading indicators handlers
   ...tradingIndicatorsHandlers,
-};
\ No newline at end of file
+};
+
+const validateArguments = createArgumentValidator(publicToolsDefinitions);
+const definitionsByName = new Map(publicToolsDefinitions.map(definition => [definition.name, definition]));
+
+/**
+ * Normalize candle input and validate arguments against the tool's inputSchema, then run its
+ * handler, align its output series to the input bars and report any input conversion
+ * Single entry point for the MCP server and the REST API
+ * @param {string} name - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} Tool result
+ */
+export async function callPublicTool(name, args) {
+  const handler = publicToolsHandlers[name];
+  if (!handler) {
+    throw invalidParam(`Unknown tool: ${name}`, { field: "name" });
+  }
+  const definition = definitionsByName.get(name);
+  const { args: normalized, input } = normalizeBars(definition, args);
+  const validated = validateArguments(name, normalized);
+  const alignment = resolveAlignment(definition, validated);
+  return reportInput(alignResult(await handler(validated), alignment), input);
+}
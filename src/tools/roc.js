@@ -0,0 +1,98 @@
+/**
+ * ROC (Rate of Change) Indicator
+ * Percentage change of the price over a period
+ */
+
+import tulind from 'tulind';
+import { analyzeOscillator } from '../utils/oscillator.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const rocDefinition = {
+  name: "calculate_roc",
+  description: "Calculate ROC (Rate of Change) - Percentage price change over a period, oscillating around zero. Above 0 = bullish momentum, below 0 = bearish. ROC has no standard extremes: pass thresholds.overbought/oversold (in percent) to classify stretched moves. Standard period: 12.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      prices: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices. Must be numeric values in chronological order (oldest first). Minimum length: period + 1. Example: [100, 102, 101, 103, 105, 104, 106, 108, 107, 109, 111, 110, 112, 114]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "ROC lookback period. Standard: 12 (short term), 25 (medium term). Must be less than array length.",
+        default: 12,
+        minimum: 1,
+        maximum: 200
+      },
+      thresholds: thresholdsSchema("roc")
+    },
+    required: ["prices"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    unit: stringSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const rocHandler = async (args) => {
+  const { prices, period = 12 } = args;
+
+  // Validation
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
+  }
+
+  if (prices.length < period + 1) {
+    throw insufficientData(`Insufficient data: need at least ${period + 1} prices for ROC calculation with period ${period}`, { field: "prices", required: period + 1, received: prices.length });
+  }
+
+  if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  const thresholds = resolveThresholds("roc", args.thresholds);
+
+  try {
+    // Calculate ROC using Tulind (returned as a ratio, reported in percent)
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.roc.indicator([prices], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const rocValues = result[0].map(value => value * 100);
+
+    const response = {
+      indicator: "ROC",
+      period: period,
+      unit: "percent",
+      thresholds: thresholds,
+      dataPoints: prices.length,
+      values: rocValues,
+      ...analyzeOscillator(rocValues, thresholds, "ROC")
+    };
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "ROC calculation failed");
+  }
+};
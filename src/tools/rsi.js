@@ -4,10 +4,26 @@
  */
 
 import tulind from 'tulind';
+import { analyzeDivergences } from '../utils/divergence.js';
+import { findCrossings, finalizeEvents } from '../utils/events.js';
+import { parseTimestamps } from '../utils/timestamps.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema,
+  divergencesSchema,
+  eventsSchema
+} from '../utils/toolOutput.js';
+import { IndicatorError, ERROR_CODES, insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const rsiDefinition = {
   name: "calculate_rsi",
-  description: "Calculate RSI (Relative Strength Index) - A momentum oscillator measuring overbought/oversold conditions. Values above 70 indicate overbought, below 30 indicate oversold. Commonly used with 14-period setting.",
+  description: "Calculate RSI (Relative Strength Index) - A momentum oscillator measuring overbought/oversold conditions. Values above 70 indicate overbought, below 30 indicate oversold (configurable via 'thresholds', e.g. 80/20 for crypto). Commonly used with 14-period setting. Also detects regular and hidden divergences between price and RSI swings.",
   inputSchema: {
     type: "object",
     properties: {
@@ -23,65 +39,71 @@ export const rsiDefinition = {
         default: 14,
         minimum: 1,
         maximum: 100
-      }
+      },
+      divergenceLookback: {
+        type: "integer",
+        description: "Number of recent bars searched for price/RSI divergences (regular and hidden). Default: 100.",
+        default: 100,
+        minimum: 10,
+        maximum: 1000
+      },
+      pivotStrength: {
+        type: "integer",
+        description: "Bars required on each side of a swing pivot for divergence detection. Higher values keep only major swings. Default: 3.",
+        default: 3,
+        minimum: 1,
+        maximum: 20
+      },
+      includeEvents: {
+        type: "boolean",
+        description: "Return an events timeline across the whole series (overbought/oversold entries and exits, centerline crosses) with bar indices, for backtesting. Default: false (only the latest signal).",
+        default: false
+      },
+      timestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Optional bar times (epoch ms, epoch seconds or ISO 8601 strings), same length as 'prices'. Added to each event when includeEvents is true, and used as 't' when 'align' is 'pairs' (the default once timestamps are given)."
+      },
+      thresholds: thresholdsSchema("rsi")
     },
     required: ["prices"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema,
+    divergences: divergencesSchema,
+    events: eventsSchema,
+    executionTime: numberSchema
+  }, ["values", "current"])
 };
 
 export const rsiHandler = async (args) => {
   const startTime = Date.now();
-  const { prices, period = 14 } = args;
+  const { prices, period = 14, divergenceLookback = 100, pivotStrength = 3, includeEvents = false, timestamps } = args;
 
-  // Validation with structured error responses
+  // Validation
   if (!Array.isArray(prices) || prices.length === 0) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: "Prices must be a non-empty array",
-            timestamp: new Date().toISOString(),
-            executionTime: Date.now() - startTime
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
   }
 
   if (prices.length < period + 1) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: `Insufficient data: need at least ${period + 1} prices for RSI calculation with period ${period}`,
-            timestamp: new Date().toISOString(),
-            executionTime: Date.now() - startTime
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+    throw insufficientData(`Insufficient data: need at least ${period + 1} prices for RSI calculation with period ${period}`, { field: "prices", required: period + 1, received: prices.length });
   }
 
   if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: "All prices must be valid numbers",
-            timestamp: new Date().toISOString(),
-            executionTime: Date.now() - startTime
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  if (timestamps !== undefined) {
+    parseTimestamps(timestamps, prices.length);
   }
 
+  const thresholds = resolveThresholds("rsi", args.thresholds);
+  const { overbought, oversold } = thresholds;
+
   try {
     // Calculate RSI with aggressive timeout for trading
     const result = await Promise.race([
@@ -94,7 +116,7 @@ export const rsiHandler = async (args) => {
         });
       }),
       new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('RSI calculation timeout')), 1000)
+        setTimeout(() => reject(new IndicatorError(ERROR_CODES.TIMEOUT, 'RSI calculation timeout')), 1000)
       )
     ]);
 
@@ -105,19 +127,20 @@ export const rsiHandler = async (args) => {
     let signal = "neutral";
     let interpretation = "";
 
-    if (lastRSI > 70) {
+    if (lastRSI > overbought) {
       signal = "overbought";
-      interpretation = "RSI above 70 indicates potential overbought conditions - possible sell signal";
-    } else if (lastRSI < 30) {
+      interpretation = `RSI above ${overbought} indicates potential overbought conditions - possible sell signal`;
+    } else if (lastRSI < oversold) {
       signal = "oversold";
-      interpretation = "RSI below 30 indicates potential oversold conditions - possible buy signal";
+      interpretation = `RSI below ${oversold} indicates potential oversold conditions - possible buy signal`;
     } else {
-      interpretation = "RSI in neutral range (30-70) - no clear overbought/oversold signal";
+      interpretation = `RSI in neutral range (${oversold}-${overbought}) - no clear overbought/oversold signal`;
     }
 
     const response = {
       indicator: "RSI",
       period: period,
+      thresholds: thresholds,
       dataPoints: prices.length,
       values: rsiValues,
       current: {
@@ -130,32 +153,42 @@ export const rsiHandler = async (args) => {
         max: Number(Math.max(...rsiValues).toFixed(2)),
         average: Number((rsiValues.reduce((a, b) => a + b, 0) / rsiValues.length).toFixed(2))
       },
+      divergences: analyzeDivergences({
+        high: prices,
+        low: prices,
+        indicator: rsiValues,
+        lookback: divergenceLookback,
+        strength: pivotStrength,
+        label: "RSI"
+      }),
       executionTime: Date.now() - startTime
     };
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
+    if (includeEvents) {
+      const offset = prices.length - rsiValues.length;
+      const events = [];
+      const levels = [
+        { level: overbought, up: "overbought_entry", down: "overbought_exit" },
+        { level: oversold, up: "oversold_exit", down: "oversold_entry" },
+        { level: 50, up: "bullish_centerline_cross", down: "bearish_centerline_cross" }
+      ];
+      for (const { level, up, down } of levels) {
+        for (const crossing of findCrossings(rsiValues, level)) {
+          events.push({
+            index: offset + crossing.index,
+            type: crossing.direction === "up" ? up : down,
+            value: rsiValues[crossing.index],
+            price: prices[offset + crossing.index]
+          });
         }
-      ]
-    };
+      }
+      response.events = finalizeEvents(events, timestamps);
+      response.executionTime = Date.now() - startTime;
+    }
+
+    return toolResult(response);
 
   } catch (error) {
-    // Structured error response to prevent transport blocking
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: `RSI calculation failed: ${error.message}`,
-            timestamp: new Date().toISOString(),
-            executionTime: Date.now() - startTime
-          }, null, 2)
-        }
-      ],
-      isError: true
-    };
+    throw calculationFailed(error, "RSI calculation failed");
   }
-};
\ No newline at end of file
+};
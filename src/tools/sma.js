@@ -4,6 +4,16 @@
  */
 
 import tulind from 'tulind';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const smaDefinition = {
   name: "calculate_sma",
@@ -26,7 +36,13 @@ export const smaDefinition = {
       }
     },
     required: ["prices"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    values: seriesSchema,
+    current: currentSchema({ sma: numberSchema, price: numberSchema, trend: stringSchema, signal: stringSchema }, ["sma", "price", "signal"]),
+    statistics: statisticsSchema
+  }, ["values", "current"])
 };
 
 export const smaHandler = async (args) => {
@@ -34,15 +50,15 @@ export const smaHandler = async (args) => {
 
   // Validation
   if (!Array.isArray(prices) || prices.length === 0) {
-    throw new Error("Prices must be a non-empty array");
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
   }
 
   if (prices.length < period) {
-    throw new Error(`Insufficient data: need at least ${period} prices for SMA calculation with period ${period}`);
+    throw insufficientData(`Insufficient data: need at least ${period} prices for SMA calculation with period ${period}`, { field: "prices", required: period, received: prices.length });
   }
 
   if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
-    throw new Error("All prices must be valid numbers");
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
   }
 
   try {
@@ -102,16 +118,9 @@ export const smaHandler = async (args) => {
       }
     };
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
-        }
-      ]
-    };
+    return toolResult(response);
 
   } catch (error) {
-    throw new Error(`SMA calculation failed: ${error.message}`);
+    throw calculationFailed(error, "SMA calculation failed");
   }
 };
\ No newline at end of file
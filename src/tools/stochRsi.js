@@ -0,0 +1,184 @@
+/**
+ * Stochastic RSI Indicator
+ * Stochastic oscillator applied to RSI values, with %K and %D smoothing
+ */
+
+import tulind from 'tulind';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const stochRsiDefinition = {
+  name: "calculate_stoch_rsi",
+  description: "Calculate Stochastic RSI - Stochastic oscillator applied to RSI instead of price, scaled 0-100 with %K and %D smoothing. Above 80 = overbought, below 20 = oversold, %K crossing %D = momentum shift. Faster and more sensitive than RSI. Standard settings: 14,14,3,3. Thresholds are configurable.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      prices: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices. Must be numeric values in chronological order (oldest first). Minimum length: rsiPeriod + stochPeriod + kPeriod + dPeriod - 1. Example: [100, 102, 101, 103, 105, ...]",
+        minItems: 2
+      },
+      rsiPeriod: {
+        type: "integer",
+        description: "RSI period. Standard: 14.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      stochPeriod: {
+        type: "integer",
+        description: "Stochastic lookback over the RSI values (highest/lowest RSI). Standard: 14.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      kPeriod: {
+        type: "integer",
+        description: "%K smoothing period (SMA of raw Stochastic RSI). Standard: 3. Use 1 for no smoothing.",
+        default: 3,
+        minimum: 1,
+        maximum: 50
+      },
+      dPeriod: {
+        type: "integer",
+        description: "%D period (SMA of %K, signal line). Standard: 3.",
+        default: 3,
+        minimum: 1,
+        maximum: 50
+      },
+      thresholds: thresholdsSchema("stochrsi")
+    },
+    required: ["prices"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ rsiPeriod: numberSchema, stochPeriod: numberSchema, kPeriod: numberSchema, dPeriod: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["k", "d"]),
+    current: currentSchema({ k: nullableNumberSchema, d: nullableNumberSchema, signal: stringSchema }, ["k", "d", "signal"]),
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+/**
+ * Calculate Stochastic RSI %K and %D
+ * The stochastic is run on RSI used as high, low and close, which gives
+ * (RSI - lowest RSI) / (highest RSI - lowest RSI) smoothed by SMA(k) and SMA(d)
+ * @param {Array<number>} prices - Closing prices
+ * @param {object} options - { rsiPeriod, stochPeriod, kPeriod, dPeriod }
+ * @returns {Promise<object>} { k, d } aligned to the end of the input
+ */
+export async function computeStochRsi(prices, { rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3 } = {}) {
+  const run = (name, inputs, options) => new Promise((resolve, reject) => {
+    tulind.indicators[name].indicator(inputs, options, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+  const [rsi] = await run('rsi', [prices], [rsiPeriod]);
+  const [k, d] = await run('stoch', [rsi, rsi, rsi], [stochPeriod, kPeriod, dPeriod]);
+
+  return { k, d };
+}
+
+export const stochRsiHandler = async (args) => {
+  const { prices, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3 } = args;
+
+  // Validation
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
+  }
+
+  // RSI warm-up plus stochastic warm-up, with two %K/%D values for crossover detection
+  const minDataPoints = rsiPeriod + stochPeriod + kPeriod + dPeriod - 1;
+  if (prices.length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} prices for Stochastic RSI calculation`, { field: "prices", required: minDataPoints, received: prices.length });
+  }
+
+  if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  const thresholds = resolveThresholds("stochrsi", args.thresholds);
+  const { overbought, oversold } = thresholds;
+
+  try {
+    const { k, d } = await computeStochRsi(prices, { rsiPeriod, stochPeriod, kPeriod, dPeriod });
+
+    // Analyze current values
+    const currentK = k[k.length - 1];
+    const currentD = d[d.length - 1];
+    const previousK = k[k.length - 2];
+    const previousD = d[d.length - 2];
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (currentK > overbought && currentD > overbought) {
+      signal = "overbought";
+      interpretation = `Both %K and %D above ${overbought} - overbought RSI momentum, potential sell signal`;
+    } else if (currentK < oversold && currentD < oversold) {
+      signal = "oversold";
+      interpretation = `Both %K and %D below ${oversold} - oversold RSI momentum, potential buy signal`;
+    } else if (currentK > currentD && previousK <= previousD) {
+      signal = "bullish_crossover";
+      interpretation = "%K crossed above %D - bullish crossover signal";
+    } else if (currentK < currentD && previousK >= previousD) {
+      signal = "bearish_crossover";
+      interpretation = "%K crossed below %D - bearish crossover signal";
+    } else if (currentK > currentD) {
+      signal = "bullish";
+      interpretation = "%K above %D - bullish momentum";
+    } else if (currentK < currentD) {
+      signal = "bearish";
+      interpretation = "%K below %D - bearish momentum";
+    } else {
+      interpretation = "%K and %D converging - neutral signal";
+    }
+
+    const response = {
+      indicator: "Stochastic RSI",
+      parameters: {
+        rsiPeriod: rsiPeriod,
+        stochPeriod: stochPeriod,
+        kPeriod: kPeriod,
+        dPeriod: dPeriod
+      },
+      thresholds: thresholds,
+      dataPoints: prices.length,
+      values: {
+        k: k,
+        d: d
+      },
+      current: {
+        k: Number(currentK.toFixed(2)),
+        d: Number(currentD.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...k).toFixed(2)),
+        max: Number(Math.max(...k).toFixed(2)),
+        average: Number((k.reduce((a, b) => a + b, 0) / k.length).toFixed(2))
+      }
+    };
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Stochastic RSI calculation failed");
+  }
+};
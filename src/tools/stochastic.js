@@ -4,10 +4,27 @@
  */
 
 import tulind from 'tulind';
+import { analyzeDivergences } from '../utils/divergence.js';
+import { findCrossings, finalizeEvents } from '../utils/events.js';
+import { parseTimestamps } from '../utils/timestamps.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesMapSchema,
+  thresholdsOutputSchema,
+  divergencesSchema,
+  eventsSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
 
 export const stochasticDefinition = {
   name: "calculate_stochastic",
-  description: "Calculate Stochastic Oscillator - Momentum indicator comparing closing price to price range. Values 0-100: above 80 = overbought, below 20 = oversold. %K crosses above %D = buy signal. Standard settings: 14,3,3.",
+  description: "Calculate Stochastic Oscillator - Momentum indicator comparing closing price to price range. Values 0-100: above 80 = overbought, below 20 = oversold (configurable via 'thresholds'). %K crosses above %D = buy signal. Standard settings: 14,3,3. Also detects regular and hidden divergences between price and %K swings.",
   inputSchema: {
     type: "object",
     properties: {
@@ -49,18 +66,53 @@ export const stochasticDefinition = {
         default: 3,
         minimum: 1,
         maximum: 50
-      }
+      },
+      divergenceLookback: {
+        type: "integer",
+        description: "Number of recent bars searched for price/%K divergences (regular and hidden). Default: 100.",
+        default: 100,
+        minimum: 10,
+        maximum: 1000
+      },
+      pivotStrength: {
+        type: "integer",
+        description: "Bars required on each side of a swing pivot for divergence detection. Higher values keep only major swings. Default: 3.",
+        default: 3,
+        minimum: 1,
+        maximum: 20
+      },
+      includeEvents: {
+        type: "boolean",
+        description: "Return an events timeline across the whole series (every %K/%D crossover, overbought/oversold entries and exits) with bar indices, for backtesting. Default: false (only the latest signal).",
+        default: false
+      },
+      timestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Optional bar times (epoch ms, epoch seconds or ISO 8601 strings), same length as the price arrays. Added to each event when includeEvents is true, and used as 't' when 'align' is 'pairs' (the default once timestamps are given)."
+      },
+      thresholds: thresholdsSchema("stochastic")
     },
     required: ["high", "low", "close"]
-  }
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ kPeriod: numberSchema, kSmoothPeriod: numberSchema, dPeriod: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["k", "d"]),
+    current: currentSchema({ k: numberSchema, d: numberSchema, signal: stringSchema }, ["k", "d", "signal"]),
+    analysis: objectSchema(),
+    zones: objectSchema(),
+    divergences: divergencesSchema,
+    events: eventsSchema
+  }, ["values", "current"])
 };
 
 export const stochasticHandler = async (args) => {
-  const { high, low, close, kPeriod = 14, kSmoothPeriod = 3, dPeriod = 3 } = args;
+  const { high, low, close, kPeriod = 14, kSmoothPeriod = 3, dPeriod = 3, divergenceLookback = 100, pivotStrength = 3, includeEvents = false, timestamps } = args;
 
   // Validation
   if (!Array.isArray(high) || !Array.isArray(low) || !Array.isArray(close)) {
-    throw new Error("High, low, and close must be arrays");
+    throw invalidParam("High, low, and close must be arrays", { fields: ["high", "low", "close"] });
   }
 
   let warning = null;
@@ -78,20 +130,27 @@ export const stochasticHandler = async (args) => {
   }
 
   if (adjustedHigh.length === 0) {
-    throw new Error("Price arrays must not be empty");
+    throw invalidParam("Price arrays must not be empty", { fields: ["high", "low", "close"] });
   }
 
   const minDataPoints = kPeriod + kSmoothPeriod + dPeriod;
   if (adjustedHigh.length < minDataPoints) {
-    throw new Error(`Insufficient data: need at least ${minDataPoints} data points for Stochastic calculation`);
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for Stochastic calculation`, { field: "close", required: minDataPoints, received: adjustedHigh.length });
   }
 
   // Validate all values are numbers
   const allPrices = [...adjustedHigh, ...adjustedLow, ...adjustedClose];
   if (allPrices.some(price => typeof price !== 'number' || isNaN(price))) {
-    throw new Error("All price values must be valid numbers");
+    throw invalidParam("All price values must be valid numbers", { fields: ["high", "low", "close"] });
+  }
+
+  if (timestamps !== undefined) {
+    parseTimestamps(timestamps, adjustedClose.length);
   }
 
+  const thresholds = resolveThresholds("stochastic", args.thresholds);
+  const { overbought, oversold, crossoverGap } = thresholds;
+
   try {
     // Calculate Stochastic using Tulind
     const result = await new Promise((resolve, reject) => {
@@ -113,12 +172,12 @@ export const stochasticHandler = async (args) => {
     let interpretation = "";
 
     // Determine signal based on Stochastic analysis
-    if (currentK > 80 && currentD > 80) {
+    if (currentK > overbought && currentD > overbought) {
       signal = "overbought";
-      interpretation = "Both %K and %D above 80 - strong overbought condition, potential sell signal";
-    } else if (currentK < 20 && currentD < 20) {
+      interpretation = `Both %K and %D above ${overbought} - strong overbought condition, potential sell signal`;
+    } else if (currentK < oversold && currentD < oversold) {
       signal = "oversold";
-      interpretation = "Both %K and %D below 20 - strong oversold condition, potential buy signal";
+      interpretation = `Both %K and %D below ${oversold} - strong oversold condition, potential buy signal`;
     } else if (currentK > currentD && previousK <= previousD) {
       signal = "bullish_crossover";
       interpretation = "%K crossed above %D - bullish crossover signal";
@@ -146,6 +205,7 @@ export const stochasticHandler = async (args) => {
         kSmoothPeriod: kSmoothPeriod,
         dPeriod: dPeriod
       },
+      thresholds: thresholds,
       dataPoints: adjustedHigh.length,
       values: {
         k: stochK,
@@ -160,32 +220,55 @@ export const stochasticHandler = async (args) => {
       analysis: {
         momentum: momentum,
         divergence: Number(divergence.toFixed(2)),
-        overboughtLevel: currentK > 80 || currentD > 80,
-        oversoldLevel: currentK < 20 || currentD < 20,
-        crossover: Math.abs(currentK - currentD) < 2 // Lines are close
+        overboughtLevel: currentK > overbought || currentD > overbought,
+        oversoldLevel: currentK < oversold || currentD < oversold,
+        crossover: Math.abs(currentK - currentD) < crossoverGap // Lines are close
       },
       zones: {
-        overbought: { threshold: 80, inZone: currentK > 80 && currentD > 80 },
-        oversold: { threshold: 20, inZone: currentK < 20 && currentD < 20 },
-        neutral: { inZone: currentK >= 20 && currentK <= 80 && currentD >= 20 && currentD <= 80 }
-      }
+        overbought: { threshold: overbought, inZone: currentK > overbought && currentD > overbought },
+        oversold: { threshold: oversold, inZone: currentK < oversold && currentD < oversold },
+        neutral: { inZone: currentK >= oversold && currentK <= overbought && currentD >= oversold && currentD <= overbought }
+      },
+      divergences: analyzeDivergences({
+        high: adjustedHigh,
+        low: adjustedLow,
+        indicator: stochK,
+        lookback: divergenceLookback,
+        strength: pivotStrength,
+        label: "%K"
+      })
     };
 
+    if (includeEvents) {
+      const offset = adjustedClose.length - stochK.length;
+      const events = [];
+      const event = (crossing, type) => ({
+        index: offset + crossing.index,
+        type: type,
+        k: stochK[crossing.index],
+        d: stochD[crossing.index],
+        price: adjustedClose[offset + crossing.index]
+      });
+      for (const crossing of findCrossings(stochK, stochD)) {
+        events.push(event(crossing, crossing.direction === "up" ? "bullish_crossover" : "bearish_crossover"));
+      }
+      for (const crossing of findCrossings(stochK, overbought)) {
+        events.push(event(crossing, crossing.direction === "up" ? "overbought_entry" : "overbought_exit"));
+      }
+      for (const crossing of findCrossings(stochK, oversold)) {
+        events.push(event(crossing, crossing.direction === "up" ? "oversold_exit" : "oversold_entry"));
+      }
+      response.events = finalizeEvents(events, timestamps);
+    }
+
     // Add warning if arrays were adjusted
     if (warning) {
       response.warning = warning;
     }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(response, null, 2)
-        }
-      ]
-    };
+    return toolResult(response);
 
   } catch (error) {
-    throw new Error(`Stochastic calculation failed: ${error.message}`);
+    throw calculationFailed(error, "Stochastic calculation failed");
   }
 };
\ No newline at end of file
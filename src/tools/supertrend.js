@@ -0,0 +1,180 @@
+/**
+ * Supertrend Indicator
+ * ATR-based trailing stop that flips between support (uptrend) and resistance (downtrend)
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeTrailingStop } from '../utils/trailingStop.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  nullableNumberSchema,
+  stringSchema,
+  seriesMapSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const supertrendDefinition = {
+  name: "calculate_supertrend",
+  description: "Calculate Supertrend - ATR-based trailing stop. In an uptrend the line sits below price (long stop), in a downtrend above price (short stop); a close through the line flips the trend. Returns the stop line, direction series and flip points. Standard settings: ATR period 10, multiplier 3.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "ATR period. Standard: 10. Longer periods give a smoother, slower stop.",
+        default: 10,
+        minimum: 1,
+        maximum: 100
+      },
+      multiplier: {
+        type: "number",
+        description: "ATR multiplier (band distance from the bar midpoint). Standard: 3. Lower (2) = tighter stop and more flips, higher (4) = looser stop.",
+        default: 3,
+        minimum: 0.1,
+        maximum: 10
+      }
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema(),
+    offset: numberSchema,
+    values: seriesMapSchema(["supertrend", "direction"]),
+    current: currentSchema({
+      stop: numberSchema,
+      price: numberSchema,
+      direction: stringSchema,
+      distance: numberSchema,
+      distancePercent: numberSchema,
+      barsSinceFlip: nullableNumberSchema,
+      signal: stringSchema
+    }, ["stop", "price", "direction", "signal"]),
+    flips: {
+      type: "array",
+      items: objectSchema({ index: numberSchema, direction: stringSchema, price: numberSchema, stop: numberSchema }, ["index", "direction"])
+    },
+    analysis: objectSchema({ totalFlips: numberSchema })
+  }, ["values", "current"])
+};
+
+/**
+ * Calculate Supertrend from ATR values
+ * Output is aligned to the end like tulind ATR: output[i] corresponds to input bar (period - 1 + i)
+ * @param {object} series - { high, low, close }
+ * @param {Array<number>} atr - Tulind ATR values for the same series
+ * @param {number} multiplier - ATR multiplier
+ * @returns {object} { supertrend, direction, upper, lower }
+ */
+export function computeSupertrend({ high, low, close }, atr, multiplier) {
+  const offset = close.length - atr.length;
+  const supertrend = [];
+  const direction = [];
+  const upper = [];
+  const lower = [];
+
+  for (let k = 0; k < atr.length; k++) {
+    const i = k + offset;
+    const midpoint = (high[i] + low[i]) / 2;
+    const basicUpper = midpoint + multiplier * atr[k];
+    const basicLower = midpoint - multiplier * atr[k];
+
+    if (k === 0) {
+      upper.push(basicUpper);
+      lower.push(basicLower);
+      direction.push(close[i] >= midpoint ? 1 : -1);
+    } else {
+      // Bands only tighten while the trend holds
+      const prevUpper = upper[k - 1];
+      const prevLower = lower[k - 1];
+      upper.push(basicUpper < prevUpper || close[i - 1] > prevUpper ? basicUpper : prevUpper);
+      lower.push(basicLower > prevLower || close[i - 1] < prevLower ? basicLower : prevLower);
+
+      if (direction[k - 1] === 1) {
+        direction.push(close[i] < lower[k] ? -1 : 1);
+      } else {
+        direction.push(close[i] > upper[k] ? 1 : -1);
+      }
+    }
+
+    supertrend.push(direction[k] === 1 ? lower[k] : upper[k]);
+  }
+
+  return { supertrend, direction, upper, lower };
+}
+
+export const supertrendHandler = async (args) => {
+  const { high, low, close, period = 10, multiplier = 3 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+
+  if (length < period + 1) {
+    throw insufficientData(`Insufficient data: need at least ${period + 1} data points for Supertrend calculation with period ${period}`, { field: "close", required: period + 1, received: length });
+  }
+
+  try {
+    // Calculate ATR using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.atr.indicator([series.high, series.low, series.close], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const { supertrend, direction } = computeSupertrend(series, result[0], multiplier);
+    const offset = length - supertrend.length;
+    const { flips, totalFlips, current } = analyzeTrailingStop({ stop: supertrend, direction, close: series.close, offset });
+
+    const response = {
+      indicator: "Supertrend",
+      parameters: {
+        period: period,
+        multiplier: multiplier
+      },
+      dataPoints: length,
+      offset: offset,
+      values: {
+        supertrend: supertrend,
+        direction: direction
+      },
+      current: current,
+      flips: flips,
+      analysis: {
+        totalFlips: totalFlips,
+        atr: Number(result[0][result[0].length - 1].toFixed(4))
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Supertrend calculation failed");
+  }
+};
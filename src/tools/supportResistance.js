@@ -0,0 +1,313 @@
+/**
+ * Support / Resistance Zones
+ * Clusters swing highs/lows into horizontal zones with touch counts and strength scores
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { findFractalSwings, findZigZagSwings } from '../utils/swings.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const supportResistanceDefinition = {
+  name: "detect_support_resistance",
+  description: "Detect support/resistance zones - Finds swing highs/lows (fractals or ZigZag with a percentage or ATR reversal threshold), clusters them into horizontal zones with touch counts and strength scores (0-100), and reports the nearest zones above and below the last close. Uses the same OHLCV input format as calculate_all_indicators (also available there as the 'zones' key).",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: {
+        type: "string",
+        description: "Trading symbol (e.g., BTC/USDT, ETH/USDT) - for reference only"
+      },
+      ohlcv: {
+        type: "object",
+        description: "OHLCV data arrays, same format as calculate_all_indicators (volume and timestamps are accepted but not used)",
+        properties: {
+          high: {
+            type: "array",
+            items: { type: "number" },
+            description: "Array of high prices"
+          },
+          low: {
+            type: "array",
+            items: { type: "number" },
+            description: "Array of low prices"
+          },
+          close: {
+            type: "array",
+            items: { type: "number" },
+            description: "Array of closing prices"
+          }
+        },
+        required: ["high", "low", "close"]
+      },
+      method: {
+        type: "string",
+        enum: ["fractal", "zigzag"],
+        description: "Swing detection method. 'fractal': a high/low above/below 'strength' bars on each side. 'zigzag': a reversal of at least the threshold from the running extreme. Default: 'fractal'.",
+        default: "fractal"
+      },
+      strength: {
+        type: "integer",
+        description: "Fractal strength - bars required on each side of a swing. Default: 2 (Williams fractal). Higher values keep only major swings.",
+        default: 2,
+        minimum: 1,
+        maximum: 50
+      },
+      thresholdType: {
+        type: "string",
+        enum: ["percent", "atr"],
+        description: "ZigZag reversal threshold type. 'percent': a percentage of the swing price. 'atr': a multiple of ATR. Default: 'percent'.",
+        default: "percent"
+      },
+      threshold: {
+        type: "number",
+        description: "ZigZag reversal threshold: percent (default 5) or ATR multiple (default 2) depending on 'thresholdType'.",
+        minimum: 0.01,
+        maximum: 100
+      },
+      atrPeriod: {
+        type: "integer",
+        description: "ATR period used for the zone width and the ATR ZigZag threshold. Default: 14.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      zoneWidth: {
+        type: "number",
+        description: "Maximum zone height as a multiple of the current ATR. Swings within this distance are merged into one zone. Default: 0.5.",
+        default: 0.5,
+        minimum: 0.05,
+        maximum: 5
+      },
+      minTouches: {
+        type: "integer",
+        description: "Minimum number of swings in a zone for it to be reported. Default: 2.",
+        default: 2,
+        minimum: 1,
+        maximum: 20
+      },
+      maxZones: {
+        type: "integer",
+        description: "Maximum number of zones returned, strongest first. Default: 10.",
+        default: 10,
+        minimum: 1,
+        maximum: 50
+      }
+    },
+    required: ["ohlcv"]
+  },
+  outputSchema: indicatorOutputSchema({
+    symbol: stringSchema,
+    parameters: objectSchema(),
+    zones: { type: "array", items: objectSchema({ type: stringSchema, low: numberSchema, high: numberSchema, touches: numberSchema }) },
+    current: currentSchema({
+      price: numberSchema,
+      atr: numberSchema,
+      nearestSupport: { type: ["object", "null"] },
+      nearestResistance: { type: ["object", "null"] },
+      insideZone: { type: ["object", "null"] },
+      signal: stringSchema
+    }, ["price", "signal"]),
+    swings: objectSchema({ total: numberSchema, recent: { type: "array", items: { type: "object" } } })
+  }, ["zones", "current"])
+};
+
+/**
+ * Resolve and validate support/resistance options
+ * @param {object} options - Raw options
+ * @returns {object} Options with defaults applied
+ */
+export function resolveZoneOptions(options = {}) {
+  const method = options.method || "fractal";
+  const thresholdType = options.thresholdType || "percent";
+
+  if (!["fractal", "zigzag"].includes(method)) {
+    throw invalidParam("Method must be 'fractal' or 'zigzag'", { field: "method", allowed: ["fractal", "zigzag"] });
+  }
+  if (!["percent", "atr"].includes(thresholdType)) {
+    throw invalidParam("Threshold type must be 'percent' or 'atr'", { field: "thresholdType", allowed: ["percent", "atr"] });
+  }
+
+  return {
+    method,
+    strength: options.strength || 2,
+    thresholdType,
+    threshold: options.threshold || (thresholdType === "atr" ? 2 : 5),
+    atrPeriod: options.atrPeriod || 14,
+    zoneWidth: options.zoneWidth || 0.5,
+    minTouches: options.minTouches || 2,
+    maxZones: options.maxZones || 10
+  };
+}
+
+/**
+ * Detect swings and cluster them into support/resistance zones
+ * @param {object} series - { high, low, close }
+ * @param {Array<number>} atr - ATR series from tulind (aligned to the end of the input)
+ * @param {object} options - Options from resolveZoneOptions
+ * @returns {object} { swings, zones, current }
+ */
+export function computeSupportResistance({ high, low, close }, atr, options) {
+  const length = close.length;
+  const atrOffset = length - atr.length;
+  const atrAt = (index) => atr[Math.max(0, index - atrOffset)];
+  const currentATR = atr[atr.length - 1];
+  const price = close[length - 1];
+
+  const swings = options.method === "zigzag"
+    ? findZigZagSwings(high, low, options.thresholdType === "atr"
+      ? (index) => atrAt(index) * options.threshold
+      : (index, extreme) => extreme * options.threshold / 100)
+    : findFractalSwings(high, low, options.strength);
+
+  // Greedy clustering on sorted prices: a zone grows while it stays within the zone width
+  const tolerance = currentATR * options.zoneWidth;
+  const sorted = [...swings].sort((a, b) => a.price - b.price);
+  const clusters = [];
+  for (const swing of sorted) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && swing.price - cluster[0].price <= tolerance) {
+      cluster.push(swing);
+    } else {
+      clusters.push([swing]);
+    }
+  }
+
+  const candidates = clusters.filter(cluster => cluster.length >= options.minTouches);
+  const maxTouches = Math.max(1, ...candidates.map(cluster => cluster.length));
+
+  const zones = candidates.map(cluster => {
+    const prices = cluster.map(swing => swing.price);
+    const indices = cluster.map(swing => swing.index);
+    const zoneLow = Math.min(...prices);
+    const zoneHigh = Math.max(...prices);
+    const center = prices.reduce((a, b) => a + b, 0) / prices.length;
+    const lastIndex = Math.max(...indices);
+
+    // Strength: 60% touch count relative to the busiest zone, 40% recency of the last touch
+    const recency = length > 1 ? lastIndex / (length - 1) : 1;
+    const strength = Math.round((cluster.length / maxTouches) * 60 + recency * 40);
+
+    return {
+      low: zoneLow,
+      high: zoneHigh,
+      center: center,
+      touches: cluster.length,
+      swingHighs: cluster.filter(swing => swing.type === "high").length,
+      swingLows: cluster.filter(swing => swing.type === "low").length,
+      firstIndex: Math.min(...indices),
+      lastIndex: lastIndex,
+      strength: strength,
+      type: zoneHigh < price ? "support" : zoneLow > price ? "resistance" : "current",
+      distancePercent: Number((((center - price) / price) * 100).toFixed(2))
+    };
+  });
+
+  zones.sort((a, b) => b.strength - a.strength || b.touches - a.touches);
+  const reported = zones.slice(0, options.maxZones);
+
+  const supports = zones.filter(zone => zone.type === "support").sort((a, b) => b.high - a.high);
+  const resistances = zones.filter(zone => zone.type === "resistance").sort((a, b) => a.low - b.low);
+  const insideZone = zones.find(zone => zone.type === "current") || null;
+  const nearestSupport = supports[0] || null;
+  const nearestResistance = resistances[0] || null;
+
+  let signal = "between_zones";
+  let interpretation = "";
+
+  if (insideZone) {
+    signal = "in_zone";
+    interpretation = `Price (${price.toFixed(2)}) is inside a zone (${insideZone.low.toFixed(2)}-${insideZone.high.toFixed(2)}, ${insideZone.touches} touches) - expect a reaction or a breakout`;
+  } else if (nearestSupport && nearestResistance) {
+    interpretation = `Price (${price.toFixed(2)}) is between support ${nearestSupport.low.toFixed(2)}-${nearestSupport.high.toFixed(2)} and resistance ${nearestResistance.low.toFixed(2)}-${nearestResistance.high.toFixed(2)}`;
+  } else if (nearestSupport) {
+    signal = "above_all_zones";
+    interpretation = `Price (${price.toFixed(2)}) is above all detected zones - nearest support ${nearestSupport.low.toFixed(2)}-${nearestSupport.high.toFixed(2)}`;
+  } else if (nearestResistance) {
+    signal = "below_all_zones";
+    interpretation = `Price (${price.toFixed(2)}) is below all detected zones - nearest resistance ${nearestResistance.low.toFixed(2)}-${nearestResistance.high.toFixed(2)}`;
+  } else {
+    signal = "no_zones";
+    interpretation = `No zones with at least ${options.minTouches} touches - lower minTouches or increase zoneWidth`;
+  }
+
+  return {
+    swings,
+    zones: reported,
+    current: {
+      price: price,
+      atr: currentATR,
+      nearestSupport: nearestSupport,
+      nearestResistance: nearestResistance,
+      insideZone: insideZone,
+      signal: signal,
+      interpretation: interpretation
+    }
+  };
+}
+
+export const supportResistanceHandler = async (args) => {
+  const { ohlcv } = args;
+
+  if (!ohlcv || typeof ohlcv !== 'object') {
+    throw invalidParam("OHLCV data is required (ohlcv.high, ohlcv.low, ohlcv.close)", { field: "ohlcv" });
+  }
+
+  const options = resolveZoneOptions(args);
+  const { series, length, warning } = alignSeries({ high: ohlcv.high, low: ohlcv.low, close: ohlcv.close });
+
+  const minDataPoints = Math.max(options.atrPeriod + 1, options.method === "fractal" ? options.strength * 2 + 1 : 3);
+  if (length < minDataPoints) {
+    throw insufficientData(`Insufficient data: need at least ${minDataPoints} data points for support/resistance detection`, { field: "ohlcv", required: minDataPoints, received: length });
+  }
+
+  try {
+    // ATR sets the zone width and, optionally, the ZigZag threshold
+    const atr = await new Promise((resolve, reject) => {
+      tulind.indicators.atr.indicator([series.high, series.low, series.close], [options.atrPeriod], (err, results) => {
+        if (err) reject(err);
+        else resolve(results[0]);
+      });
+    });
+
+    const { swings, zones, current } = computeSupportResistance(series, atr, options);
+
+    const response = {
+      indicator: "Support/Resistance Zones",
+      parameters: options,
+      dataPoints: length,
+      zones: zones,
+      current: {
+        ...current,
+        price: Number(current.price.toFixed(2)),
+        atr: Number(current.atr.toFixed(4))
+      },
+      swings: {
+        total: swings.length,
+        recent: swings.slice(-10)
+      }
+    };
+
+    if (args.symbol) {
+      response.symbol = args.symbol;
+    }
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Support/resistance detection failed");
+  }
+};
@@ -11,6 +11,33 @@ import { macdDefinition, macdHandler } from './macd.js';
 import { bollingerBandsDefinition, bollingerBandsHandler } from './bollingerBands.js';
 import { stochasticDefinition, stochasticHandler } from './stochastic.js';
 import { atrDefinition, atrHandler } from './atr.js';
+import { adxDefinition, adxHandler } from './adx.js';
+import { obvDefinition, obvHandler } from './obv.js';
+import { accumulationDistributionDefinition, accumulationDistributionHandler } from './accumulationDistribution.js';
+import { cmfDefinition, cmfHandler } from './cmf.js';
+import { mfiDefinition, mfiHandler } from './mfi.js';
+import { vwmaDefinition, vwmaHandler } from './vwma.js';
+import { vwapDefinition, vwapHandler } from './vwap.js';
+import { ichimokuDefinition, ichimokuHandler } from './ichimoku.js';
+import { supertrendDefinition, supertrendHandler } from './supertrend.js';
+import { psarDefinition, psarHandler } from './psar.js';
+import { keltnerChannelsDefinition, keltnerChannelsHandler } from './keltnerChannels.js';
+import { donchianChannelsDefinition, donchianChannelsHandler } from './donchianChannels.js';
+import { levelsDefinition, levelsHandler } from './levels.js';
+import { supportResistanceDefinition, supportResistanceHandler } from './supportResistance.js';
+import { candlestickPatternsDefinition, candlestickPatternsHandler } from './candlestickPatterns.js';
+import { movingAverageDefinition, movingAverageHandler } from './movingAverage.js';
+import { cciDefinition, cciHandler } from './cci.js';
+import { williamsRDefinition, williamsRHandler } from './williamsR.js';
+import { rocDefinition, rocHandler } from './roc.js';
+import { stochRsiDefinition, stochRsiHandler } from './stochRsi.js';
+import { ultimateOscillatorDefinition, ultimateOscillatorHandler } from './ultimateOscillator.js';
+import { awesomeOscillatorDefinition, awesomeOscillatorHandler } from './awesomeOscillator.js';
+import { aroonDefinition, aroonHandler } from './aroon.js';
+import { vortexDefinition, vortexHandler } from './vortex.js';
+import { choppinessDefinition, choppinessHandler } from './choppiness.js';
+import { volatilityDefinition, volatilityHandler } from './volatility.js';
+import { getTulindIndicator } from '../utils/tulindCatalog.js';
 
 /**
  * All trading indicators definitions
@@ -22,7 +49,33 @@ export const tradingIndicatorsDefinitions = [
   macdDefinition,
   bollingerBandsDefinition,
   stochasticDefinition,
-  atrDefinition
+  atrDefinition,
+  adxDefinition,
+  obvDefinition,
+  accumulationDistributionDefinition,
+  cmfDefinition,
+  mfiDefinition,
+  vwmaDefinition,
+  vwapDefinition,
+  ichimokuDefinition,
+  supertrendDefinition,
+  psarDefinition,
+  keltnerChannelsDefinition,
+  donchianChannelsDefinition,
+  levelsDefinition,
+  supportResistanceDefinition,
+  candlestickPatternsDefinition,
+  movingAverageDefinition,
+  cciDefinition,
+  williamsRDefinition,
+  rocDefinition,
+  stochRsiDefinition,
+  ultimateOscillatorDefinition,
+  awesomeOscillatorDefinition,
+  aroonDefinition,
+  vortexDefinition,
+  choppinessDefinition,
+  volatilityDefinition
 ];
 
 /**
@@ -35,9 +88,99 @@ export const tradingIndicatorsHandlers = {
   [macdDefinition.name]: macdHandler,
   [bollingerBandsDefinition.name]: bollingerBandsHandler,
   [stochasticDefinition.name]: stochasticHandler,
-  [atrDefinition.name]: atrHandler
+  [atrDefinition.name]: atrHandler,
+  [adxDefinition.name]: adxHandler,
+  [obvDefinition.name]: obvHandler,
+  [accumulationDistributionDefinition.name]: accumulationDistributionHandler,
+  [cmfDefinition.name]: cmfHandler,
+  [mfiDefinition.name]: mfiHandler,
+  [vwmaDefinition.name]: vwmaHandler,
+  [vwapDefinition.name]: vwapHandler,
+  [ichimokuDefinition.name]: ichimokuHandler,
+  [supertrendDefinition.name]: supertrendHandler,
+  [psarDefinition.name]: psarHandler,
+  [keltnerChannelsDefinition.name]: keltnerChannelsHandler,
+  [donchianChannelsDefinition.name]: donchianChannelsHandler,
+  [levelsDefinition.name]: levelsHandler,
+  [supportResistanceDefinition.name]: supportResistanceHandler,
+  [candlestickPatternsDefinition.name]: candlestickPatternsHandler,
+  [movingAverageDefinition.name]: movingAverageHandler,
+  [cciDefinition.name]: cciHandler,
+  [williamsRDefinition.name]: williamsRHandler,
+  [rocDefinition.name]: rocHandler,
+  [stochRsiDefinition.name]: stochRsiHandler,
+  [ultimateOscillatorDefinition.name]: ultimateOscillatorHandler,
+  [awesomeOscillatorDefinition.name]: awesomeOscillatorHandler,
+  [aroonDefinition.name]: aroonHandler,
+  [vortexDefinition.name]: vortexHandler,
+  [choppinessDefinition.name]: choppinessHandler,
+  [volatilityDefinition.name]: volatilityHandler
 };
 
+/**
+ * Tulind indicator behind each dedicated tool, with the tool arguments
+ * mapped (in tulind order) to its options. Used to report warm-up lengths.
+ */
+const tulindEquivalents = {
+  [rsiDefinition.name]: { indicator: 'rsi', options: ['period'] },
+  [emaDefinition.name]: { indicator: 'ema', options: ['period'] },
+  [smaDefinition.name]: { indicator: 'sma', options: ['period'] },
+  [macdDefinition.name]: { indicator: 'macd', options: ['fastPeriod', 'slowPeriod', 'signalPeriod'] },
+  [bollingerBandsDefinition.name]: { indicator: 'bbands', options: ['period', 'stdDev'] },
+  [stochasticDefinition.name]: { indicator: 'stoch', options: ['kPeriod', 'kSmoothPeriod', 'dPeriod'] },
+  [atrDefinition.name]: { indicator: 'atr', options: ['period'] },
+  [adxDefinition.name]: { indicator: 'adx', options: ['period'] },
+  [obvDefinition.name]: { indicator: 'obv', options: [] },
+  [accumulationDistributionDefinition.name]: { indicator: 'ad', options: [] },
+  // CMF is computed natively over a rolling sum, which has the same warm-up
+  [cmfDefinition.name]: { indicator: 'sum', options: ['period'] },
+  [mfiDefinition.name]: { indicator: 'mfi', options: ['period'] },
+  [vwmaDefinition.name]: { indicator: 'vwma', options: ['period'] },
+  // Supertrend is computed natively on top of ATR
+  [supertrendDefinition.name]: { indicator: 'atr', options: ['period'] },
+  [psarDefinition.name]: { indicator: 'psar', options: ['acceleration', 'maximum'] },
+  // Keltner skips the EMA seed period, which is the longer leg with default settings
+  [keltnerChannelsDefinition.name]: { indicator: 'sma', options: ['period'] },
+  [donchianChannelsDefinition.name]: { indicator: 'max', options: ['period'] },
+  [supportResistanceDefinition.name]: { indicator: 'atr', options: ['atrPeriod'] },
+  // Warm-up of the default type (sma); other types report theirs in the response offset
+  [movingAverageDefinition.name]: { indicator: 'sma', options: ['period'] },
+  [cciDefinition.name]: { indicator: 'cci', options: ['period'] },
+  [williamsRDefinition.name]: { indicator: 'willr', options: ['period'] },
+  [rocDefinition.name]: { indicator: 'roc', options: ['period'] },
+  [ultimateOscillatorDefinition.name]: { indicator: 'ultosc', options: ['shortPeriod', 'mediumPeriod', 'longPeriod'] },
+  [awesomeOscillatorDefinition.name]: { indicator: 'ao', options: [] },
+  [aroonDefinition.name]: { indicator: 'aroon', options: ['period'] },
+  // Vortex and Choppiness are computed natively over period bars plus the previous close, like VHF
+  [vortexDefinition.name]: { indicator: 'vhf', options: ['period'] },
+  [choppinessDefinition.name]: { indicator: 'vhf', options: ['period'] },
+  // Rolling volatility needs the window plus the previous close, like VHF
+  [volatilityDefinition.name]: { indicator: 'vhf', options: ['period'] }
+};
+
+/**
+ * Warm-up of the native tools with no tulind equivalent, from the tool arguments
+ * listed in options (passed in that order)
+ */
+const nativeWarmups = {
+  // Session VWAP accumulates from the first bar
+  [vwapDefinition.name]: { options: [], start: () => 0 },
+  // The cloud at a bar was projected 'displacement' bars earlier from a full Senkou B window
+  [ichimokuDefinition.name]: { options: ['senkouBPeriod', 'displacement'], start: (senkouBPeriod, displacement) => senkouBPeriod + displacement - 1 },
+  // Pivots and Fibonacci levels come from the last bar and the swing range, without a series
+  [levelsDefinition.name]: { options: [], start: () => 0 },
+  // Patterns are matched from the first candle
+  [candlestickPatternsDefinition.name]: { options: [], start: () => 0 },
+  // RSI warm-up, then the stochastic window and the %K and %D smoothing
+  [stochRsiDefinition.name]: {
+    options: ['rsiPeriod', 'stochPeriod', 'kPeriod', 'dPeriod'],
+    start: (rsiPeriod, stochPeriod, kPeriod, dPeriod) => rsiPeriod + stochPeriod + kPeriod + dPeriod - 3
+  }
+};
+
+// Price and volume series a tool reads, at top level or inside 'ohlcv'
+const INPUT_SERIES = ['prices', 'open', 'high', 'low', 'close', 'volume'];
+
 /**
  * Get indicator by name
  * @param {string} name - Indicator name
@@ -56,11 +199,37 @@ export function getIndicator(name) {
 
 /**
  * List all available indicators
- * @returns {Array} Array of indicator names and descriptions
+ * @returns {Array} Array of indicator names, descriptions, input series, parameters and warm-up lengths
  */
 export function listIndicators() {
-  return tradingIndicatorsDefinitions.map(ind => ({
-    name: ind.name,
-    description: ind.description
-  }));
+  return tradingIndicatorsDefinitions.map(ind => {
+    const properties = ind.inputSchema.properties;
+    const inputs = [
+      ...INPUT_SERIES.filter(key => properties[key]),
+      ...INPUT_SERIES.filter(key => properties.ohlcv?.properties?.[key]).map(key => `ohlcv.${key}`)
+    ];
+    const parameters = Object.keys(properties)
+      .filter(key => properties[key].type === 'number' || properties[key].type === 'integer')
+      .map(key => ({
+        name: key,
+        default: properties[key].default ?? null,
+        minimum: properties[key].minimum ?? null,
+        maximum: properties[key].maximum ?? null
+      }));
+
+    const defaults = options => options.map(key => properties[key].default);
+    const equivalent = tulindEquivalents[ind.name];
+    const native = nativeWarmups[ind.name];
+    const warmup = equivalent
+      ? getTulindIndicator(equivalent.indicator).start(defaults(equivalent.options))
+      : native.start(...defaults(native.options));
+
+    return {
+      name: ind.name,
+      description: ind.description,
+      inputs: inputs,
+      parameters: parameters,
+      warmup: warmup
+    };
+  });
 }
\ No newline at end of file
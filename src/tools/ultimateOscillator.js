@@ -0,0 +1,128 @@
+/**
+ * Ultimate Oscillator Indicator
+ * Weighted average of buying pressure over three timeframes
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeOscillator } from '../utils/oscillator.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const ultimateOscillatorDefinition = {
+  name: "calculate_ultimate_oscillator",
+  description: "Calculate Ultimate Oscillator - Buying pressure averaged over short, medium and long timeframes (weighted 4:2:1), oscillating 0-100. Above 70 = overbought, below 30 = oversold. Multiple timeframes reduce false signals. Standard settings: 7,14,28. Thresholds are configurable.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close' arrays. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close' arrays. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low' arrays. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      shortPeriod: {
+        type: "integer",
+        description: "Short timeframe. Standard: 7.",
+        default: 7,
+        minimum: 1,
+        maximum: 100
+      },
+      mediumPeriod: {
+        type: "integer",
+        description: "Medium timeframe, greater than shortPeriod. Standard: 14.",
+        default: 14,
+        minimum: 1,
+        maximum: 200
+      },
+      longPeriod: {
+        type: "integer",
+        description: "Long timeframe, greater than mediumPeriod. Standard: 28. Must be less than array length.",
+        default: 28,
+        minimum: 1,
+        maximum: 400
+      },
+      thresholds: thresholdsSchema("ultosc")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ shortPeriod: numberSchema, mediumPeriod: numberSchema, longPeriod: numberSchema }),
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const ultimateOscillatorHandler = async (args) => {
+  const { high, low, close, shortPeriod = 7, mediumPeriod = 14, longPeriod = 28 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("ultosc", args.thresholds);
+
+  if (shortPeriod >= mediumPeriod || mediumPeriod >= longPeriod) {
+    throw invalidParam(`Periods must be increasing: shortPeriod (${shortPeriod}) < mediumPeriod (${mediumPeriod}) < longPeriod (${longPeriod})`, { fields: ["shortPeriod", "mediumPeriod", "longPeriod"] });
+  }
+
+  if (length < longPeriod + 1) {
+    throw insufficientData(`Insufficient data: need at least ${longPeriod + 1} data points for Ultimate Oscillator calculation with long period ${longPeriod}`, { field: "close", required: longPeriod + 1, received: length });
+  }
+
+  try {
+    // Calculate Ultimate Oscillator using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.ultosc.indicator([series.high, series.low, series.close], [shortPeriod, mediumPeriod, longPeriod], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const ultoscValues = result[0];
+
+    const response = {
+      indicator: "Ultimate Oscillator",
+      parameters: {
+        shortPeriod: shortPeriod,
+        mediumPeriod: mediumPeriod,
+        longPeriod: longPeriod
+      },
+      thresholds: thresholds,
+      dataPoints: length,
+      values: ultoscValues,
+      ...analyzeOscillator(ultoscValues, thresholds, "Ultimate Oscillator")
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Ultimate Oscillator calculation failed");
+  }
+};
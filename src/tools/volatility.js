@@ -0,0 +1,348 @@
+/**
+ * Historical Volatility Indicator
+ * Annualised range- and close-based volatility estimators with a volatility cone
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+/**
+ * Supported estimators, with whether they need open prices
+ */
+export const VOLATILITY_ESTIMATORS = {
+  close_to_close: { name: "Close-to-Close", open: false },
+  parkinson: { name: "Parkinson", open: false },
+  garman_klass: { name: "Garman-Klass", open: true },
+  rogers_satchell: { name: "Rogers-Satchell", open: true },
+  yang_zhang: { name: "Yang-Zhang", open: true }
+};
+
+export const volatilityDefinition = {
+  name: "calculate_volatility",
+  description: "Calculate historical volatility - Annualised volatility (percent) from close-to-close, Parkinson (high/low), Garman-Klass, Rogers-Satchell and Yang-Zhang (open/high/low/close) estimators. Reports where current volatility sits in its own history (percentile) and a volatility cone (min/quartiles/max) over several windows, so 'high' is relative to the instrument rather than a fixed threshold (percentile levels configurable via 'thresholds'). Open prices are needed for Garman-Klass, Rogers-Satchell and Yang-Zhang.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      open: {
+        type: "array",
+        items: { type: "number" },
+        description: "Optional array of open prices in chronological order (oldest first), same length as the other arrays. Enables the Garman-Klass, Rogers-Satchell and Yang-Zhang estimators."
+      },
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Rolling window (bars) for the current volatility. Standard: 20 (about one trading month of daily bars).",
+        default: 20,
+        minimum: 2,
+        maximum: 500
+      },
+      barsPerYear: {
+        type: "number",
+        description: "Bars per year used to annualise. 252 for daily stock bars (default), 365 for daily crypto, 52 for weekly, 8760 for hourly crypto, 98280 for 5-minute stock bars (390 x 252).",
+        default: 252,
+        minimum: 1
+      },
+      estimators: {
+        type: "array",
+        items: { type: "string", enum: Object.keys(VOLATILITY_ESTIMATORS) },
+        description: "Estimators to compute. Default: all available (those needing open are skipped without 'open')."
+      },
+      estimator: {
+        type: "string",
+        enum: Object.keys(VOLATILITY_ESTIMATORS),
+        description: "Estimator used for the percentile and cone. Default: 'yang_zhang' when open is provided, otherwise 'close_to_close'."
+      },
+      coneWindows: {
+        type: "array",
+        items: { type: "integer", minimum: 2 },
+        description: "Rolling windows (bars) for the volatility cone. Default: [10, 20, 60, 120]. Windows longer than the data are skipped."
+      },
+      thresholds: thresholdsSchema("volatility")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ period: numberSchema, barsPerYear: numberSchema, estimator: stringSchema }),
+    thresholds: thresholdsOutputSchema,
+    unit: stringSchema,
+    values: { type: "object", additionalProperties: seriesSchema },
+    current: currentSchema({
+      value: numberSchema,
+      estimators: { type: "object", additionalProperties: numberSchema },
+      percentile: numberSchema,
+      regime: stringSchema,
+      signal: stringSchema
+    }, ["value", "regime", "signal"]),
+    statistics: statisticsSchema,
+    cone: { type: "array", items: objectSchema({ window: numberSchema }, ["window"]) },
+    notes: { type: "array", items: stringSchema }
+  }, ["values", "current"])
+};
+
+/**
+ * Sample variance (n - 1) of an array
+ * @param {Array<number>} values - Values
+ * @returns {number} Sample variance
+ */
+function sampleVariance(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Per-bar variance of one window, before annualisation
+ * Bars start..end are the window; start - 1 supplies the previous close
+ * @param {string} estimator - Estimator key
+ * @param {object} series - { open, high, low, close }
+ * @param {number} start - First bar of the window (>= 1)
+ * @param {number} end - Last bar of the window
+ * @returns {number} Variance per bar
+ */
+function windowVariance(estimator, { open, high, low, close }, start, end) {
+  const n = end - start + 1;
+  const bars = Array.from({ length: n }, (_, k) => start + k);
+  const rogersSatchell = i => Math.log(high[i] / close[i]) * Math.log(high[i] / open[i]) + Math.log(low[i] / close[i]) * Math.log(low[i] / open[i]);
+
+  switch (estimator) {
+    case "close_to_close":
+      return sampleVariance(bars.map(i => Math.log(close[i] / close[i - 1])));
+    case "parkinson":
+      return bars.reduce((sum, i) => sum + Math.log(high[i] / low[i]) ** 2, 0) / (4 * n * Math.LN2);
+    case "garman_klass":
+      return bars.reduce((sum, i) => sum + 0.5 * Math.log(high[i] / low[i]) ** 2 - (2 * Math.LN2 - 1) * Math.log(close[i] / open[i]) ** 2, 0) / n;
+    case "rogers_satchell":
+      return bars.reduce((sum, i) => sum + rogersSatchell(i), 0) / n;
+    case "yang_zhang": {
+      // Overnight (open vs previous close) + weighted open-to-close + Rogers-Satchell drift-free term
+      const overnight = sampleVariance(bars.map(i => Math.log(open[i] / close[i - 1])));
+      const openToClose = sampleVariance(bars.map(i => Math.log(close[i] / open[i])));
+      const rs = bars.reduce((sum, i) => sum + rogersSatchell(i), 0) / n;
+      const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+      return overnight + k * openToClose + (1 - k) * rs;
+    }
+    default:
+      throw invalidParam(`Unknown volatility estimator: ${estimator}`, { field: "estimator" });
+  }
+}
+
+/**
+ * Rolling annualised volatility in percent
+ * @param {string} estimator - Estimator key
+ * @param {object} series - { open, high, low, close }
+ * @param {number} window - Rolling window (bars)
+ * @param {number} barsPerYear - Bars per year for annualisation
+ * @returns {Array<number>} Values starting at bar 'window', aligned to the end of the input
+ */
+export function computeVolatility(estimator, series, window, barsPerYear) {
+  const values = [];
+  for (let end = window; end < series.close.length; end++) {
+    const variance = Math.max(windowVariance(estimator, series, end - window + 1, end), 0);
+    values.push(Math.sqrt(variance * barsPerYear) * 100);
+  }
+  return values;
+}
+
+/**
+ * Percent of values less than or equal to a value
+ * @param {Array<number>} values - Distribution
+ * @param {number} value - Value to rank
+ * @returns {number} Percentile rank (0-100)
+ */
+function percentileRank(values, value) {
+  return (values.filter(v => v <= value).length / values.length) * 100;
+}
+
+/**
+ * Linear-interpolated quantile of sorted values
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Classify a volatility percentile
+ * @param {number} percentile - Percentile rank (0-100)
+ * @param {object} thresholds - { low, high, extreme } percentile levels
+ * @returns {string} "low", "normal", "high" or "extreme"
+ */
+function classifyPercentile(percentile, thresholds) {
+  if (percentile >= thresholds.extreme) return "extreme";
+  if (percentile >= thresholds.high) return "high";
+  if (percentile <= thresholds.low) return "low";
+  return "normal";
+}
+
+export const volatilityHandler = async (args) => {
+  const { open, high, low, close, period = 20, barsPerYear = 252, estimators, coneWindows = [10, 20, 60, 120] } = args;
+
+  const { series, length, warning } = alignSeries(open !== undefined ? { open, high, low, close } : { high, low, close });
+  const hasOpen = open !== undefined;
+
+  if (Object.values(series).some(values => values.some(value => value <= 0))) {
+    throw invalidParam("All price values must be positive for volatility calculation", { fields: Object.keys(series) });
+  }
+
+  if (typeof barsPerYear !== 'number' || !(barsPerYear > 0)) {
+    throw invalidParam("barsPerYear must be a positive number", { field: "barsPerYear" });
+  }
+
+  // One extra bar for the first previous close, plus one so the percentile has history
+  if (length < period + 2) {
+    throw insufficientData(`Insufficient data: need at least ${period + 2} data points for volatility calculation with period ${period}`, { field: "close", required: period + 2, received: length });
+  }
+
+  const requested = estimators || Object.keys(VOLATILITY_ESTIMATORS);
+  const unknown = requested.filter(key => !VOLATILITY_ESTIMATORS[key]);
+  if (unknown.length > 0) {
+    throw invalidParam(`Unknown volatility estimator(s): ${unknown.join(', ')}. Available: ${Object.keys(VOLATILITY_ESTIMATORS).join(', ')}`, { field: "estimators", unknown, available: Object.keys(VOLATILITY_ESTIMATORS) });
+  }
+
+  const estimator = args.estimator || (hasOpen ? "yang_zhang" : "close_to_close");
+  if (!VOLATILITY_ESTIMATORS[estimator]) {
+    throw invalidParam(`Unknown volatility estimator: ${estimator}. Available: ${Object.keys(VOLATILITY_ESTIMATORS).join(', ')}`, { field: "estimator", available: Object.keys(VOLATILITY_ESTIMATORS) });
+  }
+  if (VOLATILITY_ESTIMATORS[estimator].open && !hasOpen) {
+    throw invalidParam(`The ${VOLATILITY_ESTIMATORS[estimator].name} estimator requires open prices`, { field: "open", estimator });
+  }
+
+  const notes = [];
+  const skipped = requested.filter(key => VOLATILITY_ESTIMATORS[key].open && !hasOpen);
+  if (skipped.length > 0) {
+    if (estimators) {
+      throw invalidParam(`Open prices are required for: ${skipped.join(', ')}`, { field: "open", estimators: skipped });
+    }
+    notes.push(`Skipped ${skipped.map(key => VOLATILITY_ESTIMATORS[key].name).join(', ')}: open prices not provided`);
+  }
+
+  if (!Array.isArray(coneWindows) || coneWindows.some(window => !Number.isInteger(window) || window < 2)) {
+    throw invalidParam("coneWindows must be an array of integers >= 2", { field: "coneWindows" });
+  }
+
+  const thresholds = resolveThresholds("volatility", args.thresholds);
+
+  try {
+    const active = [...new Set([...requested.filter(key => !skipped.includes(key)), estimator])];
+    const values = {};
+    const current = {};
+    for (const key of active) {
+      values[key] = computeVolatility(key, series, period, barsPerYear);
+      current[key] = Number(values[key][values[key].length - 1].toFixed(2));
+    }
+
+    const primary = values[estimator];
+    const currentValue = primary[primary.length - 1];
+    const percentile = percentileRank(primary, currentValue);
+    const regime = classifyPercentile(percentile, thresholds);
+
+    // Volatility cone: distribution of each window's rolling volatility
+    const cone = [];
+    for (const window of [...new Set(coneWindows)].sort((a, b) => a - b)) {
+      if (length < window + 2) {
+        notes.push(`Cone window ${window} skipped: needs at least ${window + 2} data points`);
+        continue;
+      }
+      const rolling = window === period ? primary : computeVolatility(estimator, series, window, barsPerYear);
+      const sorted = [...rolling].sort((a, b) => a - b);
+      const latest = rolling[rolling.length - 1];
+      cone.push({
+        window: window,
+        min: Number(sorted[0].toFixed(2)),
+        p25: Number(quantile(sorted, 0.25).toFixed(2)),
+        median: Number(quantile(sorted, 0.5).toFixed(2)),
+        p75: Number(quantile(sorted, 0.75).toFixed(2)),
+        max: Number(sorted[sorted.length - 1].toFixed(2)),
+        current: Number(latest.toFixed(2)),
+        percentile: Number(percentileRank(rolling, latest).toFixed(1)),
+        samples: rolling.length
+      });
+    }
+
+    const label = VOLATILITY_ESTIMATORS[estimator].name;
+    let interpretation = `${label} volatility ${currentValue.toFixed(2)}% annualised sits at percentile ${percentile.toFixed(0)} of its rolling ${period}-bar history`;
+    if (regime === "extreme") {
+      interpretation += " - extreme relative to the instrument's own history, expect wide ranges and consider smaller position sizes";
+    } else if (regime === "high") {
+      interpretation += " - high relative to the instrument's own history";
+    } else if (regime === "low") {
+      interpretation += " - low relative to the instrument's own history, volatility tends to expand from here";
+    } else {
+      interpretation += " - normal for this instrument";
+    }
+
+    const response = {
+      indicator: "Historical Volatility",
+      parameters: {
+        period: period,
+        barsPerYear: barsPerYear,
+        estimator: estimator
+      },
+      thresholds: thresholds,
+      unit: "annualised percent",
+      dataPoints: length,
+      values: values,
+      current: {
+        value: Number(currentValue.toFixed(2)),
+        estimators: current,
+        percentile: Number(percentile.toFixed(1)),
+        regime: regime,
+        signal: `${regime}_volatility`,
+        interpretation: interpretation
+      },
+      statistics: {
+        min: Number(Math.min(...primary).toFixed(2)),
+        max: Number(Math.max(...primary).toFixed(2)),
+        average: Number((primary.reduce((a, b) => a + b, 0) / primary.length).toFixed(2))
+      },
+      cone: cone
+    };
+
+    if (notes.length > 0) {
+      response.notes = notes;
+    }
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Volatility calculation failed");
+  }
+};
@@ -0,0 +1,192 @@
+/**
+ * Vortex Indicator
+ * Positive and negative trend movement (VI+ / VI-) relative to the true range
+ */
+
+import { alignSeries } from '../utils/priceSeries.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesMapSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const vortexDefinition = {
+  name: "calculate_vortex",
+  description: "Calculate Vortex Indicator - VI+ and VI- compare upward and downward price movement with the true range. VI+ above VI- = uptrend, VI- above VI+ = downtrend; crossovers signal trend changes and a wide gap means a strong trend (spread levels configurable via 'thresholds'). Standard period: 14.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close'. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close'. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low'. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Vortex summation period. Standard: 14 (also common: 21, 25). Must be less than array length.",
+        default: 14,
+        minimum: 2,
+        maximum: 200
+      },
+      thresholds: thresholdsSchema("vortex")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesMapSchema(["plus", "minus"]),
+    current: currentSchema({ plus: numberSchema, minus: numberSchema, signal: stringSchema }, ["plus", "minus", "signal"]),
+    analysis: objectSchema({ spread: numberSchema, spreadTrend: stringSchema, trendStrength: stringSchema })
+  }, ["values", "current"])
+};
+
+/**
+ * Classify trend strength from the gap between VI+ and VI-
+ * @param {number} spread - VI+ minus VI-
+ * @param {object} thresholds - { weakSpread, strongSpread }, defaults to the server thresholds
+ * @returns {string} "strong", "moderate" or "weak"
+ */
+export function classifyVortexSpread(spread, thresholds = resolveThresholds("vortex")) {
+  const gap = Math.abs(spread);
+  if (gap >= thresholds.strongSpread) return "strong";
+  if (gap >= thresholds.weakSpread) return "moderate";
+  return "weak";
+}
+
+/**
+ * Calculate VI+ and VI-
+ * VM+ = |high - previous low|, VM- = |low - previous high|, each summed over the
+ * period and divided by the summed true range
+ * @param {object} series - { high, low, close }
+ * @param {number} period - Summation period
+ * @returns {object} { plus, minus } starting at bar 'period', aligned to the end of the input
+ */
+export function computeVortex({ high, low, close }, period) {
+  const plus = [];
+  const minus = [];
+  let sumPlus = 0;
+  let sumMinus = 0;
+  let sumRange = 0;
+  const movement = [];
+
+  for (let i = 1; i < close.length; i++) {
+    const bar = {
+      plus: Math.abs(high[i] - low[i - 1]),
+      minus: Math.abs(low[i] - high[i - 1]),
+      range: Math.max(high[i] - low[i], Math.abs(high[i] - close[i - 1]), Math.abs(low[i] - close[i - 1]))
+    };
+    movement.push(bar);
+    sumPlus += bar.plus;
+    sumMinus += bar.minus;
+    sumRange += bar.range;
+
+    if (movement.length > period) {
+      const dropped = movement[movement.length - 1 - period];
+      sumPlus -= dropped.plus;
+      sumMinus -= dropped.minus;
+      sumRange -= dropped.range;
+    }
+
+    if (movement.length >= period) {
+      plus.push(sumRange === 0 ? 1 : sumPlus / sumRange);
+      minus.push(sumRange === 0 ? 1 : sumMinus / sumRange);
+    }
+  }
+
+  return { plus, minus };
+}
+
+export const vortexHandler = async (args) => {
+  const { high, low, close, period = 14 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("vortex", args.thresholds);
+
+  // Movement starts on the second bar, plus one value to compare for crossovers
+  if (length < period + 2) {
+    throw insufficientData(`Insufficient data: need at least ${period + 2} data points for Vortex calculation with period ${period}`, { field: "close", required: period + 2, received: length });
+  }
+
+  try {
+    const { plus, minus } = computeVortex(series, period);
+
+    const currentPlus = plus[plus.length - 1];
+    const currentMinus = minus[minus.length - 1];
+    const previousPlus = plus[plus.length - 2];
+    const previousMinus = minus[minus.length - 2];
+    const spread = currentPlus - currentMinus;
+    const trendStrength = classifyVortexSpread(spread, thresholds);
+
+    let signal = "neutral";
+    let interpretation = "";
+
+    if (currentPlus > currentMinus && previousPlus <= previousMinus) {
+      signal = "bullish_crossover";
+      interpretation = "VI+ crossed above VI- - potential start of an uptrend";
+    } else if (currentPlus < currentMinus && previousPlus >= previousMinus) {
+      signal = "bearish_crossover";
+      interpretation = "VI- crossed above VI+ - potential start of a downtrend";
+    } else if (currentPlus > currentMinus) {
+      signal = "bullish";
+      interpretation = `VI+ above VI- by ${spread.toFixed(3)} - ${trendStrength} uptrend`;
+    } else if (currentPlus < currentMinus) {
+      signal = "bearish";
+      interpretation = `VI- above VI+ by ${Math.abs(spread).toFixed(3)} - ${trendStrength} downtrend`;
+    } else {
+      interpretation = "VI+ equals VI- - no directional bias";
+    }
+
+    const response = {
+      indicator: "Vortex",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: {
+        plus: plus,
+        minus: minus
+      },
+      current: {
+        plus: Number(currentPlus.toFixed(4)),
+        minus: Number(currentMinus.toFixed(4)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        spread: Number(spread.toFixed(4)),
+        spreadTrend: Math.abs(spread) > Math.abs(previousPlus - previousMinus) ? "widening" : "narrowing",
+        trendStrength: trendStrength
+      }
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Vortex calculation failed");
+  }
+};
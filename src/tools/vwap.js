@@ -0,0 +1,355 @@
+/**
+ * VWAP (Volume Weighted Average Price) Indicator
+ * Session VWAP with resets, anchored VWAP and standard-deviation bands
+ */
+
+import { alignSeries, validateVolume } from '../utils/priceSeries.js';
+import { parseTimestamps, toEpochMs } from '../utils/timestamps.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema
+} from '../utils/toolOutput.js';
+import { invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const vwapDefinition = {
+  name: "calculate_vwap",
+  description: "Calculate VWAP (Volume Weighted Average Price) with session resets and standard-deviation bands, plus an optional anchored VWAP from any bar. Sessions reset daily (UTC) when timestamps are provided, or at custom reset bars/timestamps. Price above VWAP = buyers in control for the session; bands mark statistically stretched prices.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low', 'close' and 'volume'. Example: [105, 107, 106, 108, ...]",
+        minItems: 1
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high', 'close' and 'volume'. Example: [95, 97, 96, 98, ...]",
+        minItems: 1
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high', 'low' and 'volume'. Example: [100, 102, 101, 103, ...]",
+        minItems: 1
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as the price arrays. Example: [1200, 1500, 900, 1800, ...]",
+        minItems: 1
+      },
+      timestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Optional bar open times: epoch milliseconds, epoch seconds or ISO 8601 strings. Required for daily session resets and 'resetTimestamps'/'anchorTimestamp', and used as 't' when 'align' is 'pairs' (the default once timestamps are given). Example: [1704067200000, 1704070800000, ...]"
+      },
+      session: {
+        type: "string",
+        enum: ["daily", "none"],
+        description: "Session reset mode. 'daily' resets at each UTC day boundary (requires timestamps), 'none' accumulates from the first bar (or from each custom reset). Default: 'daily' when timestamps are provided, otherwise 'none'."
+      },
+      resetIndices: {
+        type: "array",
+        items: { type: "integer", minimum: 0 },
+        description: "Custom session starts as bar indices (0-based). Combined with the session mode. Example: [0, 24, 48]"
+      },
+      resetTimestamps: {
+        type: "array",
+        items: { type: ["number", "string"] },
+        description: "Custom session starts as timestamps; each resets at the first bar at or after it. Requires timestamps."
+      },
+      anchorIndex: {
+        type: "integer",
+        description: "Bar index (0-based) to start an anchored VWAP from, e.g. a swing low or an earnings bar. Never resets.",
+        minimum: 0
+      },
+      anchorTimestamp: {
+        type: ["number", "string"],
+        description: "Timestamp to start an anchored VWAP from (first bar at or after it). Requires timestamps."
+      },
+      bands: {
+        type: "array",
+        items: { type: "number", minimum: 0 },
+        description: "Standard-deviation multipliers for the bands around VWAP. Default: [1, 2]."
+      }
+    },
+    required: ["high", "low", "close", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    parameters: objectSchema({ session: stringSchema }),
+    sessions: objectSchema({ count: numberSchema, starts: { type: "array", items: numberSchema } }),
+    values: objectSchema({ vwap: seriesSchema }, ["vwap"]),
+    current: currentSchema({ vwap: numberSchema, price: numberSchema, distancePercent: numberSchema, position: stringSchema, signal: stringSchema }, ["vwap", "price", "signal"]),
+    anchored: objectSchema({ anchorIndex: numberSchema, values: objectSchema({ vwap: seriesSchema }), current: objectSchema() })
+  }, ["values", "current"])
+};
+
+/**
+ * Find the session start indices for a VWAP calculation
+ * @param {object} options - { length, timestamps, session, resetIndices, resetTimestamps }
+ * @returns {Array<number>} Sorted, unique session start indices (always includes 0)
+ */
+export function findSessionStarts({ length, timestamps = null, session = "none", resetIndices = [], resetTimestamps = [] }) {
+  const starts = new Set([0]);
+
+  if (session === "daily") {
+    if (!timestamps) {
+      throw invalidParam("Daily session resets require timestamps", { field: "timestamps" });
+    }
+    for (let i = 1; i < length; i++) {
+      if (Math.floor(timestamps[i] / 86400000) !== Math.floor(timestamps[i - 1] / 86400000)) {
+        starts.add(i);
+      }
+    }
+  }
+
+  for (const index of resetIndices) {
+    if (!Number.isInteger(index) || index < 0 || index >= length) {
+      throw invalidParam(`Reset index ${index} is out of range (0-${length - 1})`, { field: "resetIndices", index });
+    }
+    starts.add(index);
+  }
+
+  for (const value of resetTimestamps) {
+    starts.add(findBarAtOrAfter(timestamps, value));
+  }
+
+  return Array.from(starts).sort((a, b) => a - b);
+}
+
+/**
+ * Find the first bar at or after a timestamp
+ * @param {Array<number>|null} timestamps - Bar times in epoch milliseconds
+ * @param {number|string} value - Timestamp to look up
+ * @returns {number} Bar index
+ */
+export function findBarAtOrAfter(timestamps, value) {
+  if (!timestamps) {
+    throw invalidParam("Timestamp anchors require the timestamps array", { field: "timestamps" });
+  }
+
+  const target = toEpochMs(value);
+  if (isNaN(target)) {
+    throw invalidParam(`Invalid anchor timestamp: ${JSON.stringify(value)}`, { field: "anchorTimestamp" });
+  }
+
+  const index = timestamps.findIndex(t => t >= target);
+  if (index === -1) {
+    throw invalidParam(`Anchor timestamp ${JSON.stringify(value)} is after the last bar`, { field: "anchorTimestamp" });
+  }
+
+  return index;
+}
+
+/**
+ * Calculate VWAP with standard-deviation bands, resetting at each session start
+ * Output is aligned with the input: values[i] is the VWAP of bar i
+ * @param {object} series - { high, low, close, volume }
+ * @param {Array<number>} sessionStarts - Sorted session start indices (must include the first bar)
+ * @param {Array<number>} multipliers - Standard-deviation multipliers
+ * @returns {object} { vwap, bands: [{ multiplier, upper, lower }] }
+ */
+export function computeVWAP({ high, low, close, volume }, sessionStarts = [0], multipliers = [1, 2]) {
+  const starts = new Set(sessionStarts);
+  const vwap = [];
+  const deviation = [];
+  let volumeSum = 0;
+  let priceVolumeSum = 0;
+  let squaredPriceVolumeSum = 0;
+
+  for (let i = 0; i < close.length; i++) {
+    if (starts.has(i)) {
+      volumeSum = 0;
+      priceVolumeSum = 0;
+      squaredPriceVolumeSum = 0;
+    }
+
+    const typicalPrice = (high[i] + low[i] + close[i]) / 3;
+    volumeSum += volume[i];
+    priceVolumeSum += typicalPrice * volume[i];
+    squaredPriceVolumeSum += typicalPrice * typicalPrice * volume[i];
+
+    // Zero-volume session openings fall back to the typical price
+    const value = volumeSum === 0 ? typicalPrice : priceVolumeSum / volumeSum;
+    const variance = volumeSum === 0 ? 0 : Math.max(0, squaredPriceVolumeSum / volumeSum - value * value);
+    vwap.push(value);
+    deviation.push(Math.sqrt(variance));
+  }
+
+  const bands = multipliers.map(multiplier => ({
+    multiplier: multiplier,
+    upper: vwap.map((value, i) => value + multiplier * deviation[i]),
+    lower: vwap.map((value, i) => value - multiplier * deviation[i])
+  }));
+
+  return { vwap, bands };
+}
+
+/**
+ * Describe where the price sits relative to VWAP and its bands
+ * @param {number} price - Current price
+ * @param {number} vwap - Current VWAP
+ * @param {Array<object>} bands - Bands with current upper/lower values
+ * @returns {object} { position, signal, interpretation }
+ */
+function describePosition(price, vwap, bands) {
+  const outerBand = bands.reduce((outer, band) => (!outer || band.multiplier > outer.multiplier ? band : outer), null);
+
+  if (outerBand && outerBand.multiplier > 0 && price > outerBand.upper) {
+    return {
+      position: "above_upper_band",
+      signal: "overextended_up",
+      interpretation: `Price is above the +${outerBand.multiplier}σ VWAP band - stretched to the upside, mean reversion risk`
+    };
+  }
+  if (outerBand && outerBand.multiplier > 0 && price < outerBand.lower) {
+    return {
+      position: "below_lower_band",
+      signal: "overextended_down",
+      interpretation: `Price is below the -${outerBand.multiplier}σ VWAP band - stretched to the downside, mean reversion potential`
+    };
+  }
+  if (price > vwap) {
+    return {
+      position: "above_vwap",
+      signal: "bullish",
+      interpretation: `Price (${price.toFixed(2)}) is above VWAP (${vwap.toFixed(2)}) - buyers in control this session`
+    };
+  }
+  if (price < vwap) {
+    return {
+      position: "below_vwap",
+      signal: "bearish",
+      interpretation: `Price (${price.toFixed(2)}) is below VWAP (${vwap.toFixed(2)}) - sellers in control this session`
+    };
+  }
+  return {
+    position: "at_vwap",
+    signal: "neutral",
+    interpretation: "Price is at VWAP - fair value for the session"
+  };
+}
+
+export const vwapHandler = async (args) => {
+  const {
+    high,
+    low,
+    close,
+    volume,
+    timestamps,
+    resetIndices = [],
+    resetTimestamps = [],
+    anchorIndex,
+    anchorTimestamp,
+    bands = [1, 2]
+  } = args;
+  const session = args.session || (timestamps ? "daily" : "none");
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  validateVolume(volume, length);
+  const times = timestamps ? parseTimestamps(timestamps, length) : null;
+
+  if (!Array.isArray(bands) || bands.some(multiplier => typeof multiplier !== 'number' || isNaN(multiplier) || multiplier < 0)) {
+    throw invalidParam("Bands must be an array of non-negative numbers", { field: "bands" });
+  }
+
+  const sessionStarts = findSessionStarts({ length, timestamps: times, session, resetIndices, resetTimestamps });
+
+  let anchor = null;
+  if (anchorIndex !== undefined || anchorTimestamp !== undefined) {
+    anchor = anchorTimestamp !== undefined ? findBarAtOrAfter(times, anchorTimestamp) : anchorIndex;
+    if (!Number.isInteger(anchor) || anchor < 0 || anchor >= length) {
+      throw invalidParam(`Anchor index ${anchor} is out of range (0-${length - 1})`, { field: anchorTimestamp !== undefined ? "anchorTimestamp" : "anchorIndex" });
+    }
+  }
+
+  try {
+    const { vwap, bands: vwapBands } = computeVWAP({ ...series, volume }, sessionStarts, bands);
+
+    const last = length - 1;
+    const currentPrice = series.close[last];
+    const currentVWAP = vwap[last];
+    const currentBands = vwapBands.map(band => ({
+      multiplier: band.multiplier,
+      upper: band.upper[last],
+      lower: band.lower[last]
+    }));
+    const position = describePosition(currentPrice, currentVWAP, currentBands);
+
+    const response = {
+      indicator: "VWAP",
+      parameters: {
+        session: session,
+        bands: bands
+      },
+      dataPoints: length,
+      sessions: {
+        count: sessionStarts.length,
+        starts: sessionStarts,
+        currentSessionStart: sessionStarts[sessionStarts.length - 1]
+      },
+      values: {
+        vwap: vwap,
+        bands: vwapBands
+      },
+      current: {
+        vwap: Number(currentVWAP.toFixed(4)),
+        price: Number(currentPrice.toFixed(2)),
+        distancePercent: Number((((currentPrice - currentVWAP) / currentVWAP) * 100).toFixed(2)),
+        bands: currentBands.map(band => ({
+          multiplier: band.multiplier,
+          upper: Number(band.upper.toFixed(4)),
+          lower: Number(band.lower.toFixed(4))
+        })),
+        position: position.position,
+        signal: position.signal,
+        interpretation: position.interpretation
+      }
+    };
+
+    // Anchored VWAP from an arbitrary bar, never reset
+    // Anchored values are aligned to the anchor: values[i] is bar (anchorIndex + i)
+    if (anchor !== null) {
+      const anchoredSeries = {
+        high: series.high.slice(anchor),
+        low: series.low.slice(anchor),
+        close: series.close.slice(anchor),
+        volume: volume.slice(anchor)
+      };
+      const anchored = computeVWAP(anchoredSeries, [0], bands);
+      const anchoredVWAP = anchored.vwap[anchored.vwap.length - 1];
+
+      response.anchored = {
+        anchorIndex: anchor,
+        anchorTimestamp: times ? new Date(times[anchor]).toISOString() : null,
+        values: {
+          vwap: anchored.vwap,
+          bands: anchored.bands
+        },
+        current: {
+          vwap: Number(anchoredVWAP.toFixed(4)),
+          distancePercent: Number((((currentPrice - anchoredVWAP) / anchoredVWAP) * 100).toFixed(2)),
+          signal: currentPrice > anchoredVWAP ? "bullish" : currentPrice < anchoredVWAP ? "bearish" : "neutral"
+        }
+      };
+    }
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "VWAP calculation failed");
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * VWMA (Volume Weighted Moving Average) Indicator
+ * Moving average where each price is weighted by its volume
+ */
+
+import tulind from 'tulind';
+import { validateVolume } from '../utils/priceSeries.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  objectSchema,
+  currentSchema,
+  numberSchema,
+  stringSchema,
+  seriesSchema,
+  statisticsSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, invalidParam, calculationFailed } from '../utils/errors.js';
+
+export const vwmaDefinition = {
+  name: "calculate_vwma",
+  description: "Calculate VWMA (Volume Weighted Moving Average) - Moving average weighting each price by its volume. Price above VWMA = bullish. VWMA above the SMA of the same period means volume is concentrated on higher prices (buying volume confirms the trend). Common periods: 20, 50.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      prices: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must contain at least 'period' values and match the length of 'volume'. Example: [100, 102, 101, 103, 105, 104, 106]",
+        minItems: 1
+      },
+      volume: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of volumes in chronological order (oldest first). Must have the same length as 'prices'. Example: [1200, 1500, 900, 1800, 1100, 1300, 1600]",
+        minItems: 1
+      },
+      period: {
+        type: "integer",
+        description: "VWMA period (number of bars to average). Common values: 20 (short-term), 50 (medium-term). Default: 20.",
+        default: 20,
+        minimum: 1,
+        maximum: 500
+      }
+    },
+    required: ["prices", "volume"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    values: seriesSchema,
+    current: currentSchema({ vwma: numberSchema, sma: numberSchema, price: numberSchema, signal: stringSchema }, ["vwma", "price", "signal"]),
+    analysis: objectSchema({ volumeBias: stringSchema, vwmaSmaSpread: numberSchema }),
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const vwmaHandler = async (args) => {
+  const { prices, volume, period = 20 } = args;
+
+  // Validation
+  if (!Array.isArray(prices) || prices.length === 0) {
+    throw invalidParam("Prices must be a non-empty array", { field: "prices" });
+  }
+
+  if (prices.some(price => typeof price !== 'number' || isNaN(price))) {
+    throw invalidParam("All prices must be valid numbers", { field: "prices" });
+  }
+
+  validateVolume(volume, prices.length);
+
+  if (prices.length < period) {
+    throw insufficientData(`Insufficient data: need at least ${period} prices for VWMA calculation with period ${period}`, { field: "prices", required: period, received: prices.length });
+  }
+
+  try {
+    // Calculate VWMA and the SMA of the same period using Tulind
+    const runIndicator = (name, inputs) => new Promise((resolve, reject) => {
+      tulind.indicators[name].indicator(inputs, [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const [vwmaResult, smaResult] = await Promise.all([
+      runIndicator('vwma', [prices, volume]),
+      runIndicator('sma', [prices])
+    ]);
+
+    const vwmaValues = vwmaResult[0];
+    const smaValues = smaResult[0];
+
+    // Analyze trend
+    const currentPrice = prices[prices.length - 1];
+    const currentVWMA = vwmaValues[vwmaValues.length - 1];
+    const currentSMA = smaValues[smaValues.length - 1];
+
+    let signal = "hold";
+    let interpretation = "";
+
+    // Compare current price with VWMA
+    if (currentPrice > currentVWMA) {
+      signal = "bullish";
+      interpretation = `Price (${currentPrice.toFixed(2)}) is above VWMA (${currentVWMA.toFixed(2)}) - bullish signal`;
+    } else if (currentPrice < currentVWMA) {
+      signal = "bearish";
+      interpretation = `Price (${currentPrice.toFixed(2)}) is below VWMA (${currentVWMA.toFixed(2)}) - bearish signal`;
+    } else {
+      interpretation = `Price is at VWMA level - neutral signal`;
+    }
+
+    // VWMA vs SMA shows where volume is concentrated
+    const volumeBias = currentVWMA > currentSMA ? "buying" : currentVWMA < currentSMA ? "selling" : "neutral";
+
+    const response = {
+      indicator: "VWMA",
+      period: period,
+      dataPoints: prices.length,
+      values: vwmaValues,
+      current: {
+        vwma: Number(currentVWMA.toFixed(2)),
+        sma: Number(currentSMA.toFixed(2)),
+        price: Number(currentPrice.toFixed(2)),
+        signal: signal,
+        interpretation: interpretation
+      },
+      analysis: {
+        volumeBias: volumeBias,
+        vwmaSmaSpread: Number((currentVWMA - currentSMA).toFixed(4)),
+        description: volumeBias === "buying"
+          ? "VWMA above SMA - heavier volume on higher prices"
+          : volumeBias === "selling"
+            ? "VWMA below SMA - heavier volume on lower prices"
+            : "VWMA equals SMA - volume evenly distributed"
+      },
+      statistics: {
+        min: Number(Math.min(...vwmaValues).toFixed(2)),
+        max: Number(Math.max(...vwmaValues).toFixed(2)),
+        average: Number((vwmaValues.reduce((a, b) => a + b, 0) / vwmaValues.length).toFixed(2))
+      }
+    };
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "VWMA calculation failed");
+  }
+};
@@ -0,0 +1,105 @@
+/**
+ * Williams %R Indicator
+ * Position of the close within the recent high/low range, from -100 to 0
+ */
+
+import tulind from 'tulind';
+import { alignSeries } from '../utils/priceSeries.js';
+import { analyzeOscillator } from '../utils/oscillator.js';
+import { resolveThresholds, thresholdsSchema } from '../utils/thresholds.js';
+import {
+  toolResult,
+  indicatorOutputSchema,
+  signalCurrentSchema,
+  numberSchema,
+  seriesSchema,
+  statisticsSchema,
+  thresholdsOutputSchema
+} from '../utils/toolOutput.js';
+import { insufficientData, calculationFailed } from '../utils/errors.js';
+
+export const williamsRDefinition = {
+  name: "calculate_williams_r",
+  description: "Calculate Williams %R - Momentum oscillator from -100 to 0 showing where the close sits in the recent high/low range. Above -20 = overbought, below -80 = oversold. Standard period: 14. Thresholds are configurable.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      high: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of high prices in chronological order (oldest first). Must match length of 'low' and 'close' arrays. Example: [105, 107, 106, 108, ...]",
+        minItems: 2
+      },
+      low: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of low prices in chronological order (oldest first). Must match length of 'high' and 'close' arrays. Example: [95, 97, 96, 98, ...]",
+        minItems: 2
+      },
+      close: {
+        type: "array",
+        items: { type: "number" },
+        description: "Array of closing prices in chronological order (oldest first). Must match length of 'high' and 'low' arrays. Example: [100, 102, 101, 103, ...]",
+        minItems: 2
+      },
+      period: {
+        type: "integer",
+        description: "Williams %R lookback period. Standard: 14. Must be less than or equal to array length.",
+        default: 14,
+        minimum: 1,
+        maximum: 100
+      },
+      thresholds: thresholdsSchema("willr")
+    },
+    required: ["high", "low", "close"]
+  },
+  outputSchema: indicatorOutputSchema({
+    period: numberSchema,
+    thresholds: thresholdsOutputSchema,
+    values: seriesSchema,
+    current: signalCurrentSchema,
+    statistics: statisticsSchema
+  }, ["values", "current"])
+};
+
+export const williamsRHandler = async (args) => {
+  const { high, low, close, period = 14 } = args;
+
+  const { series, length, warning } = alignSeries({ high, low, close });
+  const thresholds = resolveThresholds("willr", args.thresholds);
+
+  if (length < period) {
+    throw insufficientData(`Insufficient data: need at least ${period} data points for Williams %R calculation with period ${period}`, { field: "close", required: period, received: length });
+  }
+
+  try {
+    // Calculate Williams %R using Tulind
+    const result = await new Promise((resolve, reject) => {
+      tulind.indicators.willr.indicator([series.high, series.low, series.close], [period], (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      });
+    });
+
+    const willrValues = result[0];
+
+    const response = {
+      indicator: "Williams %R",
+      period: period,
+      thresholds: thresholds,
+      dataPoints: length,
+      values: willrValues,
+      ...analyzeOscillator(willrValues, thresholds, "Williams %R")
+    };
+
+    // Add warning if arrays were adjusted
+    if (warning) {
+      response.warning = warning;
+    }
+
+    return toolResult(response);
+
+  } catch (error) {
+    throw calculationFailed(error, "Williams %R calculation failed");
+  }
+};
@@ -0,0 +1,231 @@
+/**
+ * Bar Alignment
+ * Tulind drops the warm-up bars, so output series are shorter than the input and end at the
+ * last bar. These helpers map every series back onto the input bars, either padded with null
+ * or as { t, value } pairs, and add the shared 'timestamps', 'candles' and 'align' arguments
+ * to the series tools' input schemas
+ */
+
+import { invalidParam } from './errors.js';
+import { parseTimestamps } from './timestamps.js';
+import { toolResult } from './toolOutput.js';
+import { SERIES_ARGUMENTS, candlesSchema } from './candles.js';
+
+export const ALIGN_MODES = ["none", "pad", "pairs"];
+
+/**
+ * Per-bar series of each tool, as paths into its response: '[]' steps into every item of an
+ * array, '*' into every property of an object. Only these are aligned; other numeric arrays
+ * (session starts, band multipliers, cone windows, pattern indices) are returned as they are
+ */
+const SERIES_FIELDS = {
+  calculate_indicator: ["values.*"],
+  calculate_rsi: ["values"],
+  calculate_ema: ["values"],
+  calculate_sma: ["values"],
+  calculate_macd: ["values.macd", "values.signal", "values.histogram"],
+  calculate_bollinger_bands: ["values.lower", "values.middle", "values.upper"],
+  calculate_stochastic: ["values.k", "values.d"],
+  calculate_atr: ["values"],
+  calculate_adx: ["values.plusDI", "values.minusDI", "values.dx", "values.adx"],
+  calculate_obv: ["values"],
+  calculate_accumulation_distribution: ["values"],
+  calculate_cmf: ["values"],
+  calculate_mfi: ["values"],
+  calculate_vwma: ["values"],
+  calculate_vwap: ["values.vwap", "values.bands[].upper", "values.bands[].lower", "anchored.values.vwap", "anchored.values.bands[].upper", "anchored.values.bands[].lower"],
+  calculate_ichimoku: ["values.tenkan", "values.kijun", "values.senkouA", "values.senkouB", "values.chikou"],
+  calculate_supertrend: ["values.supertrend", "values.direction"],
+  calculate_psar: ["values.psar", "values.direction"],
+  calculate_keltner_channels: ["values.lower", "values.middle", "values.upper"],
+  calculate_donchian_channels: ["values.lower", "values.middle", "values.upper"],
+  calculate_moving_average: ["averages[].values"],
+  calculate_cci: ["values"],
+  calculate_williams_r: ["values"],
+  calculate_roc: ["values"],
+  calculate_stoch_rsi: ["values.k", "values.d"],
+  calculate_ultimate_oscillator: ["values"],
+  calculate_awesome_oscillator: ["values"],
+  calculate_aroon: ["values.up", "values.down", "values.oscillator"],
+  calculate_vortex: ["values.plus", "values.minus"],
+  calculate_choppiness: ["values"],
+  calculate_volatility: ["values.*"],
+  // Each result by its 'type' (RESULT_SERIES_FIELDS)
+  calculate_all_indicators: []
+};
+
+/**
+ * Per-bar series of calculate_all_indicators results by result 'type'
+ * Single-line results (RSI, moving averages, oscillators, volume lines) keep theirs in 'values'
+ */
+const RESULT_SERIES_FIELDS = {
+  "MACD": ["macd", "signal", "histogram"],
+  "Bollinger Bands": ["lower", "middle", "upper"],
+  "Stochastic": ["k", "d"],
+  "Stochastic RSI": ["k", "d"],
+  "ADX": ["plusDI", "minusDI", "dx", "adx"],
+  "VWAP": ["values", "bands[].upper", "bands[].lower"],
+  "Supertrend": ["values", "direction"],
+  "Parabolic SAR": ["values", "direction"],
+  "Trend Regime": [],
+  "Support/Resistance Zones": [],
+  "Candlestick Patterns": []
+};
+
+const alignSchema = {
+  type: "string",
+  enum: ALIGN_MODES,
+  description: "Output series layout. 'none' returns the bare series (shorter than the input by the warm-up), 'pad' pads each series with null so index i is input bar i, 'pairs' returns { t, value } per input bar using the timestamps. Default: 'pairs' when timestamps (or timed candles) are given, otherwise 'none'."
+};
+
+const timestampsSchema = {
+  type: "array",
+  items: { type: ["number", "string"] },
+  description: "Optional bar times (epoch ms, epoch seconds or ISO 8601 strings), same length as the price arrays. Used as 't' when 'align' is 'pairs'."
+};
+
+/**
+ * Add the shared bar arguments to a tool definition
+ * The tool's required price arrays become one alternative, 'candles' the other
+ * @param {object} definition - Tool definition
+ * @returns {object} Definition with 'candles' (and 'timestamps'/'align' for tools returning series)
+ */
+export function withBarArguments(definition) {
+  const { properties, required = [], ...schema } = definition.inputSchema;
+  if (!SERIES_ARGUMENTS.some(name => properties[name])) {
+    return definition;
+  }
+
+  const extended = { ...properties, candles: candlesSchema };
+  if (SERIES_FIELDS[definition.name]) {
+    if (!properties.ohlcv && !properties.timestamps) {
+      extended.timestamps = timestampsSchema;
+    }
+    extended.align = alignSchema;
+  }
+
+  const seriesRequired = required.filter(name => SERIES_ARGUMENTS.includes(name));
+  return {
+    ...definition,
+    inputSchema: {
+      ...schema,
+      properties: extended,
+      required: required.filter(name => !seriesRequired.includes(name)),
+      anyOf: [{ required: seriesRequired }, { required: ["candles"] }]
+    }
+  };
+}
+
+/**
+ * Resolve the alignment requested by validated arguments
+ * @param {object} definition - Tool definition (with bar arguments)
+ * @param {object} args - Validated arguments
+ * @returns {object} { mode, timestamps, fields } with the tool's series paths
+ */
+export function resolveAlignment(definition, args) {
+  if (!definition.inputSchema.properties.align) {
+    return { mode: "none", timestamps: null, fields: [] };
+  }
+
+  const timestamps = args.timestamps ?? args.ohlcv?.timestamps ?? null;
+  const mode = args.align ?? (timestamps ? "pairs" : "none");
+
+  if (mode === "pairs") {
+    if (!timestamps) {
+      throw invalidParam("align 'pairs' requires timestamps (or candles with 'time')", { field: "align" });
+    }
+    parseTimestamps(timestamps, barCount(args));
+  }
+
+  return { mode, timestamps, fields: SERIES_FIELDS[definition.name] };
+}
+
+/**
+ * Number of input bars: the length of the first price series present
+ * @param {object} args - Tool arguments
+ * @returns {number}
+ */
+function barCount(args) {
+  const series = [args.prices, args.close, args.high, args.ohlcv?.close, ...Object.values(args.inputs ?? {})];
+  return series.find(Array.isArray)?.length ?? 0;
+}
+
+/**
+ * Align every output series of a tool result to the input bars
+ * @param {object} result - Tool result from toolResult()
+ * @param {object} alignment - { mode, timestamps, fields } from resolveAlignment()
+ * @returns {object} Tool result
+ */
+export function alignResult(result, alignment) {
+  const response = result.structuredContent;
+  if (alignment.mode === "none" || !response || typeof response.dataPoints !== 'number') {
+    return result;
+  }
+  return toolResult(alignResponse(response, alignment));
+}
+
+/**
+ * Align the series of a response listed in SERIES_FIELDS, and of each calculate_all_indicators
+ * result listed in RESULT_SERIES_FIELDS
+ * @param {object} response - Tool response
+ * @param {object} alignment - { mode, timestamps, fields }
+ * @returns {object} Response with aligned series and 'alignment' set to the mode
+ */
+export function alignResponse(response, { mode, timestamps, fields }) {
+  const length = response.dataPoints;
+
+  // Series at least as long as the input are already indexed by bar (Ichimoku projects the cloud
+  // past the last bar; those points have no timestamp)
+  const alignSeries = series => {
+    const padded = series.length < length ? [...new Array(length - series.length).fill(null), ...series] : series;
+    return mode === "pairs" ? padded.map((value, index) => ({ t: timestamps[index] ?? null, value })) : padded;
+  };
+
+  let aligned = { ...response, alignment: mode };
+  for (const path of fields) {
+    aligned = alignPath(aligned, parsePath(path), alignSeries);
+  }
+  if (response.indicators && typeof response.indicators === 'object') {
+    aligned.indicators = Object.fromEntries(Object.entries(response.indicators)
+      .map(([name, result]) => [name, (RESULT_SERIES_FIELDS[result.type] ?? ["values"])
+        .reduce((block, path) => alignPath(block, parsePath(path), alignSeries), result)]));
+  }
+
+  return aligned;
+}
+
+/**
+ * Split a series path into steps, e.g. "values.bands[].upper" into ["values", "bands", "[]", "upper"]
+ * @param {string} path - Series path
+ * @returns {Array<string>} Steps
+ */
+function parsePath(path) {
+  return path.split('.').flatMap(step => step.endsWith('[]') ? [step.slice(0, -2), '[]'] : [step]);
+}
+
+/**
+ * Apply alignSeries to the numeric array at a path; missing steps leave the block unchanged
+ * @param {*} block - Response or part of it
+ * @param {Array<string>} steps - Path steps from parsePath()
+ * @param {Function} alignSeries - Series mapper
+ * @returns {*} Block with the series aligned
+ */
+function alignPath(block, steps, alignSeries) {
+  if (steps.length === 0) {
+    return Array.isArray(block) && block.every(value => typeof value === 'number' || value === null)
+      ? alignSeries(block)
+      : block;
+  }
+
+  const [step, ...rest] = steps;
+  if (step === '[]') {
+    return Array.isArray(block) ? block.map(item => alignPath(item, rest, alignSeries)) : block;
+  }
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    return block;
+  }
+  if (step === '*') {
+    return Object.fromEntries(Object.entries(block).map(([key, value]) => [key, alignPath(value, rest, alignSeries)]));
+  }
+  return step in block ? { ...block, [step]: alignPath(block[step], rest, alignSeries) } : block;
+}
@@ -0,0 +1,354 @@
+/**
+ * Candle Input
+ * Normalizes candles as exchanges and charting libraries return them into the tool's own price
+ * arrays before validation:
+ * - rows: [time, open, high, low, close, volume] (CCXT fetchOHLCV), including Binance klines
+ *   with string prices and extra trailing fields
+ * - objects: { time, open, high, low, close, volume } (TradingView and most REST APIs), with
+ *   short and vendor-specific key aliases
+ * - columns: { time: [...], close: [...] } or TradingView UDF { t, o, h, l, c, v }
+ * Bars received newest first (or out of order) are re-sorted oldest first, with bar index
+ * arguments renumbered to match, and the response reports every conversion applied
+ */
+
+import { invalidParam, lengthMismatch } from './errors.js';
+import { toEpochMs } from './timestamps.js';
+import { getTulindIndicator, getInputKeys } from './tulindCatalog.js';
+import { toolResult } from './toolOutput.js';
+
+// Candle fields, in column order
+const CANDLE_FIELDS = ["open", "high", "low", "close", "volume"];
+
+// Tool arguments that carry bar data; a tool taking any of them accepts candles
+export const SERIES_ARGUMENTS = ["prices", ...CANDLE_FIELDS, "ohlcv", "inputs"];
+
+// Tool arguments holding bar indices into the input, renumbered when the bars are re-sorted
+const INDEX_ARGUMENTS = ["resetIndices", "anchorIndex"];
+
+// Row layout shared by CCXT fetchOHLCV and Binance klines (which append close time, quote volume, ...)
+const ROW_FIELDS = ["time", ...CANDLE_FIELDS];
+
+// Accepted keys per field, first match wins
+const FIELD_ALIASES = {
+  time: ["time", "timestamp", "t", "date", "datetime", "openTime"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c"],
+  volume: ["volume", "v"]
+};
+
+export const candlesSchema = {
+  type: ["array", "object"],
+  items: { type: ["array", "object"] },
+  description: "Alternative to the price arrays, in any of these shapes: rows [time, open, high, low, close, volume] as returned by CCXT fetchOHLCV or Binance klines (string prices are parsed); objects [{ time, open, high, low, close, volume }, ...] ('timestamp', 't', 'date', 'openTime' and o/h/l/c/v also accepted); or columns { time: [...], close: [...] } including TradingView UDF { t, o, h, l, c, v }. Expanded into the tool's price arrays ('prices' takes the closes) and, when every bar has a time, into its timestamps. Bars in descending or mixed time order are sorted oldest first; the response's 'input' block reports the conversion."
+};
+
+/**
+ * Read candles in any supported shape into columns
+ * A column is kept only when every bar has the field, so a missing volume stays missing
+ * instead of becoming a series of undefined values
+ * @param {Array|object} candles - Rows, objects or columns
+ * @returns {object} { format, columns: { time, open, high, low, close, volume } for the fields present }
+ */
+function readCandles(candles) {
+  if (Array.isArray(candles)) {
+    if (candles.length === 0) {
+      throw invalidParam("Candles must not be empty", { field: "candles" });
+    }
+    if (Array.isArray(candles[0])) {
+      return { format: "rows", columns: readRows(candles) };
+    }
+    return { format: "objects", columns: readObjects(candles) };
+  }
+
+  if (typeof candles === 'object' && candles !== null) {
+    return { format: "columns", columns: readColumns(candles) };
+  }
+
+  throw invalidParam("Candles must be an array of rows or objects, or an object of columns", { field: "candles" });
+}
+
+/**
+ * @param {Array<Array>} rows - [time, open, high, low, close, volume, ...] per bar
+ * @returns {object} Columns
+ */
+function readRows(rows) {
+  const invalidIndex = rows.findIndex(row => !Array.isArray(row) || row.length < 5);
+  if (invalidIndex !== -1) {
+    throw invalidParam(`Candle at index ${invalidIndex} must be a row [time, open, high, low, close, volume]`, { field: `candles[${invalidIndex}]` });
+  }
+
+  const columns = {};
+  ROW_FIELDS.forEach((field, position) => {
+    if (rows.every(row => row[position] !== undefined)) {
+      columns[field] = rows.map(row => row[position]);
+    }
+  });
+  return columns;
+}
+
+/**
+ * @param {Array<object>} candles - One object per bar; keys resolved from the first candle
+ * @returns {object} Columns
+ */
+function readObjects(candles) {
+  const invalidIndex = candles.findIndex(candle => typeof candle !== 'object' || candle === null || Array.isArray(candle));
+  if (invalidIndex !== -1) {
+    throw invalidParam(`Candle at index ${invalidIndex} must be an object`, { field: `candles[${invalidIndex}]` });
+  }
+
+  const columns = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const key = aliases.find(alias => candles[0][alias] !== undefined);
+    if (key && candles.every(candle => candle[key] !== undefined)) {
+      columns[field] = candles.map(candle => candle[key]);
+    }
+  }
+  return columns;
+}
+
+/**
+ * @param {object} candles - Object of same-length arrays
+ * @returns {object} Columns
+ */
+function readColumns(candles) {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const key = aliases.find(alias => Array.isArray(candles[alias]));
+    if (key) {
+      columns[field] = candles[key];
+    }
+  }
+
+  const lengths = Object.fromEntries(Object.entries(columns).map(([field, values]) => [field, values.length]));
+  if (new Set(Object.values(lengths)).size > 1) {
+    throw lengthMismatch(`Candle columns must have the same length (${Object.entries(lengths).map(([field, length]) => `${field}=${length}`).join(', ')})`, lengths);
+  }
+  if (Object.values(lengths)[0] === 0) {
+    throw invalidParam("Candles must not be empty", { field: "candles" });
+  }
+  return columns;
+}
+
+/**
+ * Parse numeric strings in the price columns (Binance and many REST APIs send prices as strings)
+ * @param {object} columns - Columns from readCandles
+ * @returns {boolean} Whether any string was parsed
+ */
+function parsePrices(columns) {
+  let parsed = false;
+  for (const field of CANDLE_FIELDS.filter(name => columns[name])) {
+    columns[field] = columns[field].map((value, index) => {
+      if (typeof value === 'string' && value.trim() !== '' && isFinite(value)) {
+        parsed = true;
+        return Number(value);
+      }
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw invalidParam(`Invalid ${field} at candle ${index}: ${JSON.stringify(value)}`, { field: "candles", index, column: field });
+      }
+      return value;
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Classify bar order from timestamps
+ * @param {Array<number>} epochs - Bar times in epoch milliseconds
+ * @returns {string} 'ascending', 'descending' or 'unordered'
+ */
+function barOrder(epochs) {
+  if (epochs.every((time, index) => index === 0 || time >= epochs[index - 1])) return "ascending";
+  if (epochs.every((time, index) => index === 0 || time <= epochs[index - 1])) return "descending";
+  return "unordered";
+}
+
+/**
+ * Sort bars oldest first when they are not already
+ * @param {Array<number|string>} timestamps - Bar times as given
+ * @param {string} field - Argument name for error details
+ * @returns {object} { order, permutation } where permutation is null when no sort was needed
+ */
+function sortOrder(timestamps, field) {
+  const epochs = timestamps.map(toEpochMs);
+  const invalidIndex = epochs.findIndex(value => isNaN(value));
+  if (invalidIndex !== -1) {
+    throw invalidParam(`Invalid timestamp at index ${invalidIndex}: ${JSON.stringify(timestamps[invalidIndex])}`, { field, index: invalidIndex });
+  }
+
+  const order = barOrder(epochs);
+  if (order === "ascending") {
+    return { order, permutation: null };
+  }
+
+  const indices = epochs.map((_, index) => index);
+  const permutation = order === "descending" ? indices.reverse() : indices.sort((a, b) => epochs[a] - epochs[b]);
+  return { order, permutation };
+}
+
+const reorder = (values, permutation) => permutation.map(index => values[index]);
+
+/**
+ * Renumber the bar index arguments to the sorted bars
+ * Values that are not a bar index are kept for the tool's own range checks
+ * @param {object} args - Tool arguments, indices as given
+ * @param {Array<number>} permutation - Sorted position to original position
+ * @returns {object} Tool arguments
+ */
+function remapIndices(args, permutation) {
+  const positions = [];
+  permutation.forEach((original, sorted) => { positions[original] = sorted; });
+  const remap = index => positions[index] ?? index;
+
+  const remapped = { ...args };
+  for (const name of INDEX_ARGUMENTS) {
+    const value = args[name];
+    if (Array.isArray(value)) {
+      remapped[name] = value.map(remap);
+    } else if (value !== undefined) {
+      remapped[name] = remap(value);
+    }
+  }
+  return remapped;
+}
+
+/**
+ * Replace 'candles' with the series arguments the tool declares, or re-sort the tool's own
+ * price arrays when their timestamps are not oldest first
+ * @param {object} definition - Tool definition
+ * @param {object} args - Tool arguments
+ * @returns {object} { args, input } where input reports the conversion, or null when none was applied
+ */
+export function normalizeBars(definition, args) {
+  if (!definition.inputSchema.properties.candles || typeof args !== 'object' || args === null) {
+    return { args, input: null };
+  }
+  if (args.candles === undefined) {
+    return sortColumns(definition, args);
+  }
+
+  const { candles, ...rest } = args;
+  const properties = definition.inputSchema.properties;
+  const given = SERIES_ARGUMENTS.filter(name => properties[name] && rest[name] !== undefined);
+  if (given.length > 0) {
+    throw invalidParam(`Pass either candles or ${given.join(', ')}, not both`, { fields: ["candles", ...given] });
+  }
+
+  const { format, columns } = readCandles(candles);
+  const parsedStrings = parsePrices(columns);
+  const bars = Object.values(columns)[0]?.length ?? 0;
+  const input = { format, bars, parsedStrings };
+
+  let { time: timestamps, ...prices } = columns;
+  let toolArgs = rest;
+  if (timestamps) {
+    const { order, permutation } = sortOrder(timestamps, "candles");
+    input.order = order;
+    input.resorted = permutation !== null;
+    if (permutation) {
+      timestamps = reorder(timestamps, permutation);
+      prices = Object.fromEntries(Object.entries(prices).map(([field, values]) => [field, reorder(values, permutation)]));
+      toolArgs = remapIndices(rest, permutation);
+    }
+  }
+
+  return { args: expandColumns(definition, toolArgs, prices, timestamps), input };
+}
+
+/**
+ * Map candle columns onto the tool's arguments
+ * @param {object} definition - Tool definition
+ * @param {object} rest - Arguments without 'candles'
+ * @param {object} columns - { open, high, low, close, volume } for the fields present
+ * @param {Array|undefined} timestamps - Bar times, oldest first
+ * @returns {object} Tool arguments
+ */
+function expandColumns(definition, rest, columns, timestamps) {
+  const properties = definition.inputSchema.properties;
+
+  if (properties.ohlcv) {
+    return { ...rest, ohlcv: timestamps ? { ...columns, timestamps } : columns };
+  }
+
+  if (properties.inputs) {
+    // tulind names its generic price input 'real'; other inputs are named after the candle field
+    const meta = getTulindIndicator(rest.indicator);
+    const inputKeys = meta ? getInputKeys(meta) : [];
+    const inputs = Object.fromEntries(inputKeys
+      .map(key => [key, key === "real" ? columns.close : columns[key]])
+      .filter(([, series]) => series !== undefined));
+    return { ...rest, inputs, ...(timestamps && { timestamps }) };
+  }
+
+  const expanded = { ...rest };
+  for (const name of CANDLE_FIELDS) {
+    if (properties[name] && columns[name]) {
+      expanded[name] = columns[name];
+    }
+  }
+  if (properties.prices) {
+    expanded.prices = columns.close;
+  }
+  if (timestamps) {
+    expanded.timestamps = timestamps;
+  }
+
+  // anyOf[0] lists the price arrays the tool requires (see withBarArguments)
+  const missing = (definition.inputSchema.anyOf?.[0].required || []).filter(name => expanded[name] === undefined);
+  if (missing.length > 0) {
+    const fields = missing.map(name => name === "prices" ? "close" : name);
+    throw invalidParam(`Every candle needs ${fields.join(', ')} for ${definition.name}`, { field: "candles", missing: fields });
+  }
+
+  return expanded;
+}
+
+/**
+ * Re-sort the tool's own price arrays (top level, 'ohlcv' or 'inputs') by their timestamps
+ * Malformed or mismatched timestamps are left to the tool's own checks
+ * @param {object} definition - Tool definition
+ * @param {object} args - Tool arguments
+ * @returns {object} { args, input }
+ */
+function sortColumns(definition, args) {
+  const properties = definition.inputSchema.properties;
+  const container = properties.ohlcv ? args.ohlcv : properties.inputs ? args.inputs : args;
+  const timestamps = properties.ohlcv ? args.ohlcv?.timestamps : args.timestamps;
+  if (typeof container !== 'object' || container === null || !Array.isArray(timestamps) || timestamps.some(value => isNaN(toEpochMs(value)))) {
+    return { args, input: null };
+  }
+
+  const names = Object.keys(container)
+    .filter(name => Array.isArray(container[name]) && (properties.inputs || ["prices", ...CANDLE_FIELDS].includes(name)));
+  if (names.length === 0 || names.some(name => container[name].length !== timestamps.length)) {
+    return { args, input: null };
+  }
+
+  const { order, permutation } = sortOrder(timestamps, "timestamps");
+  if (!permutation) {
+    return { args, input: null };
+  }
+
+  const sorted = { ...container, ...Object.fromEntries(names.map(name => [name, reorder(container[name], permutation)])) };
+  const sortedTimestamps = reorder(timestamps, permutation);
+  const input = { format: "columns", bars: timestamps.length, parsedStrings: false, order, resorted: true };
+
+  const sortedArgs = properties.ohlcv ? { ...args, ohlcv: { ...sorted, timestamps: sortedTimestamps } }
+    : properties.inputs ? { ...args, inputs: sorted, timestamps: sortedTimestamps }
+    : { ...sorted, timestamps: sortedTimestamps };
+  return { args: remapIndices(sortedArgs, permutation), input };
+}
+
+/**
+ * Add the input conversion report to a tool result
+ * @param {object} result - Tool result from toolResult()
+ * @param {object|null} input - Report from normalizeBars
+ * @returns {object} Tool result
+ */
+export function reportInput(result, input) {
+  if (!input || !result.structuredContent) {
+    return result;
+  }
+  return toolResult({ ...result.structuredContent, input });
+}
@@ -0,0 +1,224 @@
+/**
+ * Confluence Scoring
+ * Turns calculate_all_indicators results into weighted bullish/bearish/neutral votes and one combined read
+ */
+
+// Bars used for the slope of cumulative volume lines (OBV, A/D)
+const VOLUME_LINE_LOOKBACK = 10;
+
+/**
+ * Vote from a signal name shared by the oscillator results
+ * Overbought/oversold read as mean reversion: overbought votes bearish, oversold bullish
+ * @param {string} signal - Result signal
+ * @returns {string|null} "bullish", "bearish" or null when the signal has no direction
+ */
+function signalVote(signal) {
+  if (signal === "oversold" || signal === "buying_pressure" || signal.startsWith("bullish")) return "bullish";
+  if (signal === "overbought" || signal === "selling_pressure" || signal.startsWith("bearish")) return "bearish";
+  return null;
+}
+
+/**
+ * Neutral vote for a result without a latest value (flat input leaves oscillators undefined)
+ * @param {string} label - Indicator label
+ * @returns {object} Neutral vote
+ */
+const noValueVote = (label) => ({ vote: "neutral", reason: `${label} has no value on the last bar` });
+
+/**
+ * Bounded oscillators inside their neutral range vote on their midline instead
+ * @param {string} label - Indicator label
+ * @param {number} midline - Midline value
+ * @returns {Function} Voter for results with { latest, signal }
+ */
+const oscillatorVoter = (label, midline = null) => (result) => {
+  if (!Number.isFinite(result.latest)) return noValueVote(label);
+  const vote = signalVote(result.signal);
+  if (vote) {
+    return { vote, reason: `${label} ${result.signal.replace(/_/g, ' ')} at ${result.latest.toFixed(2)}` };
+  }
+  if (midline !== null && result.latest !== midline) {
+    const side = result.latest > midline ? "above" : "below";
+    return { vote: side === "above" ? "bullish" : "bearish", reason: `${label} ${side} its ${midline} midline at ${result.latest.toFixed(2)}` };
+  }
+  return { vote: "neutral", reason: `${label} neutral at ${result.latest.toFixed(2)}` };
+};
+
+const stochasticVoter = (label) => (result) => {
+  if (!Number.isFinite(result.latest.k) || !Number.isFinite(result.latest.d)) return noValueVote(label);
+  const vote = signalVote(result.signal) || "neutral";
+  return { vote, reason: `${label} ${result.signal.replace(/_/g, ' ')} (%K ${result.latest.k.toFixed(2)}, %D ${result.latest.d.toFixed(2)})` };
+};
+
+const averageVoter = (result, { price }) => ({
+  vote: price > result.latest ? "bullish" : price < result.latest ? "bearish" : "neutral",
+  reason: `Price ${price > result.latest ? "above" : price < result.latest ? "below" : "at"} ${result.type} ${result.period} (${result.latest.toFixed(2)})`
+});
+
+const volumeLineVoter = (label) => (result) => {
+  const lookback = Math.min(VOLUME_LINE_LOOKBACK, result.values.length - 1);
+  if (lookback < 1) return null;
+  const change = result.latest - result.values[result.values.length - 1 - lookback];
+  return {
+    vote: change > 0 ? "bullish" : change < 0 ? "bearish" : "neutral",
+    reason: `${label} ${change > 0 ? "rising" : change < 0 ? "falling" : "flat"} over the last ${lookback} bars`
+  };
+};
+
+const trailingStopVoter = (label) => (result) => ({
+  vote: result.latest.direction,
+  reason: `${label} ${result.latest.direction}, stop at ${result.latest.stop.toFixed(2)}`
+});
+
+/**
+ * Voters by result type: category, default weight and vote
+ * Non-directional results (ATR, support/resistance zones) are not listed and do not vote
+ */
+const VOTERS = {
+  "RSI": { category: "momentum", weight: 1, vote: oscillatorVoter("RSI", 50) },
+  "MFI": { category: "volume", weight: 1, vote: oscillatorVoter("MFI", 50) },
+  "CCI": { category: "momentum", weight: 1, vote: oscillatorVoter("CCI", 0) },
+  "Williams %R": { category: "momentum", weight: 1, vote: oscillatorVoter("Williams %R", -50) },
+  "Ultimate Oscillator": { category: "momentum", weight: 1, vote: oscillatorVoter("Ultimate Oscillator", 50) },
+  "ROC": { category: "momentum", weight: 1, vote: oscillatorVoter("ROC") },
+  "Awesome Oscillator": { category: "momentum", weight: 1, vote: oscillatorVoter("Awesome Oscillator") },
+  "Stochastic": { category: "momentum", weight: 1, vote: stochasticVoter("Stochastic") },
+  "Stochastic RSI": { category: "momentum", weight: 1, vote: stochasticVoter("Stochastic RSI") },
+  "MACD": {
+    category: "trend",
+    weight: 1,
+    vote: (result) => ({
+      vote: result.latest.histogram > 0 ? "bullish" : result.latest.histogram < 0 ? "bearish" : "neutral",
+      reason: `MACD ${result.latest.histogram >= 0 ? "above" : "below"} its signal line (histogram ${result.latest.histogram.toFixed(4)})`
+    })
+  },
+  "Bollinger Bands": {
+    category: "momentum",
+    weight: 0.5,
+    vote: (result, { price }) => {
+      if (price > result.latest.upper) return { vote: "bearish", reason: "Price above the upper Bollinger Band (overextended)" };
+      if (price < result.latest.lower) return { vote: "bullish", reason: "Price below the lower Bollinger Band (overextended)" };
+      return { vote: "neutral", reason: "Price inside the Bollinger Bands" };
+    }
+  },
+  "ADX": {
+    category: "trend",
+    weight: 1,
+    vote: (result) => {
+      const { plusDI, minusDI, adx } = result.latest;
+      if (!Number.isFinite(adx)) return noValueVote("ADX");
+      if (result.trendStrength === "weak" || plusDI === minusDI) {
+        return { vote: "neutral", reason: `ADX ${adx.toFixed(2)} - no directional trend` };
+      }
+      const bullish = plusDI > minusDI;
+      return { vote: bullish ? "bullish" : "bearish", reason: `${bullish ? "+DI" : "-DI"} leads with ADX ${adx.toFixed(2)} (${result.trendStrength.replace('_', ' ')})` };
+    }
+  },
+  "Trend Regime": {
+    category: "trend",
+    weight: 1,
+    vote: (result) => ({
+      vote: result.regime === "trending" ? result.direction : "neutral",
+      reason: `${result.regime} regime, ${result.direction} direction`
+    })
+  },
+  "OBV": { category: "volume", weight: 1, vote: volumeLineVoter("OBV") },
+  "Accumulation/Distribution": { category: "volume", weight: 1, vote: volumeLineVoter("A/D line") },
+  "CMF": { category: "volume", weight: 1, vote: oscillatorVoter("CMF") },
+  "VWAP": {
+    category: "volume",
+    weight: 1,
+    vote: (result, { price }) => ({
+      vote: price > result.latest.vwap ? "bullish" : price < result.latest.vwap ? "bearish" : "neutral",
+      reason: `Price ${price >= result.latest.vwap ? "above" : "below"} VWAP (${result.latest.vwap.toFixed(2)})`
+    })
+  },
+  "Supertrend": { category: "trend", weight: 1, vote: trailingStopVoter("Supertrend") },
+  "Parabolic SAR": { category: "trend", weight: 1, vote: trailingStopVoter("Parabolic SAR") },
+  "Candlestick Patterns": {
+    category: "pattern",
+    weight: 0.5,
+    vote: (result) => {
+      const [strongest] = [...result.latest.patterns].sort((a, b) => b.confidence - a.confidence);
+      if (!strongest) return null;
+      return { vote: strongest.bias, reason: `${strongest.name} on the last bar (confidence ${strongest.confidence})` };
+    }
+  }
+};
+
+export const CONFLUENCE_CATEGORIES = ["trend", "momentum", "volume", "pattern"];
+
+/**
+ * Look up the voter for a result type; moving averages share one voter
+ * @param {string} type - Result type
+ * @param {Set<string>} averageTypes - Result types treated as moving averages
+ * @returns {object|null} Voter
+ */
+function findVoter(type, averageTypes) {
+  if (VOTERS[type]) return VOTERS[type];
+  if (averageTypes.has(type)) return { category: "trend", weight: 1, vote: averageVoter };
+  return null;
+}
+
+/**
+ * Score the confluence of calculate_all_indicators results
+ * @param {object} indicators - results.indicators, keyed by result name
+ * @param {object} options - { price, averageTypes, weights, thresholds: { bearish, bullish } }
+ * @returns {object} { bias, score, thresholds, votes, agreeing, conflicting, components, excluded, rationale }
+ */
+export function summarizeConfluence(indicators, { price, averageTypes, weights = {}, thresholds }) {
+  const components = [];
+  const excluded = [];
+
+  for (const [name, result] of Object.entries(indicators)) {
+    if (result.error) continue;
+
+    const voter = findVoter(result.type, averageTypes);
+    const ballot = voter ? voter.vote(result, { price }) : null;
+    if (!ballot) {
+      excluded.push(name);
+      continue;
+    }
+
+    const weight = weights[name] ?? voter.weight * (weights[voter.category] ?? 1);
+    components.push({ name, type: result.type, category: voter.category, vote: ballot.vote, weight, reason: ballot.reason });
+  }
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const net = components.reduce((sum, component) => sum + component.weight * (component.vote === "bullish" ? 1 : component.vote === "bearish" ? -1 : 0), 0);
+  const score = totalWeight > 0 ? Number((net / totalWeight * 100).toFixed(1)) : 0;
+  const bias = score >= thresholds.bullish ? "bullish" : score <= thresholds.bearish ? "bearish" : "neutral";
+
+  const count = vote => components.filter(component => component.vote === vote).length;
+  const votes = { bullish: count("bullish"), bearish: count("bearish"), neutral: count("neutral") };
+
+  // Agreement follows the sign of the score, so a neutral read still shows which side leans
+  const lean = score > 0 ? "bullish" : score < 0 ? "bearish" : null;
+  const agreeing = components.filter(component => lean && component.vote === lean);
+  const conflicting = components.filter(component => lean && component.vote !== lean && component.vote !== "neutral");
+
+  let rationale;
+  if (components.length === 0) {
+    rationale = "No directional indicators were computed - enable trend, momentum or volume indicators to score confluence";
+  } else {
+    const describe = list => list.map(component => `${component.name} (${component.reason})`).join('; ');
+    rationale = bias === "neutral"
+      ? `No confluence (score ${score}): ${votes.bullish} bullish, ${votes.bearish} bearish and ${votes.neutral} neutral votes${lean ? `, a slight ${lean} lean` : " offset each other"}.`
+      : `${bias === "bullish" ? "Bullish" : "Bearish"} confluence (score ${score}): ${agreeing.length} of ${components.length} indicators agree - ${describe(agreeing)}.`;
+    if (bias !== "neutral" && conflicting.length > 0) {
+      rationale += ` Conflicting: ${describe(conflicting)}.`;
+    }
+  }
+
+  return {
+    bias,
+    score,
+    thresholds,
+    votes,
+    agreeing: agreeing.map(component => component.name),
+    conflicting: conflicting.map(component => component.name),
+    components,
+    excluded,
+    rationale
+  };
+}
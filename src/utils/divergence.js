@@ -0,0 +1,139 @@
+/**
+ * Divergence Detection
+ * Compares price swings with oscillator swings (regular and hidden, bullish and bearish)
+ */
+
+import { findFractalSwings } from './swings.js';
+
+/**
+ * Find the indicator swing of a given type nearest to a price swing
+ * @param {Array<object>} swings - Indicator swings
+ * @param {object} priceSwing - Price swing { index, type }
+ * @param {number} tolerance - Maximum bar distance
+ * @returns {object|null} Nearest matching indicator swing
+ */
+function matchSwing(swings, priceSwing, tolerance) {
+  let best = null;
+  for (const swing of swings) {
+    if (swing.type !== priceSwing.type) continue;
+    const distance = Math.abs(swing.index - priceSwing.index);
+    if (distance <= tolerance && (!best || distance < Math.abs(best.index - priceSwing.index))) {
+      best = swing;
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect divergences between price and an indicator
+ * Pivots are fractals of 'strength' bars on each side, so a divergence is only known
+ * 'strength' bars after its second pivot (confirmedIndex)
+ * @param {object} params
+ * @param {Array<number>} params.high - Price highs (pass close for close-only indicators)
+ * @param {Array<number>} params.low - Price lows (pass close for close-only indicators)
+ * @param {Array<number>} params.indicator - Indicator series, aligned to the end of the price series
+ * @param {number} params.lookback - Number of recent bars to search
+ * @param {number} params.strength - Pivot strength (bars on each side)
+ * @returns {Array<object>} Divergence events in chronological order of the second pivot
+ */
+export function findDivergences({ high, low, indicator, lookback = 100, strength = 3 }) {
+  const length = high.length;
+  const offset = length - indicator.length;
+  const start = Math.max(offset, length - lookback);
+
+  const shift = swing => ({ ...swing, index: swing.index + start });
+  const priceSwings = findFractalSwings(high.slice(start), low.slice(start), strength).map(shift);
+  const window = indicator.slice(start - offset);
+  const indicatorSwings = findFractalSwings(window, window, strength).map(shift);
+
+  const events = [];
+
+  for (const type of ["low", "high"]) {
+    const swings = priceSwings.filter(swing => swing.type === type);
+
+    for (let i = 1; i < swings.length; i++) {
+      const first = swings[i - 1];
+      const second = swings[i];
+      const firstIndicator = matchSwing(indicatorSwings, first, strength);
+      const secondIndicator = matchSwing(indicatorSwings, second, strength);
+
+      if (!firstIndicator || !secondIndicator || firstIndicator.index >= secondIndicator.index) continue;
+
+      const priceRising = second.price > first.price;
+      const priceFalling = second.price < first.price;
+      const indicatorRising = secondIndicator.price > firstIndicator.price;
+      const indicatorFalling = secondIndicator.price < firstIndicator.price;
+
+      let kind = null;
+      if (type === "low") {
+        // Lower low in price with a higher low in the indicator = selling momentum fading
+        if (priceFalling && indicatorRising) kind = { type: "regular", bias: "bullish" };
+        // Higher low in price with a lower low in the indicator = uptrend continuation
+        else if (priceRising && indicatorFalling) kind = { type: "hidden", bias: "bullish" };
+      } else {
+        // Higher high in price with a lower high in the indicator = buying momentum fading
+        if (priceRising && indicatorFalling) kind = { type: "regular", bias: "bearish" };
+        // Lower high in price with a higher high in the indicator = downtrend continuation
+        else if (priceFalling && indicatorRising) kind = { type: "hidden", bias: "bearish" };
+      }
+
+      if (!kind) continue;
+
+      events.push({
+        ...kind,
+        first: {
+          index: first.index,
+          price: first.price,
+          indicatorIndex: firstIndicator.index,
+          indicatorValue: firstIndicator.price
+        },
+        second: {
+          index: second.index,
+          price: second.price,
+          indicatorIndex: secondIndicator.index,
+          indicatorValue: secondIndicator.price
+        },
+        bars: second.index - first.index,
+        confirmedIndex: Math.max(second.index, secondIndicator.index) + strength
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.second.index - b.second.index);
+}
+
+/**
+ * Detect divergences and summarise the most recent one
+ * @param {object} params - Same as findDivergences, plus 'label' for the interpretation text
+ * @returns {object} { lookback, pivotStrength, events, total, latest, signal, interpretation }
+ */
+export function analyzeDivergences({ high, low, indicator, lookback = 100, strength = 3, label = "indicator" }) {
+  const events = findDivergences({ high, low, indicator, lookback, strength });
+  const latest = events[events.length - 1] || null;
+
+  let signal = "none";
+  let interpretation = `No divergence between price and ${label} in the last ${lookback} bars`;
+
+  if (latest) {
+    const barsAgo = high.length - 1 - latest.second.index;
+    // Only divergences whose second pivot was just confirmed are actionable
+    if (barsAgo <= strength * 2) {
+      signal = `${latest.type}_${latest.bias}_divergence`;
+      interpretation = latest.type === "regular"
+        ? `Regular ${latest.bias} divergence: price made a ${latest.bias === "bullish" ? "lower low" : "higher high"} while ${label} did not - potential ${latest.bias === "bullish" ? "bottom" : "top"}`
+        : `Hidden ${latest.bias} divergence: ${label} made a ${latest.bias === "bullish" ? "lower low" : "higher high"} while price did not - ${latest.bias === "bullish" ? "uptrend" : "downtrend"} continuation`;
+    } else {
+      interpretation = `Last ${latest.type} ${latest.bias} divergence completed ${barsAgo} bars ago - no recent divergence`;
+    }
+  }
+
+  return {
+    lookback,
+    pivotStrength: strength,
+    total: events.length,
+    latest,
+    signal,
+    interpretation,
+    events
+  };
+}
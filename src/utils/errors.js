@@ -0,0 +1,100 @@
+/**
+ * Indicator Errors
+ * Shared error model for every tool: stable codes, machine-readable details and
+ * their mapping to HTTP statuses (REST) and MCP results
+ */
+
+export const ERROR_CODES = {
+  // Fewer bars than the indicator needs - details: { field, required, received }
+  INSUFFICIENT_DATA: "INSUFFICIENT_DATA",
+  // Series that must line up have different lengths - details: { lengths: { name: length } }
+  LENGTH_MISMATCH: "LENGTH_MISMATCH",
+  // Missing, malformed or out-of-range argument - details: { field, ... }
+  INVALID_PARAM: "INVALID_PARAM",
+  // The calculation itself failed on valid input
+  CALCULATION_FAILED: "CALCULATION_FAILED",
+  // The calculation exceeded its time budget
+  TIMEOUT: "TIMEOUT",
+  // Anything not raised through this module
+  INTERNAL_ERROR: "INTERNAL_ERROR"
+};
+
+const HTTP_STATUS = {
+  INSUFFICIENT_DATA: 422,
+  LENGTH_MISMATCH: 422,
+  INVALID_PARAM: 400,
+  CALCULATION_FAILED: 500,
+  TIMEOUT: 504,
+  INTERNAL_ERROR: 500
+};
+
+export class IndicatorError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {object} details - Machine-readable context (field names, required minimums, lengths)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "IndicatorError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const insufficientData = (message, details) => new IndicatorError(ERROR_CODES.INSUFFICIENT_DATA, message, details);
+
+export const lengthMismatch = (message, lengths) => new IndicatorError(ERROR_CODES.LENGTH_MISMATCH, message, { lengths });
+
+export const invalidParam = (message, details) => new IndicatorError(ERROR_CODES.INVALID_PARAM, message, details);
+
+/**
+ * Wrap an error raised while calculating; validation errors raised inside the calculation keep their code
+ * @param {Error} error - Caught error
+ * @param {string} context - Message prefix, e.g. "ATR calculation failed"
+ * @returns {IndicatorError}
+ */
+export function calculationFailed(error, context) {
+  if (error instanceof IndicatorError) {
+    return error;
+  }
+  return new IndicatorError(ERROR_CODES.CALCULATION_FAILED, `${context}: ${error.message}`);
+}
+
+/**
+ * Serializable error body shared by the REST API and MCP error results
+ * @param {Error} error - Any error
+ * @returns {object} { error, code, details }
+ */
+export function errorPayload(error) {
+  if (error instanceof IndicatorError) {
+    return { error: error.message, code: error.code, details: error.details };
+  }
+  return { error: error.message, code: ERROR_CODES.INTERNAL_ERROR, details: {} };
+}
+
+/**
+ * HTTP status for an error
+ * @param {Error} error - Any error
+ * @returns {number} Status code
+ */
+export function httpStatus(error) {
+  return HTTP_STATUS[error.code] || HTTP_STATUS.INTERNAL_ERROR;
+}
+
+/**
+ * MCP tool result for an error, so clients can read the code and details
+ * @param {Error} error - Any error
+ * @returns {object} { content, isError: true }
+ */
+export function errorResult(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(errorPayload(error), null, 2)
+      }
+    ],
+    isError: true
+  };
+}
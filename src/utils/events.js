@@ -0,0 +1,44 @@
+/**
+ * Signal Event Helpers
+ * Build full-history event timelines (crossovers, threshold entries/exits) for backtesting
+ */
+
+/**
+ * Find the bars where a series crosses a reference line
+ * A cross is reported on the first bar strictly on the other side
+ * @param {Array<number>} series - Series values
+ * @param {number|Array<number>} reference - Constant level or a series of the same length
+ * @returns {Array<object>} { index, direction: "up"|"down" } with indices local to the series
+ */
+export function findCrossings(series, reference) {
+  const level = Array.isArray(reference) ? (i) => reference[i] : () => reference;
+  const crossings = [];
+
+  for (let i = 1; i < series.length; i++) {
+    if (series[i - 1] <= level(i - 1) && series[i] > level(i)) {
+      crossings.push({ index: i, direction: "up" });
+    } else if (series[i - 1] >= level(i - 1) && series[i] < level(i)) {
+      crossings.push({ index: i, direction: "down" });
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * Sort events chronologically and attach the caller's timestamp for each bar
+ * @param {Array<object>} events - Events with an input bar 'index'
+ * @param {Array<number|string>|null} timestamps - Original timestamps, same length as the input
+ * @returns {Array<object>} Events with { index, timestamp?, type, ... }
+ */
+export function finalizeEvents(events, timestamps = null) {
+  return events
+    .map((event, order) => ({ event, order }))
+    .sort((a, b) => a.event.index - b.event.index || a.order - b.order)
+    .map(({ event }) => {
+      const { index, type, ...details } = event;
+      return timestamps
+        ? { index, timestamp: timestamps[index], type, ...details }
+        : { index, type, ...details };
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * Oscillator Analysis Helpers
+ * Shared overbought/oversold analysis for single-line momentum oscillators
+ */
+
+/**
+ * Classify an oscillator value against its thresholds
+ * Without thresholds the centerline decides between bullish and bearish momentum
+ * @param {number} value - Latest oscillator value
+ * @param {object} thresholds - { overbought, oversold, centerline }
+ * @param {string} label - Indicator label used in the interpretation
+ * @returns {object} { signal, interpretation }
+ */
+export function classifyOscillator(value, { overbought = null, oversold = null, centerline = 0 }, label) {
+  if (overbought != null && value > overbought) {
+    return {
+      signal: "overbought",
+      interpretation: `${label} above ${overbought} indicates potential overbought conditions - possible sell signal`
+    };
+  }
+
+  if (oversold != null && value < oversold) {
+    return {
+      signal: "oversold",
+      interpretation: `${label} below ${oversold} indicates potential oversold conditions - possible buy signal`
+    };
+  }
+
+  if (overbought != null && oversold != null) {
+    return {
+      signal: "neutral",
+      interpretation: `${label} in neutral range (${oversold} to ${overbought}) - no clear overbought/oversold signal`
+    };
+  }
+
+  if (value > centerline) {
+    return { signal: "bullish", interpretation: `${label} above ${centerline} - bullish momentum` };
+  }
+  if (value < centerline) {
+    return { signal: "bearish", interpretation: `${label} below ${centerline} - bearish momentum` };
+  }
+  return { signal: "neutral", interpretation: `${label} at ${centerline} - no momentum either way` };
+}
+
+/**
+ * Build the RSI-style current/statistics analysis for an oscillator series
+ * @param {Array<number>} values - Oscillator values
+ * @param {object} thresholds - { overbought, oversold, centerline }
+ * @param {string} label - Indicator label used in the interpretation
+ * @param {number} digits - Rounding precision
+ * @returns {object} { current: { value, signal, interpretation }, statistics: { min, max, average } }
+ */
+export function analyzeOscillator(values, thresholds, label, digits = 2) {
+  const last = values[values.length - 1];
+
+  return {
+    current: {
+      value: Number(last.toFixed(digits)),
+      ...classifyOscillator(last, thresholds, label)
+    },
+    statistics: {
+      min: Number(Math.min(...values).toFixed(digits)),
+      max: Number(Math.max(...values).toFixed(digits)),
+      average: Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(digits))
+    }
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Price Series Helpers
+ * Shared validation for multi-series (high/low/close) indicator inputs
+ */
+
+import { lengthMismatch, invalidParam } from './errors.js';
+
+/**
+ * Validate and align price series to a common length
+ * Arrays of different lengths are truncated to the shortest one and a warning is returned,
+ * matching the behaviour of the ATR and Stochastic tools
+ * @param {object} series - Named price arrays, e.g. { high, low, close }
+ * @returns {object} { series, length, warning }
+ */
+export function alignSeries(series) {
+  const names = Object.keys(series);
+
+  if (names.some(name => !Array.isArray(series[name]))) {
+    throw invalidParam(`${formatNames(names)} must be ${names.length === 1 ? 'an array' : 'arrays'}`, { fields: names });
+  }
+
+  const lengths = names.map(name => series[name].length);
+  const minLength = Math.min(...lengths);
+  let warning = null;
+  let aligned = series;
+
+  if (lengths.some(length => length !== minLength)) {
+    const details = names.map(name => `${name}=${series[name].length}`).join(', ');
+    warning = `Array length mismatch detected (${details}). Automatically adjusted to shortest length: ${minLength}`;
+    aligned = {};
+    for (const name of names) {
+      aligned[name] = series[name].slice(0, minLength);
+    }
+  }
+
+  if (minLength === 0) {
+    throw invalidParam("Price arrays must not be empty", { fields: names });
+  }
+
+  const allValues = names.flatMap(name => aligned[name]);
+  if (allValues.some(value => typeof value !== 'number' || isNaN(value))) {
+    throw invalidParam("All price values must be valid numbers", { fields: names });
+  }
+
+  return { series: aligned, length: minLength, warning };
+}
+
+/**
+ * Validate a volume series against the (aligned) price length
+ * Unlike price arrays, volume is never truncated: a length mismatch usually means
+ * the volume belongs to a different candle range
+ * @param {Array<number>} volume - Volume array
+ * @param {number} length - Expected length (price arrays length)
+ * @returns {Array<number>} The validated volume array
+ */
+export function validateVolume(volume, length) {
+  if (!Array.isArray(volume) || volume.length === 0) {
+    throw invalidParam("Volume must be a non-empty array", { field: "volume" });
+  }
+
+  if (volume.length !== length) {
+    throw lengthMismatch(`Volume must have the same length as the price arrays (volume=${volume.length}, prices=${length})`, { volume: volume.length, prices: length });
+  }
+
+  if (volume.some(value => typeof value !== 'number' || isNaN(value) || value < 0)) {
+    throw invalidParam("All volume values must be valid non-negative numbers", { field: "volume" });
+  }
+
+  return volume;
+}
+
+/**
+ * Format series names for error messages: "High, low, and close"
+ * @param {Array<string>} names - Series names
+ * @returns {string} Human-readable list
+ */
+function formatNames(names) {
+  const capitalized = names.map((name, index) => index === 0 ? name.charAt(0).toUpperCase() + name.slice(1) : name);
+  if (capitalized.length <= 2) return capitalized.join(' and ');
+  return `${capitalized.slice(0, -1).join(', ')}, and ${capitalized[capitalized.length - 1]}`;
+}
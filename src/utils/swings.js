@@ -0,0 +1,69 @@
+/**
+ * Swing Detection
+ * Swing highs/lows from fractals (N bars on each side) or a ZigZag reversal threshold
+ */
+
+/**
+ * Find fractal swing points: a bar whose high (low) is above (below) the N bars on each side
+ * Ties are resolved to the first bar so a flat top produces a single swing
+ * @param {Array<number>} high - High series (pass the same series twice for single-line indicators)
+ * @param {Array<number>} low - Low series
+ * @param {number} strength - Number of bars required on each side
+ * @returns {Array<object>} Swings in chronological order: { index, type: "high"|"low", price }
+ */
+export function findFractalSwings(high, low, strength = 2) {
+  const swings = [];
+
+  for (let i = strength; i < high.length - strength; i++) {
+    let isHigh = true;
+    let isLow = true;
+
+    for (let j = 1; j <= strength && (isHigh || isLow); j++) {
+      if (high[i - j] >= high[i] || high[i + j] > high[i]) isHigh = false;
+      if (low[i - j] <= low[i] || low[i + j] < low[i]) isLow = false;
+    }
+
+    if (isHigh) swings.push({ index: i, type: "high", price: high[i] });
+    if (isLow) swings.push({ index: i, type: "low", price: low[i] });
+  }
+
+  return swings;
+}
+
+/**
+ * Find ZigZag swing points: a swing is confirmed once price reverses from the running
+ * extreme by at least the threshold. The last, still unconfirmed extreme is not returned
+ * @param {Array<number>} high - High series
+ * @param {Array<number>} low - Low series
+ * @param {Function} threshold - (index, extremePrice) => minimum reversal in price units
+ * @returns {Array<object>} Alternating swings in chronological order: { index, type, price }
+ */
+export function findZigZagSwings(high, low, threshold) {
+  const swings = [];
+  if (high.length === 0) return swings;
+
+  let trend = 0;
+  let extremeHigh = { index: 0, price: high[0] };
+  let extremeLow = { index: 0, price: low[0] };
+
+  for (let i = 1; i < high.length; i++) {
+    if (trend >= 0 && high[i] > extremeHigh.price) {
+      extremeHigh = { index: i, price: high[i] };
+    }
+    if (trend <= 0 && low[i] < extremeLow.price) {
+      extremeLow = { index: i, price: low[i] };
+    }
+
+    if (trend >= 0 && extremeHigh.index < i && extremeHigh.price - low[i] >= threshold(i, extremeHigh.price)) {
+      swings.push({ index: extremeHigh.index, type: "high", price: extremeHigh.price });
+      trend = -1;
+      extremeLow = { index: i, price: low[i] };
+    } else if (trend <= 0 && extremeLow.index < i && high[i] - extremeLow.price >= threshold(i, extremeLow.price)) {
+      swings.push({ index: extremeLow.index, type: "low", price: extremeLow.price });
+      trend = 1;
+      extremeHigh = { index: i, price: high[i] };
+    }
+  }
+
+  return swings;
+}
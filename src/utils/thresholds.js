@@ -0,0 +1,111 @@
+/**
+ * Signal Threshold Helpers
+ * Resolve per-call 'thresholds' overrides against the server defaults (config.js)
+ */
+
+import { THRESHOLD_DEFAULTS, BUILTIN_THRESHOLDS } from '../config/config.js';
+import { invalidParam } from './errors.js';
+
+/**
+ * Levels that must be strictly increasing, per indicator
+ */
+const THRESHOLD_ORDER = {
+  rsi: ["oversold", "overbought"],
+  stochastic: ["oversold", "overbought"],
+  mfi: ["oversold", "overbought"],
+  cmf: ["selling", "buying"],
+  atr: ["lowPercent", "highPercent"],
+  bollinger: ["lowBandwidth", "highBandwidth"],
+  adx: ["weak", "strong", "veryStrong", "extreme"],
+  cci: ["oversold", "overbought"],
+  willr: ["oversold", "overbought"],
+  roc: ["oversold", "overbought"],
+  stochrsi: ["oversold", "overbought"],
+  ultosc: ["oversold", "overbought"],
+  ao: ["oversold", "overbought"],
+  aroon: ["weak", "consolidation", "strong"],
+  vortex: ["weakSpread", "strongSpread"],
+  choppiness: ["trending", "choppy"],
+  volatility: ["low", "high", "extreme"],
+  confluence: ["bearish", "bullish"]
+};
+
+/**
+ * Whether a level may be null: only levels that are unset by default (unbounded oscillators)
+ * @param {string} indicator - Key in THRESHOLD_DEFAULTS
+ * @param {string} level - Level name
+ * @returns {boolean}
+ */
+function isOptionalLevel(indicator, level) {
+  return BUILTIN_THRESHOLDS[indicator][level] === null;
+}
+
+/**
+ * Build the JSON schema of the 'thresholds' argument for an indicator
+ * @param {string} indicator - Key in THRESHOLD_DEFAULTS
+ * @returns {object} JSON schema listing each level with its current default
+ */
+export function thresholdsSchema(indicator) {
+  const defaults = THRESHOLD_DEFAULTS[indicator];
+  const properties = {};
+  for (const [level, value] of Object.entries(defaults)) {
+    properties[level] = {
+      type: isOptionalLevel(indicator, level) ? ["number", "null"] : "number",
+      description: value === null ? "Optional, not used by default" : `Default: ${value}`
+    };
+  }
+
+  return {
+    type: "object",
+    description: `Optional signal thresholds overriding the server defaults (${Object.keys(defaults).join(', ')})`,
+    properties: properties,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Resolve thresholds for an indicator
+ * Later layers win: server defaults, then each override object in order
+ * (e.g. calculate_all_indicators top-level thresholds, then the per-key ones)
+ * @param {string} indicator - Key in THRESHOLD_DEFAULTS
+ * @param {...object} overrides - Optional partial threshold objects
+ * @returns {object} Complete thresholds
+ */
+export function resolveThresholds(indicator, ...overrides) {
+  const resolved = { ...THRESHOLD_DEFAULTS[indicator] };
+
+  for (const override of overrides) {
+    if (override === undefined || override === null) continue;
+
+    if (typeof override !== 'object' || Array.isArray(override)) {
+      throw invalidParam(`${indicator} thresholds must be an object`, { field: "thresholds", indicator });
+    }
+
+    for (const [level, value] of Object.entries(override)) {
+      if (!(level in resolved)) {
+        throw invalidParam(`Unknown ${indicator} threshold '${level}'. Available: ${Object.keys(resolved).join(', ')}`, { field: "thresholds", indicator, level, available: Object.keys(resolved) });
+      }
+      if (value === null && !isOptionalLevel(indicator, level)) {
+        throw invalidParam(`${indicator} threshold '${level}' cannot be null`, { field: "thresholds", indicator, level });
+      }
+      if (value !== null && (typeof value !== 'number' || isNaN(value))) {
+        throw invalidParam(`${indicator} threshold '${level}' must be a valid number`, { field: "thresholds", indicator, level });
+      }
+      resolved[level] = value;
+    }
+  }
+
+  const order = (THRESHOLD_ORDER[indicator] || []).filter(level => resolved[level] !== null);
+  for (let i = 1; i < order.length; i++) {
+    if (resolved[order[i - 1]] >= resolved[order[i]]) {
+      throw invalidParam(`${indicator} thresholds must be increasing: ${order.map(level => `${level} (${resolved[level]})`).join(' < ')}`, { field: "thresholds", indicator, order });
+    }
+  }
+
+  return resolved;
+}
+
+// Fail at startup when INDICATOR_THRESHOLDS leaves an indicator with inverted levels
+for (const indicator of Object.keys(THRESHOLD_DEFAULTS)) {
+  resolveThresholds(indicator);
+}
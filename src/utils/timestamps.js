@@ -0,0 +1,48 @@
+/**
+ * Timestamp Helpers
+ * Normalizes bar timestamps (epoch numbers or ISO strings) to epoch milliseconds
+ */
+
+import { lengthMismatch, invalidParam } from './errors.js';
+
+// Epoch values below this are treated as seconds (1e11 ms is March 1973)
+const SECONDS_THRESHOLD = 1e11;
+
+/**
+ * Convert a single timestamp to epoch milliseconds
+ * @param {number|string} value - Epoch milliseconds, epoch seconds or ISO 8601 string
+ * @returns {number} Epoch milliseconds, or NaN if the value cannot be parsed
+ */
+export function toEpochMs(value) {
+  if (typeof value === 'number') {
+    return value < SECONDS_THRESHOLD ? value * 1000 : value;
+  }
+  if (typeof value === 'string') {
+    return Date.parse(value);
+  }
+  return NaN;
+}
+
+/**
+ * Validate and normalize a timestamps array against the price length
+ * @param {Array<number|string>} timestamps - Bar timestamps
+ * @param {number} length - Expected length (price arrays length)
+ * @returns {Array<number>} Epoch milliseconds per bar
+ */
+export function parseTimestamps(timestamps, length) {
+  if (!Array.isArray(timestamps)) {
+    throw invalidParam("Timestamps must be an array", { field: "timestamps" });
+  }
+
+  if (timestamps.length !== length) {
+    throw lengthMismatch(`Timestamps must have the same length as the price arrays (timestamps=${timestamps.length}, prices=${length})`, { timestamps: timestamps.length, prices: length });
+  }
+
+  const parsed = timestamps.map(toEpochMs);
+  const invalidIndex = parsed.findIndex(value => isNaN(value));
+  if (invalidIndex !== -1) {
+    throw invalidParam(`Invalid timestamp at index ${invalidIndex}: ${JSON.stringify(timestamps[invalidIndex])}`, { field: "timestamps", index: invalidIndex });
+  }
+
+  return parsed;
+}
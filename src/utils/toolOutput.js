@@ -0,0 +1,115 @@
+/**
+ * Tool Output Helpers
+ * Structured tool results (structuredContent) and the building blocks of each tool's outputSchema
+ */
+
+/**
+ * Wrap a response object as an MCP tool result
+ * structuredContent carries the typed object; the text block keeps the same JSON for clients
+ * that predate structured output
+ * @param {object} response - Tool response
+ * @returns {object} { content, structuredContent }
+ */
+export function toolResult(response) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(response, null, 2)
+      }
+    ],
+    structuredContent: response
+  };
+}
+
+// Bar-aligned point returned when a call sets align: 'pairs'
+export const pointSchema = objectSchema({ t: { type: ["number", "string", "null"] }, value: { type: ["number", "null"] } }, ["t", "value"]);
+
+// Numeric series; warm-up gaps and displaced values (Ichimoku, Supertrend) serialize as null
+export const seriesSchema = { type: "array", items: { anyOf: [{ type: ["number", "null"] }, pointSchema] } };
+
+export const numberSchema = { type: "number" };
+// Readings that are undefined on flat input (0/0) serialize as null
+export const nullableNumberSchema = { type: ["number", "null"] };
+export const stringSchema = { type: "string" };
+
+/**
+ * Object schema with typed properties; unlisted properties are allowed
+ * @param {object} properties - Property schemas
+ * @param {Array<string>} required - Required property names
+ * @returns {object} JSON schema
+ */
+export function objectSchema(properties = {}, required = []) {
+  const schema = { type: "object", properties: properties };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+/**
+ * Named series, e.g. { k: [...], d: [...] }
+ * @param {Array<string>} names - Series names
+ * @returns {object} JSON schema
+ */
+export function seriesMapSchema(names) {
+  return objectSchema(Object.fromEntries(names.map(name => [name, seriesSchema])), names);
+}
+
+/**
+ * Latest-bar block; every tool explains its read in 'interpretation'
+ * @param {object} properties - Indicator-specific property schemas
+ * @param {Array<string>} required - Required names besides 'interpretation'
+ * @returns {object} JSON schema
+ */
+export function currentSchema(properties = {}, required = []) {
+  return objectSchema({ ...properties, interpretation: stringSchema }, [...required, "interpretation"]);
+}
+
+// Oscillator-style latest value with its signal
+export const signalCurrentSchema = currentSchema({ value: nullableNumberSchema, signal: stringSchema }, ["value", "signal"]);
+
+export const statisticsSchema = objectSchema({ min: nullableNumberSchema, max: nullableNumberSchema, average: nullableNumberSchema });
+
+// Thresholds actually applied, after server defaults and per-call overrides; optional levels are null when unset
+export const thresholdsOutputSchema = { type: "object", additionalProperties: { type: ["number", "null"] } };
+
+export const divergencesSchema = objectSchema({
+  lookback: numberSchema,
+  pivotStrength: numberSchema,
+  total: numberSchema,
+  latest: { type: ["object", "null"] },
+  signal: stringSchema,
+  interpretation: stringSchema,
+  events: { type: "array", items: { type: "object" } }
+});
+
+// Conversion applied to candle input, or to price arrays re-sorted by their timestamps
+export const inputReportSchema = objectSchema({
+  format: stringSchema,
+  bars: numberSchema,
+  parsedStrings: { type: "boolean" },
+  order: stringSchema,
+  resorted: { type: "boolean" }
+}, ["format", "bars"]);
+
+export const eventsSchema = { type: "array", items: objectSchema({ index: numberSchema, type: stringSchema }, ["index", "type"]) };
+
+/**
+ * Output schema shared by the calculate_* indicator tools
+ * Every response names its indicator and the number of bars used, and may carry a
+ * length-mismatch warning, the series alignment applied and the input conversion report
+ * @param {object} properties - Indicator-specific property schemas
+ * @param {Array<string>} required - Required names besides 'indicator' and 'dataPoints'
+ * @returns {object} JSON schema
+ */
+export function indicatorOutputSchema(properties, required = []) {
+  return objectSchema({
+    indicator: stringSchema,
+    dataPoints: numberSchema,
+    warning: stringSchema,
+    alignment: stringSchema,
+    input: inputReportSchema,
+    ...properties
+  }, ["indicator", "dataPoints", ...required]);
+}
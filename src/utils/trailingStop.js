@@ -0,0 +1,67 @@
+/**
+ * Trailing Stop Analysis
+ * Shared interpretation for stop-and-reverse indicators (Supertrend, Parabolic SAR)
+ */
+
+/**
+ * Analyze a trailing stop line and its direction series
+ * @param {object} params
+ * @param {Array<number>} params.stop - Stop line values (aligned to the end of the input)
+ * @param {Array<number>} params.direction - 1 for uptrend (long stop below price), -1 for downtrend
+ * @param {Array<number>} params.close - Closing prices (full input length)
+ * @param {number} params.offset - Input bar index of stop[0]
+ * @param {number} params.maxFlips - Number of most recent flips to report
+ * @returns {object} { flips, current }
+ */
+export function analyzeTrailingStop({ stop, direction, close, offset, maxFlips = 10 }) {
+  const flips = [];
+  for (let i = 1; i < direction.length; i++) {
+    if (direction[i] !== direction[i - 1]) {
+      flips.push({
+        index: i + offset,
+        direction: direction[i] === 1 ? "bullish" : "bearish",
+        price: close[i + offset],
+        stop: stop[i]
+      });
+    }
+  }
+
+  const last = stop.length - 1;
+  const currentDirection = direction[last];
+  const currentPrice = close[close.length - 1];
+  const currentStop = stop[last];
+  const lastFlip = flips.length > 0 ? flips[flips.length - 1] : null;
+  const barsSinceFlip = lastFlip ? close.length - 1 - lastFlip.index : null;
+  const justFlipped = barsSinceFlip === 0;
+
+  let signal;
+  let interpretation;
+  if (justFlipped && currentDirection === 1) {
+    signal = "bullish_flip";
+    interpretation = `Trend flipped to bullish - long stop now at ${currentStop.toFixed(2)}`;
+  } else if (justFlipped) {
+    signal = "bearish_flip";
+    interpretation = `Trend flipped to bearish - short stop now at ${currentStop.toFixed(2)}`;
+  } else if (currentDirection === 1) {
+    signal = "bullish";
+    interpretation = `Uptrend - trail long positions with the stop at ${currentStop.toFixed(2)}`;
+  } else {
+    signal = "bearish";
+    interpretation = `Downtrend - trail short positions with the stop at ${currentStop.toFixed(2)}`;
+  }
+
+  return {
+    flips: flips.slice(-maxFlips),
+    totalFlips: flips.length,
+    current: {
+      stop: Number(currentStop.toFixed(4)),
+      price: Number(currentPrice.toFixed(2)),
+      direction: currentDirection === 1 ? "bullish" : "bearish",
+      distance: Number(Math.abs(currentPrice - currentStop).toFixed(4)),
+      distancePercent: Number(((Math.abs(currentPrice - currentStop) / currentPrice) * 100).toFixed(2)),
+      barsSinceFlip: barsSinceFlip,
+      signal: signal,
+      interpretation: interpretation
+    }
+  };
+}
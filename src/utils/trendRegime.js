@@ -0,0 +1,70 @@
+/**
+ * Trend Regime Classification
+ * Combines ADX, Aroon, Vortex and Choppiness readings into a trending / ranging verdict
+ */
+
+import { classifyTrendStrength } from '../tools/adx.js';
+import { classifyAroon } from '../tools/aroon.js';
+import { classifyChoppiness } from '../tools/choppiness.js';
+import { classifyVortexSpread } from '../tools/vortex.js';
+import { resolveThresholds } from './thresholds.js';
+
+/**
+ * Classify the market regime from the latest trend-regime readings
+ * Each indicator votes trending, ranging or neutral; a regime needs a margin of two votes
+ * @param {object} readings - { adx, plusDI, minusDI, aroonUp, aroonDown, viPlus, viMinus, choppiness }
+ * @param {object} thresholds - Resolved { adx, aroon, vortex, choppiness } thresholds; missing ones use the server defaults
+ * @returns {object} { regime, direction, confidence, preferredSignals, votes, interpretation }
+ */
+export function classifyTrendRegime(readings, thresholds = {}) {
+  const { adx, plusDI, minusDI, aroonUp, aroonDown, viPlus, viMinus, choppiness } = readings;
+  const {
+    adx: adxThresholds = resolveThresholds("adx"),
+    aroon: aroonThresholds = resolveThresholds("aroon"),
+    vortex: vortexThresholds = resolveThresholds("vortex"),
+    choppiness: choppinessThresholds = resolveThresholds("choppiness")
+  } = thresholds;
+
+  const adxStrength = classifyTrendStrength(adx, adxThresholds);
+  const aroonTrend = classifyAroon(aroonUp, aroonDown, aroonThresholds);
+  const viStrength = classifyVortexSpread(viPlus - viMinus, vortexThresholds);
+
+  const votes = {
+    adx: adxStrength === "weak" ? "ranging" : adxStrength === "emerging" ? "neutral" : "trending",
+    choppiness: classifyChoppiness(choppiness, choppinessThresholds).replace("transitional", "neutral"),
+    aroon: aroonTrend.startsWith("strong_") ? "trending" : aroonTrend === "consolidation" ? "ranging" : "neutral",
+    vortex: viStrength === "strong" ? "trending" : viStrength === "weak" ? "ranging" : "neutral"
+  };
+
+  const tally = Object.values(votes);
+  const trending = tally.filter(vote => vote === "trending").length;
+  const ranging = tally.filter(vote => vote === "ranging").length;
+  const regime = trending - ranging >= 2 ? "trending" : ranging - trending >= 2 ? "ranging" : "transitional";
+
+  // Direction from the three directional components
+  const bullish = [plusDI > minusDI, aroonUp > aroonDown, viPlus > viMinus].filter(Boolean).length;
+  const bearish = [plusDI < minusDI, aroonUp < aroonDown, viPlus < viMinus].filter(Boolean).length;
+  const direction = bullish >= 2 ? "bullish" : bearish >= 2 ? "bearish" : "neutral";
+
+  let preferredSignals = "mixed";
+  let interpretation = "";
+
+  if (regime === "trending") {
+    preferredSignals = "trend";
+    interpretation = `Trending market (${trending}/4 indicators agree, ${direction} direction) - favour trend signals (MACD, moving average crosses); oscillator overbought/oversold readings can persist`;
+  } else if (regime === "ranging") {
+    preferredSignals = "oscillator";
+    interpretation = `Ranging market (${ranging}/4 indicators agree) - favour oscillator signals (RSI, Stochastic) at range extremes; trend crossovers are prone to whipsaws`;
+  } else {
+    interpretation = "Transitional market - trend and range readings disagree, confirm signals from both families before acting";
+  }
+
+  return {
+    regime: regime,
+    direction: direction,
+    confidence: Math.round((Math.max(trending, ranging) / tally.length) * 100),
+    preferredSignals: preferredSignals,
+    votes: votes,
+    interpretation: interpretation
+  };
+}
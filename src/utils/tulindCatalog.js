@@ -0,0 +1,191 @@
+/**
+ * Tulind Catalogue Helpers
+ * Exposes tulind's built-in indicator metadata (inputs, options, outputs)
+ * with stable argument names usable from MCP tools and REST routes
+ */
+
+import tulind from "tulind";
+
+/**
+ * Default values and bounds per option key, applied to every indicator
+ * unless overridden in INDICATOR_OPTION_DEFAULTS
+ */
+const OPTION_SPECS = {
+  period: { default: 14, minimum: 1, maximum: 500 },
+  shortPeriod: { default: 12, minimum: 1, maximum: 500 },
+  mediumPeriod: { default: 14, minimum: 1, maximum: 500 },
+  longPeriod: { default: 26, minimum: 1, maximum: 500 },
+  signalPeriod: { default: 9, minimum: 1, maximum: 500 },
+  kPeriod: { default: 14, minimum: 1, maximum: 500 },
+  kSlowingPeriod: { default: 3, minimum: 1, maximum: 500 },
+  dPeriod: { default: 3, minimum: 1, maximum: 500 },
+  stddev: { default: 2, minimum: 0, maximum: 10 },
+  accelerationFactorStep: { default: 0.02, minimum: 0, maximum: 1 },
+  accelerationFactorMaximum: { default: 0.2, minimum: 0, maximum: 1 },
+  alpha: { default: 0.2, minimum: 0, maximum: 1 }
+};
+
+/**
+ * Indicator-specific defaults following the commonly published settings
+ */
+const INDICATOR_OPTION_DEFAULTS = {
+  adosc: { shortPeriod: 3, longPeriod: 10 },
+  aroon: { period: 25 },
+  aroonosc: { period: 25 },
+  bbands: { period: 20 },
+  cci: { period: 20 },
+  dema: { period: 20 },
+  dpo: { period: 20 },
+  ema: { period: 20 },
+  hma: { period: 20 },
+  kama: { period: 10 },
+  kvo: { shortPeriod: 34, longPeriod: 55 },
+  mom: { period: 10 },
+  roc: { period: 10 },
+  rocr: { period: 10 },
+  sma: { period: 20 },
+  tema: { period: 20 },
+  trima: { period: 20 },
+  trix: { period: 15 },
+  ultosc: { shortPeriod: 7, mediumPeriod: 14, longPeriod: 28 },
+  vidya: { shortPeriod: 5, longPeriod: 10 },
+  vosc: { shortPeriod: 5, longPeriod: 10 },
+  vwma: { period: 20 },
+  wma: { period: 20 },
+  zlema: { period: 20 }
+};
+
+/**
+ * Human-readable description of each tulind input name
+ */
+const INPUT_DESCRIPTIONS = {
+  real: "Generic price series (usually close)",
+  open: "Open prices",
+  high: "High prices",
+  low: "Low prices",
+  close: "Close prices",
+  volume: "Volume"
+};
+
+/**
+ * Convert a tulind option name to the camelCase key accepted by the tools
+ * e.g. "short period" -> "shortPeriod", "%k slowing period" -> "kSlowingPeriod"
+ * @param {string} optionName - Raw tulind option name
+ * @returns {string} camelCase option key
+ */
+export function toOptionKey(optionName) {
+  const words = optionName.replace(/[^a-zA-Z0-9 ]/g, "").trim().split(/\s+/);
+  return words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join("");
+}
+
+/**
+ * Build the input keys for an indicator
+ * Duplicate tulind input names (e.g. "real", "real" for crossover) are numbered: real1, real2
+ * @param {object} meta - Tulind indicator metadata
+ * @returns {Array<string>} Input keys in tulind order
+ */
+export function getInputKeys(meta) {
+  return meta.input_names.map((inputName, index) => {
+    const duplicates = meta.input_names.filter(n => n === inputName).length;
+    if (duplicates === 1) return inputName;
+    return `${inputName}${meta.input_names.slice(0, index + 1).filter(n => n === inputName).length}`;
+  });
+}
+
+/**
+ * Get tulind metadata for an indicator
+ * @param {string} name - Tulind indicator name (case-insensitive)
+ * @returns {object|null} Tulind indicator metadata or null if unknown
+ */
+export function getTulindIndicator(name) {
+  if (typeof name !== "string") return null;
+  return tulind.indicators[name.toLowerCase()] || null;
+}
+
+/**
+ * List all tulind indicator names
+ * @returns {Array<string>} Sorted indicator names
+ */
+export function listTulindIndicators() {
+  return Object.keys(tulind.indicators).sort();
+}
+
+/**
+ * Get option specs (key, default, bounds) for an indicator
+ * @param {object} meta - Tulind indicator metadata
+ * @returns {Array<object>} Option specs in tulind order
+ */
+export function getOptionSpecs(meta) {
+  const overrides = INDICATOR_OPTION_DEFAULTS[meta.name] || {};
+
+  return meta.option_names.map(optionName => {
+    const key = toOptionKey(optionName);
+    const spec = OPTION_SPECS[key] || { default: null, minimum: null, maximum: null };
+
+    return {
+      name: key,
+      tulindName: optionName,
+      default: overrides[key] ?? spec.default,
+      minimum: spec.minimum,
+      maximum: spec.maximum
+    };
+  });
+}
+
+/**
+ * Describe an indicator for discovery: inputs, options, outputs and warm-up length
+ * @param {object} meta - Tulind indicator metadata
+ * @returns {object} Indicator description
+ */
+export function describeTulindIndicator(meta) {
+  const options = getOptionSpecs(meta);
+  const defaults = options.map(option => option.default);
+  const warmup = defaults.every(value => value !== null) ? meta.start(defaults) : null;
+
+  return {
+    name: meta.name,
+    fullName: meta.full_name,
+    type: meta.type,
+    inputs: getInputKeys(meta).map((key, index) => ({
+      name: key,
+      description: INPUT_DESCRIPTIONS[meta.input_names[index]] || meta.input_names[index]
+    })),
+    options: options,
+    outputs: meta.output_names,
+    warmup: warmup,
+    minimumDataPoints: warmup === null ? null : warmup + 1
+  };
+}
+
+/**
+ * Run a tulind indicator with event loop protection and timeout
+ * @param {string} name - Tulind indicator name
+ * @param {Array<Array<number>>} inputs - Input arrays in tulind order
+ * @param {Array<number>} options - Option values in tulind order
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Array<Array<number>>>} Output arrays in tulind order
+ */
+export function runTulind(name, inputs, options, timeout = 1000) {
+  let timeoutId;
+
+  const calculation = new Promise((resolve, reject) => {
+    process.nextTick(() => {
+      try {
+        tulind.indicators[name].indicator(inputs, options, (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        });
+      } catch (syncError) {
+        reject(syncError);
+      }
+    });
+  });
+
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`${name} calculation timeout`)), timeout);
+  });
+
+  return Promise.race([calculation, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+}
@@ -0,0 +1,84 @@
+/**
+ * Tool Argument Validation
+ * Compiles every tool's inputSchema once and checks each call before it reaches the handler:
+ * types, minimum/maximum, minItems, enum and oneOf rules are enforced and declared defaults applied
+ */
+
+import Ajv from 'ajv';
+import { invalidParam } from './errors.js';
+
+// Field errors reported per call; a wrong type in a long price array would otherwise list every item
+const MAX_REPORTED_ERRORS = 10;
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+/**
+ * Join a property name onto an Ajv data path
+ * @param {string} path - Data path without the leading dot, e.g. "ohlcv"
+ * @param {string} property - Property name
+ * @returns {string} Field name, e.g. "ohlcv.close"
+ */
+function joinField(path, property) {
+  return path ? `${path}.${property}` : property;
+}
+
+/**
+ * Turn Ajv errors into field-level messages
+ * @param {Array<object>} errors - Ajv errors
+ * @returns {Array<object>} { field, message } without duplicates
+ */
+function describeErrors(errors) {
+  const described = [];
+  const seen = new Set();
+
+  for (const error of errors) {
+    const path = error.dataPath.replace(/^\./, '');
+    let field = path || "arguments";
+    let message = error.message;
+
+    if (error.keyword === "required") {
+      field = joinField(path, error.params.missingProperty);
+      message = "is required";
+    } else if (error.keyword === "additionalProperties") {
+      field = joinField(path, error.params.additionalProperty);
+      message = "is not allowed";
+    } else if (error.keyword === "enum") {
+      message = `should be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    const key = `${field} ${message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      described.push({ field, message });
+    }
+  }
+
+  return described;
+}
+
+/**
+ * Build a validator for a set of tool definitions
+ * @param {Array<object>} definitions - Tool definitions with inputSchema
+ * @returns {Function} (name, args) => validated copy of args with defaults applied; throws INVALID_PARAM
+ */
+export function createArgumentValidator(definitions) {
+  const validators = new Map(definitions.map(definition => [definition.name, ajv.compile(definition.inputSchema)]));
+
+  return (name, args) => {
+    const validate = validators.get(name);
+    // Defaults are written into the copy, never into the caller's object
+    const validated = structuredClone(args ?? {});
+
+    if (!validate(validated)) {
+      const errors = describeErrors(validate.errors);
+      const reported = errors.slice(0, MAX_REPORTED_ERRORS);
+      throw invalidParam(`Invalid arguments for ${name}: ${reported.map(error => `${error.field} ${error.message}`).join('; ')}`, {
+        field: reported[0].field,
+        errors: reported,
+        total: errors.length
+      });
+    }
+
+    return validated;
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Volume Flow Analysis
+ * Shared interpretation of cumulative volume lines (OBV, Accumulation/Distribution)
+ */
+
+/**
+ * Compare a cumulative volume line with price over a lookback window
+ * Rising line with rising price confirms the move, opposite directions flag a divergence
+ * @param {Array<number>} line - Cumulative volume line (same length as close)
+ * @param {Array<number>} close - Closing prices
+ * @param {number} lookback - Number of bars to compare
+ * @returns {object} Flow analysis with signal and interpretation
+ */
+export function analyzeCumulativeFlow(line, close, lookback) {
+  const window = Math.min(lookback, line.length - 1);
+  const current = line[line.length - 1];
+  const past = line[line.length - 1 - window];
+  const priceNow = close[close.length - 1];
+  const pricePast = close[close.length - 1 - window];
+
+  const lineChange = current - past;
+  const priceChange = pricePast !== 0 ? ((priceNow - pricePast) / pricePast) * 100 : 0;
+  const lineDirection = lineChange > 0 ? "rising" : lineChange < 0 ? "falling" : "flat";
+  const priceDirection = priceChange > 0 ? "rising" : priceChange < 0 ? "falling" : "flat";
+
+  let signal = "neutral";
+  let interpretation = "";
+
+  if (lineDirection === "rising" && priceDirection === "rising") {
+    signal = "bullish_confirmation";
+    interpretation = `Volume flow and price both rising over ${window} bars - buying volume confirms the uptrend`;
+  } else if (lineDirection === "falling" && priceDirection === "falling") {
+    signal = "bearish_confirmation";
+    interpretation = `Volume flow and price both falling over ${window} bars - selling volume confirms the downtrend`;
+  } else if (lineDirection === "rising" && priceDirection !== "rising") {
+    signal = "bullish_divergence";
+    interpretation = `Volume flow rising while price is ${priceDirection} over ${window} bars - accumulation, potential upside reversal`;
+  } else if (lineDirection === "falling" && priceDirection !== "falling") {
+    signal = "bearish_divergence";
+    interpretation = `Volume flow falling while price is ${priceDirection} over ${window} bars - distribution, potential downside reversal`;
+  } else {
+    interpretation = `Volume flow is flat over ${window} bars - no volume confirmation`;
+  }
+
+  return {
+    lookback: window,
+    lineChange: Number(lineChange.toFixed(2)),
+    priceChangePercent: Number(priceChange.toFixed(2)),
+    lineDirection: lineDirection,
+    priceDirection: priceDirection,
+    signal: signal,
+    interpretation: interpretation
+  };
+}
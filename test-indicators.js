@@ -0,0 +1,1079 @@
+// Indicator Behaviour Test - Indicator tools, input normalization and argument validation
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+
+const port = process.env.PORT || 3000;
+const baseUrl = `http://localhost:${port}`;
+
+console.log("🧪 Indicator Behaviour Test");
+console.log(`📡 Server: ${baseUrl}`);
+console.log("=".repeat(60));
+
+let testResults = {
+  passed: 0,
+  failed: 0,
+  warnings: 0,
+};
+
+let client;
+
+/**
+ * Deterministic OHLCV bars: a sine swing around a linear drift, one bar per hour
+ * @param {number} count - Number of bars
+ * @param {object} options - { start, drift, swing, cycle }
+ * @returns {object} { open, high, low, close, volume, timestamps }
+ */
+function makeBars(count, { start = 100, drift = 0.2, swing = 5, cycle = 20 } = {}) {
+  const close = Array.from({ length: count }, (_, i) => start + drift * i + swing * Math.sin((2 * Math.PI * i) / cycle));
+  const open = close.map((value, i) => (i === 0 ? value : close[i - 1]));
+  const high = close.map((value, i) => Math.max(value, open[i]) + 1);
+  const low = close.map((value, i) => Math.min(value, open[i]) - 1);
+  const volume = close.map((_, i) => 1000 + 100 * (i % 7));
+  const timestamps = close.map((_, i) => Date.UTC(2024, 0, 1) + i * 3600000);
+  return { open, high, low, close, volume, timestamps };
+}
+
+/**
+ * Call a tool through the MCP client
+ * Failures come back as error results carrying { error, code, details }, except invalid
+ * arguments, which are -32602 protocol errors (the SDK keeps only their message)
+ * @param {string} name - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} structuredContent, or { error } with the error payload
+ */
+async function call(name, args) {
+  try {
+    const result = await client.callTool({ name, arguments: args });
+    return result.isError ? { error: JSON.parse(result.content[0].text) } : result.structuredContent;
+  } catch (error) {
+    if (error.code === -32602) {
+      return { error: { error: error.message, code: "INVALID_PARAM" } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record one expectation
+ * @param {string} label - What is checked
+ * @param {boolean} condition - Whether it holds
+ * @param {*} actual - Value reported when it does not
+ */
+function check(label, condition, actual) {
+  if (condition) {
+    console.log(`   ✅ ${label}`);
+    testResults.passed++;
+  } else {
+    console.log(`   ❌ ${label} (got ${JSON.stringify(actual)?.slice(0, 200)})`);
+    testResults.failed++;
+  }
+}
+
+const inRange = (value, min, max) => typeof value === "number" && value >= min && value <= max;
+
+/**
+ * Test: Generic tulind indicator
+ */
+async function testGenericIndicator() {
+  console.log("🧮 Test: Generic tulind indicator (calculate_indicator, POST /api/indicators/:name)");
+
+  try {
+    const bars = makeBars(48);
+
+    const kama = await call("calculate_indicator", { indicator: "kama", inputs: { real: bars.close }, options: { period: 10 } });
+    check("KAMA series is shorter than the input by its warm-up", kama.warmup === 9 && kama.values?.kama?.length === 48 - kama.warmup, kama.warmup);
+    check("Latest output is the last series value", kama.latest?.kama === kama.values?.kama?.at(-1), kama.latest);
+
+    // Names taken by dedicated tools still reach tulind's own version through the generic tool
+    const rsi = await call("calculate_indicator", { indicator: "rsi", inputs: { real: bars.close }, options: { period: 14 } });
+    check("Raw tulind RSI through calculate_indicator", rsi.indicator === "rsi" && rsi.values?.rsi?.length === 34, rsi.indicator);
+
+    const unknown = await call("calculate_indicator", { indicator: "nope", inputs: { real: bars.close } });
+    check("Unknown indicator returns INVALID_PARAM", unknown.error?.code === "INVALID_PARAM", unknown.error ?? unknown.values);
+
+    const post = (path, body) => fetch(`${baseUrl}/api/indicators/${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+
+    const rest = await post("kama", { inputs: { real: bars.close }, options: { period: 10 } });
+    const restBody = await rest.json();
+    check("POST /api/indicators/kama runs the generic route", rest.status === 200 && restBody.latest?.kama === kama.latest?.kama, { status: rest.status, body: restBody });
+
+    const dedicated = await post("rsi", { prices: bars.close });
+    const dedicatedBody = await dedicated.json();
+    check("Dedicated routes take precedence over the generic route", dedicated.status === 200 && dedicatedBody.indicator === "RSI", dedicatedBody.indicator);
+
+    const restUnknown = await post("nope", { inputs: { real: bars.close } });
+    check("Unknown indicator over REST returns 400", restUnknown.status === 400 && (await restUnknown.json()).code === "INVALID_PARAM", restUnknown.status);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Indicator catalogue and warm-up reporting
+ */
+async function testDescribeIndicators() {
+  console.log("📚 Test: Indicator catalogue (describe_indicators)");
+
+  try {
+    const result = await call("describe_indicators", { names: ["kama"] });
+    const kama = result.indicators?.[0];
+    check("Filter by name returns only KAMA", result.count === 1 && kama?.name === "kama", result.count);
+    check("KAMA lists its input, option and output", kama?.inputs?.[0]?.name === "real" && kama?.options?.[0]?.name === "period" && kama?.outputs?.[0] === "kama", kama);
+    check("KAMA warm-up with default options", kama?.warmup === 9 && kama?.minimumDataPoints === 10, kama);
+
+    const tools = Object.fromEntries((result.tools ?? []).map(tool => [tool.name, tool]));
+    check("Every dedicated tool reports a warm-up", result.tools?.length > 0 && result.tools.every(tool => Number.isInteger(tool.warmup)), result.tools?.filter(tool => !Number.isInteger(tool.warmup)).map(tool => tool.name));
+    check("Native tools report their own warm-up", tools.calculate_ichimoku?.warmup === 77 && tools.calculate_stoch_rsi?.warmup === 31 && tools.calculate_vwap?.warmup === 0, [tools.calculate_ichimoku?.warmup, tools.calculate_stoch_rsi?.warmup]);
+    check("Only price series are listed as inputs", JSON.stringify(tools.calculate_vwap?.inputs) === '["high","low","close","volume"]', tools.calculate_vwap?.inputs);
+    check("Integer parameters are listed", tools.calculate_ichimoku?.parameters?.some(parameter => parameter.name === "tenkanPeriod" && parameter.default === 9), tools.calculate_ichimoku?.parameters);
+
+    // The reported warm-up is the number of bars the series drops
+    const bars = makeBars(48);
+    const stochRsi = await call("calculate_stoch_rsi", { prices: bars.close });
+    check("Stochastic RSI series starts after the reported warm-up", stochRsi.values?.k?.length === 48 - tools.calculate_stoch_rsi?.warmup, stochRsi.values?.k?.length);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: ADX / DMI
+ */
+async function testAdx() {
+  console.log("📈 Test: ADX / DMI (calculate_adx)");
+
+  try {
+    const uptrend = makeBars(120, { drift: 0.5, swing: 1 });
+    const result = await call("calculate_adx", { high: uptrend.high, low: uptrend.low, close: uptrend.close });
+    check("ADX within 0-100", inRange(result.current?.adx, 0, 100), result.current);
+    check("+DI above -DI in an uptrend", result.current?.plusDI > result.current?.minusDI, result.current);
+    check("Uptrend reported as bullish", result.current?.direction === "bullish", result.current?.direction);
+
+    // Flat bars have no directional movement: ADX is undefined rather than an error
+    const flat = Array(60).fill(100);
+    const flatResult = await call("calculate_adx", { high: flat.map(value => value + 1), low: flat.map(value => value - 1), close: flat });
+    check("Flat input returns null ADX without an error", !flatResult.error && flatResult.current?.adx === null, flatResult);
+
+    const all = await call("calculate_all_indicators", {
+      symbol: "TEST",
+      ohlcv: { high: uptrend.high, low: uptrend.low, close: uptrend.close },
+      indicators: { adx: { enabled: true, period: 14 } }
+    });
+    check("calculate_all_indicators 'adx' key returns ADX", all.indicators?.adx_14?.type === "ADX", Object.keys(all.indicators ?? {}));
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Volume indicators
+ */
+async function testVolumeIndicators() {
+  console.log("📊 Test: Volume indicators (OBV, A/D, CMF, MFI, VWMA)");
+
+  try {
+    const bars = makeBars(100);
+    const hlcv = { high: bars.high, low: bars.low, close: bars.close, volume: bars.volume };
+
+    const obv = await call("calculate_obv", { close: bars.close, volume: bars.volume });
+    check("OBV returns a value", typeof obv.current?.obv === "number", obv);
+    const ad = await call("calculate_accumulation_distribution", hlcv);
+    check("A/D returns a value", typeof ad.current?.ad === "number", ad);
+    const cmf = await call("calculate_cmf", hlcv);
+    check("CMF within -1 to 1", inRange(cmf.current?.value, -1, 1), cmf.current);
+    const mfi = await call("calculate_mfi", hlcv);
+    check("MFI within 0-100", inRange(mfi.current?.value, 0, 100), mfi.current);
+
+    // With constant volume every bar weighs the same, so VWMA equals the SMA
+    const vwma = await call("calculate_vwma", { prices: bars.close, volume: bars.close.map(() => 1000), period: 20 });
+    check("VWMA equals SMA under constant volume", vwma.current?.vwma === vwma.current?.sma, vwma.current);
+
+    const shortVolume = await call("calculate_cmf", { ...hlcv, volume: bars.volume.slice(1) });
+    check("Volume shorter than prices returns LENGTH_MISMATCH", shortVolume.error?.code === "LENGTH_MISMATCH", shortVolume.error ?? shortVolume.current);
+
+    // Periods are bar counts: fractional values are rejected instead of producing NaN series
+    const fractional = [
+      ["calculate_obv", { close: bars.close, volume: bars.volume, lookback: 2.5 }],
+      ["calculate_accumulation_distribution", { ...hlcv, lookback: 2.5 }],
+      ["calculate_cmf", { ...hlcv, period: 2.5 }],
+      ["calculate_mfi", { ...hlcv, period: 2.5 }],
+      ["calculate_vwma", { prices: bars.close, volume: bars.volume, period: 2.5 }]
+    ];
+    for (const [name, args] of fractional) {
+      const result = await call(name, args);
+      check(`${name} rejects a fractional period with INVALID_PARAM`, result.error?.code === "INVALID_PARAM", result.error ?? result.current);
+    }
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: VWAP and anchored VWAP
+ */
+async function testVwap() {
+  console.log("⚖️  Test: VWAP and anchored VWAP (calculate_vwap)");
+
+  try {
+    // Two UTC days of hourly bars
+    const bars = makeBars(48);
+    const hlcv = { high: bars.high, low: bars.low, close: bars.close, volume: bars.volume };
+
+    const daily = await call("calculate_vwap", { ...hlcv, timestamps: bars.timestamps, align: "none" });
+    check("Timestamps default to daily sessions", daily.parameters?.session === "daily", daily.parameters);
+    check("Session resets at the UTC day boundary", JSON.stringify(daily.sessions?.starts) === "[0,24]", daily.sessions);
+
+    // The first bar of a session weighs alone: VWAP equals its typical price
+    const typical = (bars.high[24] + bars.low[24] + bars.close[24]) / 3;
+    check("VWAP restarts at the typical price of the session's first bar", Math.abs(daily.values?.vwap[24] - typical) < 1e-6, daily.values?.vwap[24]);
+
+    const custom = await call("calculate_vwap", { ...hlcv, resetIndices: [12, 30], align: "none" });
+    check("Custom resets start new sessions", JSON.stringify(custom.sessions?.starts) === "[0,12,30]", custom.sessions);
+
+    const anchored = await call("calculate_vwap", { ...hlcv, anchorIndex: 10, align: "none" });
+    check("Anchored VWAP starts at the anchor bar", anchored.anchored?.anchorIndex === 10 && anchored.anchored?.values?.vwap?.length === 38, anchored.anchored?.anchorIndex);
+
+    const noTimes = await call("calculate_vwap", { ...hlcv, session: "daily" });
+    check("Daily sessions without timestamps return INVALID_PARAM", noTimes.error?.code === "INVALID_PARAM", noTimes.error ?? noTimes.parameters);
+    const outOfRange = await call("calculate_vwap", { ...hlcv, resetIndices: [60] });
+    check("Reset index past the last bar returns INVALID_PARAM", outOfRange.error?.code === "INVALID_PARAM", outOfRange.error ?? outOfRange.sessions);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Ichimoku cloud
+ */
+async function testIchimoku() {
+  console.log("☁️  Test: Ichimoku cloud (calculate_ichimoku)");
+
+  try {
+    const bars = makeBars(120);
+    const hlc = { high: bars.high, low: bars.low, close: bars.close };
+
+    const result = await call("calculate_ichimoku", hlc);
+    const highest = Math.max(...bars.high.slice(-9));
+    const lowest = Math.min(...bars.low.slice(-9));
+    check("Tenkan is the 9-bar midpoint", Math.abs(result.values?.tenkan.at(-1) - (highest + lowest) / 2) < 1e-6, result.values?.tenkan.at(-1));
+    check("Senkou spans are projected 26 bars ahead", result.values?.senkouA.length === 146 && result.values?.senkouB.length === 146, result.values?.senkouA.length);
+    check("Chikou is indexed by bar", result.values?.chikou.length === 120, result.values?.chikou.length);
+    check("Uptrend above the cloud", result.current?.pricePosition === "above_cloud", result.current?.pricePosition);
+
+    const short = await call("calculate_ichimoku", { high: bars.high.slice(0, 70), low: bars.low.slice(0, 70), close: bars.close.slice(0, 70) });
+    check("Fewer bars than Senkou B plus displacement returns INSUFFICIENT_DATA", short.error?.code === "INSUFFICIENT_DATA", short.error ?? short.current);
+    const periods = await call("calculate_ichimoku", { ...hlc, tenkanPeriod: 30, kijunPeriod: 26 });
+    check("Tenkan period above Kijun period returns INVALID_PARAM", periods.error?.code === "INVALID_PARAM", periods.error ?? periods.parameters);
+    const fractional = await call("calculate_ichimoku", { ...hlc, tenkanPeriod: 9.5 });
+    check("Fractional Tenkan period returns INVALID_PARAM", fractional.error?.code === "INVALID_PARAM", fractional.error ?? fractional.current);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Supertrend and Parabolic SAR
+ */
+async function testTrailingStops() {
+  console.log("🛑 Test: Trailing stops (calculate_supertrend, calculate_psar)");
+
+  try {
+    const bars = makeBars(48);
+    const supertrend = await call("calculate_supertrend", { high: bars.high, low: bars.low, close: bars.close, period: 5, multiplier: 1 });
+    const lastFlip = supertrend.flips?.at(-1);
+    check("Swinging bars flip the Supertrend", supertrend.flips?.length > 0, supertrend.flips);
+    check("barsSinceFlip counts from the last flip", supertrend.current?.barsSinceFlip === 47 - lastFlip?.index, supertrend.current);
+
+    // Steady uptrend: no flip, so barsSinceFlip is null rather than an error
+    const steady = {
+      high: bars.close.map((_, i) => 101 + i),
+      low: bars.close.map((_, i) => 99 + i),
+      close: bars.close.map((_, i) => 100 + i)
+    };
+    for (const name of ["calculate_supertrend", "calculate_psar"]) {
+      const result = await call(name, steady);
+      check(`${name}: no flip in a steady uptrend`, !result.error && result.flips?.length === 0 && result.current?.barsSinceFlip === null, result.error ?? result.current);
+      check(`${name}: bullish with the stop below price`, result.current?.direction === "bullish" && result.current?.stop < result.current?.price, result.current);
+    }
+
+    // ATR is the 2-point range, so the stop trails hl2 by multiplier x ATR
+    const steadyStop = await call("calculate_supertrend", steady);
+    check("Supertrend stop at hl2 - 3 x ATR", steadyStop.current?.stop === 147 - 3 * 2, steadyStop.current?.stop);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Keltner and Donchian Channels, Bollinger squeeze
+ */
+async function testChannels() {
+  console.log("📏 Test: Channels (calculate_keltner_channels, calculate_donchian_channels)");
+
+  try {
+    const bars = makeBars(48);
+    const hlc = { high: bars.high, low: bars.low, close: bars.close };
+
+    const donchian = await call("calculate_donchian_channels", hlc);
+    check("Donchian upper is the 20-bar high", Math.abs(donchian.current?.upper - Math.max(...bars.high.slice(-20))) < 0.01, donchian.current);
+    check("Donchian lower is the 20-bar low", Math.abs(donchian.current?.lower - Math.min(...bars.low.slice(-20))) < 0.01, donchian.current);
+
+    const keltner = await call("calculate_keltner_channels", hlc);
+    const { upper, middle, lower } = keltner.current ?? {};
+    check("Keltner bands are symmetric around the EMA", Math.abs((upper - middle) - (middle - lower)) < 0.02, keltner.current);
+
+    // Flat bars have a zero-width channel: the position in it is undefined
+    const flat = Array(48).fill(100);
+    const flatKeltner = await call("calculate_keltner_channels", { high: flat, low: flat, close: flat });
+    check("Flat input returns null Keltner position without an error", !flatKeltner.error && flatKeltner.analysis?.positionInChannel === null, flatKeltner.error ?? flatKeltner.analysis);
+    const flatBollinger = await call("calculate_bollinger_bands", { prices: flat });
+    check("Flat input returns null Bollinger %B without an error", !flatBollinger.error && flatBollinger.analysis?.percentB === null, flatBollinger.error ?? flatBollinger.analysis);
+
+    // Tight closes inside wide bars: Bollinger Bands contract inside the Keltner Channel
+    const tight = bars.close.map((_, i) => 100 + 0.1 * Math.sin(i));
+    const squeeze = await call("calculate_bollinger_bands", {
+      prices: tight,
+      high: tight.map(value => value + 3),
+      low: tight.map(value => value - 3)
+    });
+    check("Bollinger inside Keltner reports a squeeze", squeeze.squeeze?.on === true && squeeze.squeeze?.signal === "squeeze_on", squeeze.squeeze);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Pivot points and Fibonacci levels
+ */
+async function testLevels() {
+  console.log("🎚️  Test: Pivot points and Fibonacci levels (calculate_levels)");
+
+  try {
+    // Pivot-only call: no swing to measure, so no Fibonacci block
+    const pivotsOnly = await call("calculate_levels", { previous: { high: 110, low: 90, close: 105 } });
+    check("Classic pivot is (H + L + C) / 3", Math.abs(pivotsOnly.pivots?.classic?.pivot - 305 / 3) < 1e-9, pivotsOnly.pivots?.classic);
+    check("No swing returns null fibonacci without an error", !pivotsOnly.error && pivotsOnly.fibonacci === null, pivotsOnly.error ?? pivotsOnly.fibonacci);
+
+    const explicit = await call("calculate_levels", { previous: { high: 110, low: 90, close: 105 }, swingHigh: 120, swingLow: 100 });
+    const half = explicit.fibonacci?.retracements?.find(level => level.ratio === 0.5);
+    check("50% retracement sits mid-swing", half?.price === 110, explicit.fibonacci);
+
+    const bars = makeBars(48);
+    const detected = await call("calculate_levels", { high: bars.high, low: bars.low, close: bars.close });
+    check("Swing detected from the arrays", detected.fibonacci?.swing?.source === "detected", detected.fibonacci?.swing);
+    // The last bar is the current period: pivots come from the bar before it
+    check("Prior period is the bar before the last", detected.previousPeriod?.high === bars.high[46] && detected.previousPeriod?.close === bars.close[46], detected.previousPeriod);
+    check("Current price is the last close", detected.current?.price === bars.close[47], detected.current?.price);
+    const oneBar = await call("calculate_levels", { high: [110], low: [90], close: [105] });
+    check("A single bar without 'previous' returns INSUFFICIENT_DATA", oneBar.error?.code === "INSUFFICIENT_DATA", oneBar.error ?? oneBar.pivots);
+
+    const demark = await call("calculate_levels", { previous: { high: 110, low: 90, close: 105 }, methods: ["demark"] });
+    check("DeMark pivots without an open return INVALID_PARAM", demark.error?.code === "INVALID_PARAM", demark.error ?? demark.pivots);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Support/resistance zones
+ */
+async function testSupportResistance() {
+  console.log("🧱 Test: Support/resistance zones (detect_support_resistance)");
+
+  try {
+    // A range between 95 and 105 (bar extremes 94 and 106) repeatedly tested
+    const bars = makeBars(120, { drift: 0 });
+    const result = await call("detect_support_resistance", { ohlcv: { high: bars.high, low: bars.low, close: bars.close } });
+    const support = result.zones?.find(zone => zone.type === "support");
+    const resistance = result.zones?.find(zone => zone.type === "resistance");
+    check("Support zone at the range low", Math.abs(support?.center - 94) < 0.5 && support?.touches >= 2, support);
+    check("Resistance zone at the range high", Math.abs(resistance?.center - 106) < 0.5 && resistance?.touches >= 2, resistance);
+    check("Price inside the range sits between zones", result.current?.signal === "between_zones", result.current?.signal);
+
+    const short = await call("detect_support_resistance", { ohlcv: { high: bars.high.slice(0, 5), low: bars.low.slice(0, 5), close: bars.close.slice(0, 5) } });
+    check("Too few bars returns INSUFFICIENT_DATA", short.error?.code === "INSUFFICIENT_DATA", short.error ?? short.zones);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Candlestick patterns
+ */
+async function testCandlestickPatterns() {
+  console.log("🕯️  Test: Candlestick patterns (detect_candlestick_patterns)");
+
+  try {
+    // Ten falling bars, then a bullish candle whose body engulfs the previous bearish one
+    const close = [108, 106, 104, 102, 100, 98, 96, 94, 92, 90, 88, 92.5];
+    const open = [110, 108, 106, 104, 102, 100, 98, 96, 94, 92, 89.5, 88];
+    const high = open.map((value, i) => Math.max(value, close[i]) + 0.5);
+    const low = open.map((value, i) => Math.min(value, close[i]) - 0.5);
+
+    const result = await call("detect_candlestick_patterns", { open, high, low, close, patterns: ["bullish_engulfing", "hammer"] });
+    const engulfing = result.current?.patterns?.find(match => match.pattern === "bullish_engulfing");
+    check("Bullish engulfing found on the last bar", engulfing?.index === 11 && engulfing?.startIndex === 10, result.current?.patterns);
+    check("Latest-bar signal is bullish", result.current?.signal === "bullish", result.current?.signal);
+    check("Confidence within 0-100", inRange(engulfing?.confidence, 0, 100), engulfing);
+
+    const unknown = await call("detect_candlestick_patterns", { open, high, low, close, patterns: ["unknown_pattern"] });
+    check("Unknown pattern name returns INVALID_PARAM", unknown.error?.code === "INVALID_PARAM", unknown.error ?? unknown.patterns);
+    const short = await call("detect_candlestick_patterns", { open: open.slice(0, 2), high: high.slice(0, 2), low: low.slice(0, 2), close: close.slice(0, 2) });
+    check("Fewer than 3 candles returns INVALID_PARAM (schema minItems)", short.error?.code === "INVALID_PARAM", short.error ?? short.patterns);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: RSI divergences
+ */
+async function testDivergences() {
+  console.log("🔀 Test: Divergences (calculate_rsi)");
+
+  try {
+    // Sharp drop to 90, bounce, then a choppy grind to a lower low at 87 on weaker selling
+    const prices = [100];
+    const segment = (to, bars) => {
+      const from = prices.at(-1);
+      for (let i = 1; i <= bars; i++) prices.push(from + ((to - from) * i) / bars);
+    };
+    segment(110, 15);
+    segment(90, 5);
+    segment(100, 8);
+    for (let i = 0; i < 17; i++) prices.push(prices.at(-1) + (i % 3 === 2 ? 1 : -1.5));
+    segment(95, 6);
+
+    const result = await call("calculate_rsi", { prices, divergenceLookback: 40 });
+    const latest = result.divergences?.latest;
+    check("Lower price low with a higher RSI low is a regular bullish divergence", latest?.type === "regular" && latest?.bias === "bullish", result.divergences);
+    check("Divergence pivots at the two lows", latest?.first?.index === 20 && latest?.second?.index === 45, latest);
+    check("Divergence confirmed pivotStrength bars after the second low", latest?.confirmedIndex === 48, latest?.confirmedIndex);
+
+    const straight = Array.from({ length: 60 }, (_, i) => 100 + i);
+    const none = await call("calculate_rsi", { prices: straight });
+    check("No swing, no divergence", none.divergences?.total === 0 && none.divergences?.signal === "none", none.divergences);
+
+    // Window and pivot sizes are bar counts: fractional values are rejected
+    const bars = makeBars(120);
+    const inputs = {
+      calculate_rsi: { prices: bars.close },
+      calculate_macd: { prices: bars.close },
+      calculate_stochastic: { high: bars.high, low: bars.low, close: bars.close },
+      calculate_obv: { close: bars.close, volume: bars.volume }
+    };
+    for (const [name, args] of Object.entries(inputs)) {
+      const lookback = await call(name, { ...args, divergenceLookback: 40.5 });
+      const strength = await call(name, { ...args, pivotStrength: 2.5 });
+      check(`${name} rejects a fractional divergenceLookback or pivotStrength with INVALID_PARAM`, lookback.error?.code === "INVALID_PARAM" && strength.error?.code === "INVALID_PARAM", [lookback.error, strength.error]);
+    }
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Signal event timelines
+ */
+async function testEvents() {
+  console.log("🗓️  Test: Signal events (includeEvents)");
+
+  try {
+    const bars = makeBars(48);
+
+    const plain = await call("calculate_rsi", { prices: bars.close });
+    check("No events unless requested", plain.events === undefined, Object.keys(plain));
+
+    const rsi = await call("calculate_rsi", { prices: bars.close, includeEvents: true, align: "pad" });
+    const events = rsi.events ?? [];
+    check("Events returned in bar order", events.length > 0 && events.every((event, i) => i === 0 || event.index >= events[i - 1].index), events);
+    check("Event index is the input bar", events.every(event => event.value === rsi.values[event.index]), events[0]);
+    const entries = events.filter(event => event.type === "overbought_entry");
+    check("Overbought entries are above the threshold", entries.length > 0 && entries.every(event => event.value > 70), entries);
+
+    const macd = await call("calculate_macd", { prices: bars.close, includeEvents: true });
+    check("MACD events include signal-line crossovers", macd.events?.some(event => event.type === "bullish_crossover" || event.type === "bearish_crossover"), macd.events);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Moving average family
+ */
+async function testMovingAverages() {
+  console.log("〰️  Test: Moving average family (calculate_moving_average)");
+
+  try {
+    const bars = makeBars(48);
+
+    // WMA weights the last bar by the period and the oldest by 1
+    const wma = await call("calculate_moving_average", { prices: bars.close, type: "wma", period: 5 });
+    const expected = bars.close.slice(-5).reduce((sum, price, i) => sum + price * (i + 1), 0) / 15;
+    check("WMA matches the linearly weighted mean", Math.abs(wma.averages?.[0]?.current?.value - expected) < 0.01, wma.averages?.[0]?.current);
+
+    for (const type of ["wma", "hma", "dema", "tema", "kama", "zlema", "smma"]) {
+      const result = await call("calculate_moving_average", { prices: bars.close, type, period: 10 });
+      const average = result.averages?.[0];
+      check(`${type}: series covers the input after its offset`, average?.offset + average?.values?.length === 48, result.error ?? average?.offset);
+    }
+
+    const noVolume = await call("calculate_moving_average", { prices: bars.close, type: "vwma" });
+    check("VWMA without volume returns INVALID_PARAM", noVolume.error?.code === "INVALID_PARAM", noVolume.error ?? noVolume.current);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Moving-average ribbon and crossovers
+ */
+async function testRibbon() {
+  console.log("🎀 Test: Moving-average ribbon (calculate_all_indicators)");
+
+  try {
+    const ribbonCall = (close, indicators) => call("calculate_all_indicators", {
+      symbol: "TEST",
+      ohlcv: { high: close.map(value => value + 1), low: close.map(value => value - 1), close },
+      indicators
+    });
+
+    const uptrend = Array.from({ length: 120 }, (_, i) => 100 + 0.5 * i);
+    const stacked = await ribbonCall(uptrend, {
+      ema: [{ enabled: true, period: 10 }, { enabled: true, period: 20 }],
+      sma: { enabled: true, period: 50 }
+    });
+    check("Steady uptrend stacks the ribbon bullish", stacked.movingAverages?.ribbon === "bullish", stacked.movingAverages);
+    check("Ribbon ordered fastest to slowest", JSON.stringify(stacked.movingAverages?.order) === '["ema_10","ema_20","sma_50"]', stacked.movingAverages?.order);
+
+    // V-shaped reversal: the fast average crosses back above the slow one
+    const reversal = Array.from({ length: 80 }, (_, i) => (i < 50 ? 150 - i : 100 + 2 * (i - 50)));
+    const crossed = await ribbonCall(reversal, { ema: [{ enabled: true, period: 5 }, { enabled: true, period: 20 }] });
+    const pair = crossed.movingAverages?.crossovers?.[0];
+    check("Reversal ends with a golden cross", pair?.state === "fast_above_slow" && pair?.latest?.type === "golden_cross" && pair?.latest?.index > 50, pair);
+
+    const single = await ribbonCall(uptrend, { ema: { enabled: true, period: 10 } });
+    check("A single average has no ribbon block", single.movingAverages === undefined, single.movingAverages);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Momentum oscillators
+ */
+async function testOscillators() {
+  console.log("🎛️  Test: Momentum oscillators (CCI, Williams %R, ROC, Stochastic RSI, Ultimate, Awesome)");
+
+  try {
+    const bars = makeBars(80);
+    const hlc = { high: bars.high, low: bars.low, close: bars.close };
+
+    const roc = await call("calculate_roc", { prices: bars.close, period: 10 });
+    const change = (bars.close[79] / bars.close[69] - 1) * 100;
+    check("ROC is the percent change over the period", Math.abs(roc.current?.value - change) < 0.01, roc.current);
+
+    const median = bars.high.map((high, i) => (high + bars.low[i]) / 2);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const ao = await call("calculate_awesome_oscillator", { high: bars.high, low: bars.low });
+    check("Awesome Oscillator is SMA 5 - SMA 34 of the median price", Math.abs(ao.current?.value - (mean(median.slice(-5)) - mean(median.slice(-34)))) < 0.001, ao.current);
+
+    const willr = await call("calculate_williams_r", hlc);
+    check("Williams %R within -100 to 0", inRange(willr.current?.value, -100, 0), willr.current);
+    const ultosc = await call("calculate_ultimate_oscillator", hlc);
+    check("Ultimate Oscillator within 0-100", inRange(ultosc.current?.value, 0, 100), ultosc.current);
+    const stochRsi = await call("calculate_stoch_rsi", { prices: bars.close });
+    check("Stochastic RSI %K and %D within 0-100", inRange(stochRsi.current?.k, 0, 100) && inRange(stochRsi.current?.d, 0, 100), stochRsi.current);
+    const cci = await call("calculate_cci", hlc);
+    check("CCI returns a value", typeof cci.current?.value === "number", cci.current);
+
+    // Flat input: no range to normalise by, so the oscillators are null rather than errors
+    const flat = Array(60).fill(100);
+    const flatResults = [
+      ["calculate_cci", await call("calculate_cci", { high: flat, low: flat, close: flat }), result => result.current?.value],
+      ["calculate_ultimate_oscillator", await call("calculate_ultimate_oscillator", { high: flat, low: flat, close: flat }), result => result.current?.value],
+      ["calculate_stoch_rsi", await call("calculate_stoch_rsi", { prices: flat }), result => result.current?.k]
+    ];
+    for (const [name, result, value] of flatResults) {
+      check(`${name}: flat input returns null without an error`, !result.error && value(result) === null, result.error ?? result.current);
+    }
+
+    const periods = await call("calculate_ultimate_oscillator", { ...hlc, shortPeriod: 14, mediumPeriod: 7 });
+    check("Non-increasing Ultimate Oscillator periods return INVALID_PARAM", periods.error?.code === "INVALID_PARAM", periods.error ?? periods.current);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Aroon, Vortex and Choppiness trend regime
+ */
+async function testTrendRegime() {
+  console.log("🧭 Test: Trend regime (calculate_aroon, calculate_vortex, calculate_choppiness)");
+
+  try {
+    const withRange = close => ({ high: close.map(value => value + 1), low: close.map(value => value - 1), close });
+    const uptrend = withRange(Array.from({ length: 80 }, (_, i) => 100 + i));
+    const ranging = withRange(Array.from({ length: 80 }, (_, i) => 100 + 5 * Math.sin(i * 1.3)));
+
+    const aroon = await call("calculate_aroon", { high: uptrend.high, low: uptrend.low });
+    check("Aroon Up 100 / Down 0 when every bar is a new high", aroon.current?.up === 100 && aroon.current?.down === 0, aroon.current);
+
+    // Each bar: VM+ = 3, VM- = 1 and true range 2
+    const vortex = await call("calculate_vortex", uptrend);
+    check("Vortex VI+ 1.5 and VI- 0.5 on a steady uptrend", vortex.current?.plus === 1.5 && vortex.current?.minus === 0.5, vortex.current);
+
+    const trendingChop = await call("calculate_choppiness", uptrend);
+    const rangingChop = await call("calculate_choppiness", ranging);
+    check("Choppiness: trending below 38.2", trendingChop.current?.regime === "trending", trendingChop.current);
+    check("Choppiness: ranging above 61.8", rangingChop.current?.regime === "ranging", rangingChop.current);
+
+    const regimeCall = ohlcv => call("calculate_all_indicators", { symbol: "TEST", ohlcv, indicators: { trend_regime: { enabled: true } } });
+    const trending = await regimeCall(uptrend);
+    const sideways = await regimeCall(ranging);
+    check("trend_regime: uptrend is trending and bullish", trending.indicators?.trend_regime?.regime === "trending" && trending.indicators?.trend_regime?.direction === "bullish", trending.indicators?.trend_regime);
+    check("trend_regime: oscillating bars are ranging", sideways.indicators?.trend_regime?.regime === "ranging", sideways.indicators?.trend_regime);
+
+    // Periods are bar counts: fractional values are rejected before the calculation
+    for (const name of ["calculate_aroon", "calculate_vortex", "calculate_choppiness"]) {
+      const result = await call(name, { ...uptrend, period: 2.5 });
+      check(`${name} rejects a fractional period with INVALID_PARAM`, result.error?.code === "INVALID_PARAM", result.error ?? result.current);
+    }
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Historical volatility and cone
+ */
+async function testVolatility() {
+  console.log("🌪️  Test: Historical volatility (calculate_volatility)");
+
+  try {
+    const bars = makeBars(48);
+    const ohlc = { open: bars.open, high: bars.high, low: bars.low, close: bars.close };
+
+    const result = await call("calculate_volatility", { ...ohlc, coneWindows: [5, 10, 20] });
+    check("Open prices select the Yang-Zhang estimator", result.parameters?.estimator === "yang_zhang", result.parameters);
+
+    // Parkinson: sqrt(sum(ln(H/L)^2) / (4n ln 2)), annualised over 252 bars
+    const ranges = bars.high.slice(-20).map((high, i) => Math.log(high / bars.low.slice(-20)[i]) ** 2);
+    const parkinson = Math.sqrt(ranges.reduce((sum, value) => sum + value, 0) / (4 * 20 * Math.LN2)) * Math.sqrt(252) * 100;
+    check("Parkinson estimate matches the range formula", Math.abs(result.current?.estimators?.parkinson - parkinson) < 0.01, result.current?.estimators);
+
+    check("Cone has one row per window", JSON.stringify(result.cone?.map(row => row.window)) === "[5,10,20]", result.cone);
+    check("Cone rows are ordered min <= median <= max", result.cone?.every(row => row.min <= row.median && row.median <= row.max), result.cone);
+    check("Percentile within 0-100", inRange(result.current?.percentile, 0, 100), result.current);
+
+    const noOpen = await call("calculate_volatility", { high: bars.high, low: bars.low, close: bars.close, estimator: "garman_klass" });
+    check("Garman-Klass without open returns INVALID_PARAM", noOpen.error?.code === "INVALID_PARAM", noOpen.error ?? noOpen.parameters);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Configurable signal thresholds
+ */
+async function testThresholds() {
+  console.log("🚦 Test: Signal thresholds (thresholds argument)");
+
+  try {
+    const bars = makeBars(48);
+
+    const defaults = await call("calculate_rsi", { prices: bars.close });
+    const raised = await call("calculate_rsi", { prices: bars.close, thresholds: { overbought: 90 } });
+    check("Default RSI reading is overbought", defaults.current?.signal === "overbought", defaults.current);
+    check("Raised overbought level turns it neutral", raised.current?.signal === "neutral" && raised.thresholds?.overbought === 90, raised.current);
+
+    // ROC and AO levels are unset (null) by default: null is accepted there and keeps them off
+    const rocDefault = await call("calculate_roc", { prices: bars.close });
+    check("ROC levels default to null", rocDefault.thresholds?.overbought === null && rocDefault.thresholds?.oversold === null, rocDefault.thresholds);
+    const rocNull = await call("calculate_roc", { prices: bars.close, thresholds: { overbought: null, oversold: -5 } });
+    check("Null ROC level accepted", !rocNull.error && rocNull.thresholds?.overbought === null && rocNull.thresholds?.oversold === -5, rocNull.error ?? rocNull.thresholds);
+    const rocLevel = await call("calculate_roc", { prices: bars.close, thresholds: { overbought: 1 } });
+    check("ROC above a set overbought level is overbought", rocLevel.current?.signal === "overbought", rocLevel.current);
+
+    // Levels with a numeric default cannot be nulled
+    const rsiNull = await call("calculate_rsi", { prices: bars.close, thresholds: { overbought: null } });
+    check("Null RSI level returns INVALID_PARAM", rsiNull.error?.code === "INVALID_PARAM", rsiNull.error ?? rsiNull.thresholds);
+    const allNull = await call("calculate_all_indicators", {
+      symbol: "TEST",
+      ohlcv: { high: bars.high, low: bars.low, close: bars.close },
+      indicators: { adx: { enabled: true } },
+      thresholds: { adx: { strong: null } }
+    });
+    check("Null ADX level in calculate_all_indicators returns INVALID_PARAM", allNull.error?.code === "INVALID_PARAM", allNull.error ?? allNull.indicators);
+
+    const inverted = await call("calculate_rsi", { prices: bars.close, thresholds: { overbought: 20, oversold: 30 } });
+    check("Oversold above overbought returns INVALID_PARAM", inverted.error?.code === "INVALID_PARAM", inverted.error ?? inverted.thresholds);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Confluence summary
+ */
+async function testConfluence() {
+  console.log("🤝 Test: Confluence summary (calculate_all_indicators)");
+
+  try {
+    // Steady uptrend: trend indicators vote bullish, RSI at 100 votes bearish (overbought)
+    const close = Array.from({ length: 48 }, (_, i) => 100 + i);
+    const summaryCall = summary => call("calculate_all_indicators", {
+      symbol: "TEST",
+      ohlcv: { high: close.map(value => value + 1), low: close.map(value => value - 1), close },
+      indicators: { rsi: { enabled: true }, macd: { enabled: true }, ema: { enabled: true, period: 10 }, adx: { enabled: true } },
+      ...(summary && { summary })
+    });
+
+    const plain = await summaryCall();
+    check("No summary unless enabled", plain.summary === undefined, plain.summary);
+
+    const summary = (await summaryCall({ enabled: true })).summary;
+    check("Three bullish votes against one bearish", summary?.votes?.bullish === 3 && summary?.votes?.bearish === 1, summary?.votes);
+    check("Score is the weighted vote balance", summary?.score === 50 && summary?.bias === "bullish", summary);
+    check("RSI listed as conflicting", JSON.stringify(summary?.conflicting) === '["rsi_14"]', summary?.conflicting);
+
+    // Zero weight on the trend category leaves only the RSI vote
+    const momentumOnly = (await summaryCall({ enabled: true, weights: { trend: 0 } })).summary;
+    check("Category weights change the verdict", momentumOnly?.score === -100 && momentumOnly?.bias === "bearish", momentumOnly);
+
+    const negative = await summaryCall({ enabled: true, weights: { momentum: -1 } });
+    check("Negative weight returns INVALID_PARAM", negative.error?.code === "INVALID_PARAM", negative.error ?? negative.summary);
+
+    // Flat bars leave the oscillators without a value: they vote neutral instead of against their midline
+    const flat = Array(120).fill(100);
+    const flatSummary = (await call("calculate_all_indicators", {
+      symbol: "FLAT",
+      ohlcv: { high: flat, low: flat, close: flat, volume: Array(120).fill(1000) },
+      indicators: { rsi: { enabled: true }, cci: { enabled: true }, ultosc: { enabled: true }, mfi: { enabled: true }, stochrsi: { enabled: true }, adx: { enabled: true } },
+      summary: { enabled: true }
+    })).summary;
+    const noValue = flatSummary?.components?.filter(component => component.vote === "neutral" && component.reason.includes("no value"));
+    check("Oscillators without a value vote neutral", noValue?.length === 6, flatSummary?.components);
+    check("Flat series has no bias", flatSummary?.score === 0 && flatSummary?.bias === "neutral", flatSummary);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Structured tool output
+ */
+async function testStructuredOutput() {
+  console.log("🧾 Test: Structured output (structuredContent, outputSchema)");
+
+  try {
+    const { tools } = await client.listTools();
+    const missing = tools.filter(tool => tool.outputSchema?.type !== "object").map(tool => tool.name);
+    check("Every listed tool declares an outputSchema", tools.length > 0 && missing.length === 0, missing);
+
+    const bars = makeBars(48);
+    const result = await client.callTool({ name: "calculate_rsi", arguments: { prices: bars.close } });
+    check("Result carries structuredContent", result.structuredContent?.indicator === "RSI", Object.keys(result));
+    check("Text content holds the same JSON", JSON.stringify(JSON.parse(result.content[0].text)) === JSON.stringify(result.structuredContent), result.content[0].text.slice(0, 80));
+
+    const rsiSchema = tools.find(tool => tool.name === "calculate_rsi")?.outputSchema;
+    const declared = Object.keys(rsiSchema?.properties ?? {});
+    check("Response fields are declared in the outputSchema", ["indicator", "values", "current"].every(name => declared.includes(name) && name in result.structuredContent), declared);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Error contract
+ */
+async function testErrorContract() {
+  console.log("🚨 Test: Error contract (codes, isError results, HTTP statuses)");
+
+  try {
+    const bars = makeBars(48);
+
+    // Calculation errors are isError results with the payload as JSON text
+    const short = await client.callTool({ name: "calculate_rsi", arguments: { prices: bars.close.slice(0, 5) } });
+    const payload = short.isError ? JSON.parse(short.content[0].text) : null;
+    check("Too few bars is an isError result with INSUFFICIENT_DATA", payload?.code === "INSUFFICIENT_DATA", short);
+    check("Error payload carries details", payload?.details?.required === 15 && payload?.details?.received === 5, payload?.details);
+
+    // Invalid arguments are -32602 protocol errors
+    let protocolError = null;
+    try {
+      await client.callTool({ name: "calculate_rsi", arguments: { prices: bars.close, period: 0 } });
+    } catch (error) {
+      protocolError = error;
+    }
+    check("Invalid argument is a -32602 error", protocolError?.code === -32602, protocolError?.message);
+
+    const post = (path, body) => fetch(`${baseUrl}/api/indicators/${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const statuses = [
+      ["INSUFFICIENT_DATA", 422, await post("rsi", { prices: bars.close.slice(0, 5) })],
+      ["LENGTH_MISMATCH", 422, await post("cmf", { high: bars.high, low: bars.low, close: bars.close, volume: bars.volume.slice(1) })],
+      ["INVALID_PARAM", 400, await post("rsi", { prices: bars.close, period: 0 })]
+    ];
+    for (const [code, status, response] of statuses) {
+      const body = await response.json();
+      check(`REST ${code} returns HTTP ${status}`, response.status === status && body.code === code && typeof body.error === "string", { status: response.status, body });
+    }
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Argument validation against inputSchema
+ */
+async function testArgumentValidation() {
+  console.log("🛂 Test: Argument validation (inputSchema)");
+
+  try {
+    const bars = makeBars(48);
+
+    const wrongType = await call("calculate_rsi", { prices: "100,101,102" });
+    check("Wrong type rejected with the field name", wrongType.error?.code === "INVALID_PARAM" && wrongType.error.error.includes("prices should be array"), wrongType.error ?? wrongType.current);
+    const badItem = await call("calculate_rsi", { prices: [...bars.close.slice(0, 20), "x"] });
+    check("Non-numeric item rejected with its index", badItem.error?.code === "INVALID_PARAM" && badItem.error.error.includes("prices[20]"), badItem.error ?? badItem.current);
+    const belowMinimum = await call("calculate_rsi", { prices: bars.close, period: 0 });
+    check("Value below minimum rejected", belowMinimum.error?.code === "INVALID_PARAM" && belowMinimum.error.error.includes("period should be >= 1"), belowMinimum.error ?? belowMinimum.current);
+    const badEnum = await call("calculate_moving_average", { prices: bars.close, type: "triangular" });
+    check("Unknown enum value rejected", badEnum.error?.code === "INVALID_PARAM" && badEnum.error.error.includes("type should be one of"), badEnum.error ?? badEnum.current);
+    const missing = await call("calculate_rsi", {});
+    check("Missing price series rejected", missing.error?.code === "INVALID_PARAM" && missing.error.error.includes("prices is required"), missing.error ?? missing.current);
+
+    const defaulted = await call("calculate_rsi", { prices: bars.close });
+    check("Schema defaults applied", defaulted.period === 14, defaulted.period);
+
+    // REST keeps the full payload: HTTP 400 with the offending field
+    const response = await fetch(`${baseUrl}/api/indicators/rsi`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prices: bars.close, period: 0 })
+    });
+    const body = await response.json();
+    check("REST returns 400 INVALID_PARAM with the field", response.status === 400 && body.code === "INVALID_PARAM" && body.details?.field === "period", { status: response.status, body });
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Timestamped input and aligned output series
+ */
+async function testAlignment() {
+  console.log("⏱️  Test: Timestamps and bar alignment (align)");
+
+  try {
+    const bars = makeBars(48);
+
+    const bare = await call("calculate_rsi", { prices: bars.close });
+    check("Without timestamps the series skips the warm-up", bare.values?.length === 34 && bare.alignment === undefined, bare.values?.length);
+
+    const pairs = await call("calculate_rsi", { prices: bars.close, timestamps: bars.timestamps });
+    check("Timestamps default to { t, value } pairs", pairs.alignment === "pairs" && pairs.values?.length === 48, pairs.alignment);
+    check("Each pair carries its bar's time", pairs.values?.every((point, i) => point.t === bars.timestamps[i]), pairs.values?.[0]);
+    check("Warm-up bars are null", pairs.values?.[13]?.value === null && typeof pairs.values?.[14]?.value === "number", pairs.values?.slice(13, 15));
+
+    const padded = await call("calculate_rsi", { prices: bars.close, align: "pad" });
+    check("'pad' indexes the series by input bar", padded.values?.length === 48 && padded.values?.[14] === bare.values?.[0], padded.values?.slice(13, 15));
+
+    const macd = await call("calculate_macd", { prices: bars.close, timestamps: bars.timestamps });
+    check("Every MACD series is aligned", ["macd", "signal", "histogram"].every(name => macd.values?.[name]?.length === 48), macd.values && Object.keys(macd.values));
+
+    // Only per-bar series are aligned: session starts and band multipliers keep their own length
+    const all = await call("calculate_all_indicators", {
+      symbol: "TEST",
+      ohlcv: { ...bars },
+      indicators: { vwap: { enabled: true, resetIndices: [0, 24], bands: [1, 2] } },
+      align: "pad"
+    });
+    const vwap = Object.values(all.indicators ?? {}).find(result => result.type === "VWAP");
+    check("VWAP series and bands are aligned", vwap?.values?.length === 48 && vwap?.bands?.every(band => band.upper.length === 48), vwap && Object.keys(vwap));
+    check("Session starts and band multipliers are not padded", JSON.stringify(vwap?.sessionStarts) === "[0,24]" && vwap?.bands?.map(band => band.multiplier).join() === "1,2", vwap?.sessionStarts);
+
+    const candles = bars.timestamps.map((time, i) => ({ time, open: bars.open[i], high: bars.high[i], low: bars.low[i], close: bars.close[i] }));
+    const fromCandles = await call("calculate_adx", { candles });
+    check("Timed candles give pairs on a high/low/close tool", fromCandles.alignment === "pairs" && fromCandles.values?.adx?.[47]?.t === bars.timestamps[47], fromCandles.alignment);
+
+    const noTimes = await call("calculate_rsi", { prices: bars.close, align: "pairs" });
+    check("'pairs' without timestamps returns INVALID_PARAM", noTimes.error?.code === "INVALID_PARAM", noTimes.error ?? noTimes.alignment);
+    const shortTimes = await call("calculate_rsi", { prices: bars.close, timestamps: bars.timestamps.slice(1) });
+    check("Timestamps shorter than prices return LENGTH_MISMATCH", shortTimes.error?.code === "LENGTH_MISMATCH", shortTimes.error ?? shortTimes.alignment);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+/**
+ * Test: Candle input formats and re-sorting
+ */
+async function testCandleFormats() {
+  console.log("📥 Test: Candle formats (CCXT, Binance klines, objects, UDF columns)");
+
+  try {
+    const bars = makeBars(48);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const reference = await call("calculate_atr", { high: bars.high, low: bars.low, close: bars.close, align: "pad" });
+
+    const rows = bars.timestamps.map((time, i) => [time, bars.open[i], bars.high[i], bars.low[i], bars.close[i], bars.volume[i]]);
+    // Binance klines: numeric open time, string prices, then close time, quote volume, ...
+    const klines = rows.map(([time, ...values]) => [time, ...values.map(String), time + 3599999, "0", 10, "0", "0", "0"]);
+    const objects = bars.timestamps.map((time, i) => ({ t: time, o: bars.open[i], h: bars.high[i], l: bars.low[i], c: bars.close[i], v: bars.volume[i] }));
+    const udf = { t: bars.timestamps.map(time => time / 1000), o: bars.open, h: bars.high, l: bars.low, c: bars.close, v: bars.volume };
+
+    for (const [label, candles, format, parsedStrings] of [
+      ["CCXT rows", rows, "rows", false],
+      ["Binance klines", klines, "rows", true],
+      ["Short-key objects", objects, "objects", false],
+      ["TradingView UDF columns", udf, "columns", false]
+    ]) {
+      const result = await call("calculate_atr", { candles, align: "pad" });
+      check(`${label}: same ATR as the price arrays`, same(result.values, reference.values), result.error ?? result.current);
+      check(`${label}: input reported as ${format}`, result.input?.format === format && result.input?.parsedStrings === parsedStrings, result.input);
+    }
+
+    // Newest first, as many exchanges return them
+    const descending = await call("calculate_atr", { candles: [...rows].reverse(), align: "pad" });
+    check("Descending candles are re-sorted oldest first", same(descending.values, reference.values), descending.current);
+    check("Re-sort reported in the input block", descending.input?.order === "descending" && descending.input?.resorted === true, descending.input);
+
+    // Bar indices refer to the bars as sent and follow them through the re-sort
+    const vwapArgs = { session: "none", resetIndices: [20, 40], anchorIndex: 10, align: "none" };
+    const vwapBlocks = result => ({ values: result.values, sessions: result.sessions, anchored: result.anchored });
+    const ascendingVwap = await call("calculate_vwap", { candles: rows, ...vwapArgs });
+    const descendingVwap = await call("calculate_vwap", { candles: [...rows].reverse(), ...vwapArgs, resetIndices: [27, 7], anchorIndex: 37 });
+    check("Descending candles: resetIndices and anchorIndex follow their bars", same(vwapBlocks(descendingVwap), vwapBlocks(ascendingVwap)), descendingVwap.error ?? descendingVwap.anchored?.anchorIndex);
+    const reversed = values => [...values].reverse();
+    const descendingColumns = await call("calculate_vwap", {
+      high: reversed(bars.high), low: reversed(bars.low), close: reversed(bars.close), volume: reversed(bars.volume),
+      timestamps: reversed(bars.timestamps), ...vwapArgs, resetIndices: [27, 7], anchorIndex: 37
+    });
+    check("Descending price arrays: resetIndices and anchorIndex follow their bars", same(vwapBlocks(descendingColumns), vwapBlocks(ascendingVwap)), descendingColumns.error ?? descendingColumns.anchored?.anchorIndex);
+
+    const both = await call("calculate_atr", { candles: rows, high: bars.high, low: bars.low, close: bars.close });
+    check("Candles together with price arrays return INVALID_PARAM", both.error?.code === "INVALID_PARAM", both.error ?? both.input);
+    const noVolume = await call("calculate_obv", { candles: rows.map(row => row.slice(0, 5)) });
+    check("Candles without the volume a tool needs return INVALID_PARAM", noVolume.error?.code === "INVALID_PARAM", noVolume.error ?? noVolume.input);
+
+  } catch (error) {
+    console.log(`   ❌ Test failed: ${error.message}`);
+    testResults.failed++;
+  }
+}
+
+// Run all indicator tests
+async function runIndicatorTests() {
+  try {
+    client = new Client(
+      { name: "indicator-test", version: "1.0.0" },
+      { capabilities: {} }
+    );
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+
+    await testGenericIndicator();
+    await testDescribeIndicators();
+    await testAdx();
+    await testVolumeIndicators();
+    await testVwap();
+    await testIchimoku();
+    await testTrailingStops();
+    await testChannels();
+    await testLevels();
+    await testSupportResistance();
+    await testCandlestickPatterns();
+    await testDivergences();
+    await testEvents();
+    await testMovingAverages();
+    await testRibbon();
+    await testOscillators();
+    await testTrendRegime();
+    await testVolatility();
+    await testThresholds();
+    await testConfluence();
+    await testStructuredOutput();
+    await testErrorContract();
+    await testArgumentValidation();
+    await testAlignment();
+    await testCandleFormats();
+
+    console.log("=".repeat(60));
+    console.log("📊 Indicator Test Results:");
+    console.log(`   ✅ Passed: ${testResults.passed}`);
+    console.log(`   ❌ Failed: ${testResults.failed}`);
+    console.log(`   ⚠️  Warnings: ${testResults.warnings}`);
+    console.log("");
+
+    if (testResults.failed === 0) {
+      console.log("🎉 All indicator tests passed!");
+    } else {
+      console.log("⚠️  Some tests failed - review implementation");
+    }
+
+  } catch (error) {
+    console.error("❌ Test suite failed:", error.message);
+    testResults.failed++;
+  } finally {
+    await client?.close();
+    process.exit(testResults.failed > 0 ? 1 : 0);
+  }
+}
+
+runIndicatorTests();
@@ -179,20 +179,20 @@ async function testErrorHandling() {
     const transport = new SSEClientTransport(new URL(`${baseUrl}/mcp`));
     await client.connect(transport);
 
-    // Test with invalid data
+    // Test with insufficient data
     const result = await client.callTool({
       name: "calculate_rsi",
       arguments: {
-        prices: [], // Invalid empty array
+        prices: [100, 102, 101], // Too short for period 14
         period: 14
       }
     });
 
     const data = JSON.parse(result.content[0].text);
 
-    if (data.error) {
+    if (result.isError && data.error) {
       console.log("   ✅ Error handled with structured response");
-      console.log(`   📝 Error message: ${data.error}`);
+      console.log(`   📝 Error: ${data.code} - ${data.error}`);
     } else {
       console.log("   ⚠️  Expected error but got success");
     }